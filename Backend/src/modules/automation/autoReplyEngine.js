@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const { phoneKey } = require('../utils/phone');
+const OptOutPolicy = require('../compliance/optOutPolicy');
+
+const TRIGGERS = ['keyword', 'regex', 'first_reply'];
+const SCOPES = ['global', 'chip', 'campaign'];
+const MATCH_MODES = ['exact', 'contains'];
+// Most specific scope wins when several rules match.
+const SCOPE_PRIORITY = { campaign: 0, chip: 1, global: 2 };
+const MINUTE_MS = 60 * 1000;
+
+function invalidRule(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_RULE';
+  return error;
+}
+
+/**
+ * AutoReplyEngine
+ * Rules that answer inbound replies without an operator. A rule fires on a
+ * keyword, a regex or the contact's first reply, can be scoped globally, to a
+ * chip or to a campaign, and waits cooldownMinutes before answering the same
+ * number again. Rules are persisted in data/auto_reply_rules.json; cooldowns
+ * live in memory only.
+ */
+class AutoReplyEngine {
+  constructor(options = {}) {
+    this.filePath = options.filePath || PathHelper.resolve('data', 'auto_reply_rules.json');
+    this.rules = null;
+    this.cooldowns = new Map();
+  }
+
+  list() {
+    return this._rules().slice();
+  }
+
+  get(ruleId) {
+    return this._rules().find((rule) => rule.id === ruleId) || null;
+  }
+
+  /**
+   * @param {object} data - { name, enabled, scope, scopeId, trigger, keywords, matchMode, pattern, response, cooldownMinutes }
+   * @returns {object} the stored rule.
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const rule = this._normalize({ ...data, id: `rule_${randomUUID()}`, createdAt: now, updatedAt: now });
+    this._rules().push(rule);
+    this._persist();
+    return rule;
+  }
+
+  update(ruleId, data) {
+    const rules = this._rules();
+    const index = rules.findIndex((rule) => rule.id === ruleId);
+    if (index === -1) {
+      return null;
+    }
+    const { id, createdAt, ...changes } = data;
+    rules[index] = this._normalize({ ...rules[index], ...changes, updatedAt: new Date().toISOString() });
+    this._persist();
+    return rules[index];
+  }
+
+  remove(ruleId) {
+    const rules = this._rules();
+    const index = rules.findIndex((rule) => rule.id === ruleId);
+    if (index === -1) {
+      return false;
+    }
+    rules.splice(index, 1);
+    this._persist();
+    return true;
+  }
+
+  /**
+   * Picks the rule that should answer an inbound message, honoring scope and cooldown.
+   * @param {object} message - { phone, text }
+   * @param {object} context - { chipId, campaignId, isFirstReply }
+   * @returns {object|null}
+   */
+  match(message, { chipId = null, campaignId = null, isFirstReply = false } = {}, now = Date.now()) {
+    const phone = phoneKey(message.phone);
+    const candidates = this._rules()
+      .filter((rule) => rule.enabled && this._inScope(rule, chipId, campaignId))
+      .sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope]);
+
+    return candidates.find((rule) => {
+      if (!this._triggers(rule, message.text, isFirstReply)) return false;
+      const lastReplyAt = this.cooldowns.get(`${rule.id}:${phone}`);
+      return !lastReplyAt || now - lastReplyAt >= rule.cooldownMinutes * MINUTE_MS;
+    }) || null;
+  }
+
+  /**
+   * Starts the cooldown of a rule for a number.
+   */
+  markReplied(rule, phone, now = Date.now()) {
+    this.cooldowns.set(`${rule.id}:${phoneKey(phone)}`, now);
+  }
+
+  _inScope(rule, chipId, campaignId) {
+    if (rule.scope === 'chip') return rule.scopeId === chipId;
+    if (rule.scope === 'campaign') return rule.scopeId === campaignId;
+    return true;
+  }
+
+  _triggers(rule, text, isFirstReply) {
+    if (rule.trigger === 'first_reply') return isFirstReply;
+    if (rule.trigger === 'regex') return new RegExp(rule.pattern, 'i').test(String(text || ''));
+
+    const normalized = OptOutPolicy.normalizeReply(text);
+    if (!normalized) return false;
+    return rule.keywords.some((keyword) => {
+      if (rule.matchMode === 'contains') {
+        return ` ${normalized} `.includes(` ${keyword} `);
+      }
+      return normalized === keyword;
+    });
+  }
+
+  _normalize(rule) {
+    const normalized = {
+      id: rule.id,
+      name: String(rule.name || '').trim() || rule.id,
+      enabled: rule.enabled !== false,
+      scope: rule.scope || 'global',
+      scopeId: rule.scope && rule.scope !== 'global' ? (rule.scopeId || null) : null,
+      trigger: rule.trigger,
+      keywords: Array.isArray(rule.keywords) ? rule.keywords.map(OptOutPolicy.normalizeReply).filter(Boolean) : [],
+      matchMode: rule.matchMode || 'exact',
+      pattern: rule.pattern || '',
+      response: String(rule.response || ''),
+      cooldownMinutes: rule.cooldownMinutes === undefined ? 60 : Number(rule.cooldownMinutes),
+      createdAt: rule.createdAt,
+      updatedAt: rule.updatedAt
+    };
+
+    if (!TRIGGERS.includes(normalized.trigger)) {
+      throw invalidRule(`trigger must be one of: ${TRIGGERS.join(', ')}`);
+    }
+    if (!SCOPES.includes(normalized.scope)) {
+      throw invalidRule(`scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (normalized.scope !== 'global' && !normalized.scopeId) {
+      throw invalidRule(`scopeId is required for ${normalized.scope} rules`);
+    }
+    if (!MATCH_MODES.includes(normalized.matchMode)) {
+      throw invalidRule(`matchMode must be one of: ${MATCH_MODES.join(', ')}`);
+    }
+    if (normalized.trigger === 'keyword' && normalized.keywords.length === 0) {
+      throw invalidRule('keyword rules need at least one keyword');
+    }
+    if (normalized.trigger === 'regex') {
+      if (!normalized.pattern) {
+        throw invalidRule('regex rules need a pattern');
+      }
+      try {
+        new RegExp(normalized.pattern, 'i');
+      } catch (error) {
+        throw invalidRule(`Invalid pattern: ${error.message}`);
+      }
+    }
+    if (!normalized.response.trim()) {
+      throw invalidRule('response is required');
+    }
+    if (!Number.isFinite(normalized.cooldownMinutes) || normalized.cooldownMinutes < 0) {
+      throw invalidRule('cooldownMinutes must be a number >= 0');
+    }
+    return normalized;
+  }
+
+  _rules() {
+    if (this.rules) return this.rules;
+
+    this.rules = [];
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.rules = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (err) {
+        logger.error(`Failed to load auto-reply rules: ${err.message}`);
+      }
+    }
+    return this.rules;
+  }
+
+  _persist() {
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(this.rules, null, 2));
+  }
+}
+
+module.exports = AutoReplyEngine;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const PathHelper = require('../utils/pathHelper');
+
+// Spreadsheet rows per bucket file, and buckets kept in memory per campaign.
+const BUCKET_SIZE = 500;
+const CACHE_SIZE = 4;
+
+/**
+ * CampaignContacts
+ * Contact outcomes and message statuses of one campaign, stored in buckets of
+ * BUCKET_SIZE spreadsheet rows under data/campaigns/{campaignId}.contacts/.
+ * Contact ids carry their row (row_12), so a contact's bucket is found without
+ * an index. Only the CACHE_SIZE most recently used buckets stay in memory; a
+ * changed bucket is written when it is evicted or on flush().
+ */
+class CampaignContacts {
+  constructor(dir, { cacheSize = CACHE_SIZE } = {}) {
+    this.dir = dir;
+    this.cacheSize = cacheSize;
+    this.buckets = new Map();
+  }
+
+  /**
+   * @param {string} contactId
+   * @returns {object|null} the contact outcome.
+   */
+  get(contactId) {
+    return this._bucket(contactId).contacts[contactId] || null;
+  }
+
+  set(contactId, outcome) {
+    const bucket = this._bucket(contactId);
+    bucket.contacts[contactId] = outcome;
+    bucket.dirty = true;
+  }
+
+  /**
+   * Status of one message sent to a contact, keyed by its clientMessageId.
+   * @returns {object|null}
+   */
+  getMessage(contactId, clientMessageId) {
+    return this._bucket(contactId).messages[clientMessageId] || null;
+  }
+
+  setMessage(contactId, clientMessageId, entry) {
+    const bucket = this._bucket(contactId);
+    bucket.messages[clientMessageId] = entry;
+    bucket.dirty = true;
+  }
+
+  /**
+   * Calls fn with the contacts and messages of every bucket, one bucket at a
+   * time. Buckets read from disk are not cached.
+   * @param {function({contacts: object, messages: object}): void} fn
+   */
+  forEachBucket(fn) {
+    const indexes = new Set(this.buckets.keys());
+    if (fs.existsSync(this.dir)) {
+      fs.readdirSync(this.dir)
+        .filter((name) => /^\d+\.json$/.test(name))
+        .forEach((name) => indexes.add(Number(path.basename(name, '.json'))));
+    }
+    [...indexes].sort((a, b) => a - b).forEach((index) => {
+      fn(this.buckets.get(index) || this._read(index));
+    });
+  }
+
+  /**
+   * Writes the buckets changed since the last flush.
+   */
+  flush() {
+    this.buckets.forEach((bucket, index) => this._write(index, bucket));
+  }
+
+  _bucket(contactId) {
+    const match = /(\d+)$/.exec(String(contactId));
+    const index = match ? Math.floor(Number(match[1]) / BUCKET_SIZE) : 0;
+    let bucket = this.buckets.get(index);
+    if (bucket) {
+      // Most recently used last.
+      this.buckets.delete(index);
+    } else {
+      bucket = this._read(index);
+    }
+    this.buckets.set(index, bucket);
+
+    if (this.buckets.size > this.cacheSize) {
+      const [oldest] = this.buckets.keys();
+      this._write(oldest, this.buckets.get(oldest));
+      this.buckets.delete(oldest);
+    }
+    return bucket;
+  }
+
+  _read(index) {
+    const filePath = this._path(index);
+    if (!fs.existsSync(filePath)) {
+      return { contacts: {}, messages: {}, dirty: false };
+    }
+    const { contacts = {}, messages = {} } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { contacts, messages, dirty: false };
+  }
+
+  _write(index, bucket) {
+    if (!bucket.dirty) return;
+    PathHelper.ensureDir(this.dir);
+    fs.writeFileSync(this._path(index), JSON.stringify({ contacts: bucket.contacts, messages: bucket.messages }, null, 2));
+    bucket.dirty = false;
+  }
+
+  _path(index) {
+    return path.join(this.dir, `${index}.json`);
+  }
+}
+
+module.exports = CampaignContacts;
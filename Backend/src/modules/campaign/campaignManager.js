@@ -1,10 +1,26 @@
 const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
 const ExcelParser = require('../parser/excelParser');
 const Dispatcher = require('../dispatch/dispatcher');
 const SessionManager = require('../whatsapp/sessionManager');
 const LoadBalancer = require('../whatsapp/loadBalancer');
-const PathHelper = require('../utils/pathHelper');
+const CampaignStore = require('./campaignStore');
+const ReplyStore = require('./replyStore');
+const FollowUpScheduler = require('./followUpScheduler');
+const SendWindow = require('../compliance/sendWindow');
+const RetryPolicy = require('../dispatch/retryPolicy');
+const AttachmentResolver = require('../parser/attachmentResolver');
+const { phoneKey, toE164 } = require('../utils/phone');
+const ContactHistory = require('../compliance/contactHistory');
+const FrequencyCap = require('../compliance/frequencyCap');
+const SuppressionList = require('../compliance/suppressionList');
+const OptOutPolicy = require('../compliance/optOutPolicy');
+const AutoReplyEngine = require('../automation/autoReplyEngine');
+const { applyTemplate } = require('./templateEngine');
+const { lintTemplate } = require('./templateLint');
+const { pickVariant } = require('./templateVariants');
 const {
   createCampaignId,
   createContactId,
@@ -13,41 +29,110 @@ const {
   formatCorrelationTag
 } = require('../utils/correlation');
 
+const SENT_STATUSES = ['SERVER_ACK', 'SENT', 'DELIVERED', 'READ', 'PLAYED'];
+const DELIVERED_STATUSES = ['DELIVERED', 'READ', 'PLAYED'];
+const READ_STATUSES = ['READ', 'PLAYED'];
+const SKIPPED_STATUSES = ['SKIPPED_OPT_OUT', 'SKIPPED_FREQUENCY_CAP'];
+const STATUS_RANK = {
+  PENDING: 0,
+  RETRY_SCHEDULED: 1,
+  FAILED: 1,
+  SKIPPED_OPT_OUT: 1,
+  SKIPPED_FREQUENCY_CAP: 1,
+  SENT: 2,
+  SERVER_ACK: 3,
+  DELIVERED: 4,
+  READ: 5,
+  PLAYED: 6
+};
+// Statuses a stored campaign may be resumed/cancelled from, and the ones a crash leaves behind.
+const RESUMABLE_STATUSES = ['PAUSED', 'INTERRUPTED'];
+const ACTIVE_STATUSES = ['RUNNING', 'WAITING_WINDOW'];
+// Long waits (e.g. over a weekend) are split so clock changes are picked up.
+const MAX_WAIT_CHUNK_MS = 60 * 60 * 1000;
+// Progress entries (sends, receipts, replies) between saves of the campaign record.
+const CHECKPOINT_EVERY = 100;
+const CHECKPOINT_INTERVAL_MS = 30 * 1000;
+// Errors that say no chip can send right now, whatever the contact. The contact is
+// sent again once a chip is free, without counting an attempt.
+const FLEET_ERROR_CODES = ['NO_ACTIVE_SESSION', 'COOLDOWN', 'RATE_LIMIT', 'NOT_READY'];
+// Shortest wait before sending again after one, so a chip that stays unusable is not hammered.
+const FLEET_MIN_WAIT_MS = 1000;
+// Wait when no chip reports a cooldown end (e.g. all disconnected); a READY chip ends it sooner.
+const FLEET_POLL_MS = 60 * 1000;
+
 class CampaignManager {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Where campaigns, replies, follow-ups, the contact
+   *   history, the suppression list and the auto-reply rules are kept (default data/).
+   */
+  constructor({ dataDir = PathHelper.resolve('data') } = {}) {
     this.sessionManager = new SessionManager();
     this.loadBalancer = new LoadBalancer(this.sessionManager);
     this.dispatcher = new Dispatcher(this.loadBalancer);
     this.parser = new ExcelParser();
-    this.stateFile = PathHelper.resolve('data', 'campaign_state.json');
+    this.retryPolicy = new RetryPolicy();
+    this.store = new CampaignStore(path.join(dataDir, 'campaigns'));
+    this.replyStore = new ReplyStore(path.join(dataDir, 'replies'));
+    this.contactHistory = new ContactHistory({ filePath: path.join(dataDir, 'contact_history.json') });
+    this.suppressionList = new SuppressionList({ filePath: path.join(dataDir, 'suppression_list.json') });
+    this.optOutPolicy = new OptOutPolicy();
+    this.autoReplyEngine = new AutoReplyEngine({ filePath: path.join(dataDir, 'auto_reply_rules.json') });
+    this.followUps = new FollowUpScheduler(this, { filePath: path.join(dataDir, 'follow_ups.json') });
     this.isPaused = false;
+    this.isCancelled = false;
+    this.activeRun = null;
+    this.runPromise = null;
+    this.wakeUp = null;
     this.eventEmitter = null;
-    this.currentState = null;
     this.messageHandlers = new Map();
+    this.unsavedProgress = 0;
+    this.lastCheckpointAt = Date.now();
   }
 
   /**
-   * Loads state from disk or creates new.
+   * Loads the persisted record of a campaign, without its contacts (see _getContact).
+   * @param {string} campaignId
+   * @returns {object|null}
    */
-  loadState() {
-    if (fs.existsSync(this.stateFile)) {
-      try {
-        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
-      } catch (err) {
-        logger.error(`Failed to load state: ${err.message}`);
-      }
-    }
-    return {
-      campaignId: null,
-      processedRows: [],
-      failedRows: [],
-      pendingRows: [],
-      messageStatus: {}
-    };
+  loadState(campaignId) {
+    // The store hands out the same object for as long as the campaign is open.
+    return this.store.open(campaignId);
   }
 
   saveState(state) {
-    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+    this.store.save(state);
+    this.contactHistory.flush();
+    this.unsavedProgress = 0;
+    this.lastCheckpointAt = Date.now();
+  }
+
+  /**
+   * Persists what changed for one contact by appending it to the campaign's
+   * progress log; the record and the changed contact buckets are saved every
+   * CHECKPOINT_EVERY entries or CHECKPOINT_INTERVAL_MS, and on every status change.
+   * @param {object} state
+   * @param {object} changes - { contactId, clientMessageId }
+   */
+  _recordProgress(state, { contactId, clientMessageId } = {}) {
+    // Counters are kept current by _updateContactOutcome.
+    const patch = { counters: state.counters, pendingRows: state.pendingRows };
+    const contacts = this.store.contacts(state.campaignId);
+    const contact = contactId ? contacts.get(contactId) : null;
+    if (contact) {
+      patch.contacts = { [contactId]: contact };
+    }
+    const message = contact && clientMessageId ? contacts.getMessage(contactId, clientMessageId) : null;
+    if (message) {
+      patch.messageStatus = { [clientMessageId]: message };
+    }
+    this.store.appendProgress(state.campaignId, patch);
+
+    this.unsavedProgress += 1;
+    if (this.unsavedProgress >= CHECKPOINT_EVERY || Date.now() - this.lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) {
+      this.saveState(state);
+    }
   }
 
   /**
@@ -86,109 +171,920 @@ class CampaignManager {
    * @param {string} messageTemplate 
    */
   async startCampaign(excelPath, messageTemplate, originalFilename, options = {}) {
+    if (this.runPromise) {
+      throw new Error(`Campaign ${this.activeRun?.campaignId} is still running.`);
+    }
+
     const campaignId = options.campaignId || createCampaignId();
+    this.activeRun = {
+      campaignId,
+      excelPath,
+      messageTemplate,
+      originalFilename,
+      options: { ...options, campaignId }
+    };
+    this.isPaused = false;
+    this.isCancelled = false;
+
+    this.runPromise = this._runCampaign(this.activeRun);
+    try {
+      const result = await this.runPromise;
+      if (result.status !== 'PAUSED') {
+        this.activeRun = null;
+      }
+      return result;
+    } catch (error) {
+      this._failCampaign(campaignId, error);
+      throw error;
+    } finally {
+      this.runPromise = null;
+    }
+  }
+
+  /**
+   * Marks a run that threw (e.g. an unreadable spreadsheet) as FAILED, so it is
+   * not left RUNNING and the manager accepts a new campaign.
+   */
+  _failCampaign(campaignId, error) {
+    logger.error(`${formatCorrelationTag(campaignId)} Campaign failed: ${error.message}`);
+    this.activeRun = null;
+    const state = this.loadState(campaignId);
+    if (!state) return;
+
+    state.status = 'FAILED';
+    state.error = error.message;
+    state.finishedAt = new Date().toISOString();
+    try {
+      this.saveState(state);
+    } catch (saveError) {
+      logger.error(`${formatCorrelationTag(campaignId)} Could not save the failed campaign: ${saveError.message}`);
+    }
+    this._emitEvent('campaign_failed', { campaignId, error: error.message });
+  }
+
+  async _runCampaign({ campaignId, excelPath, messageTemplate, originalFilename, options }) {
     const delayConfig = {
       minDelay: options.delayMin,
       maxDelay: options.delayMax
     };
-    let state = this.loadState();
-    state.campaignId = campaignId;
-    this.currentState = state;
+    const sendWindow = new SendWindow(options.sendWindow);
+    const retryPolicy = options.retry ? new RetryPolicy(options.retry) : this.retryPolicy;
+    const frequencyCap = new FrequencyCap(this.contactHistory, options.frequencyCap);
+    const state = this.store.open(campaignId) || this.store.createRecord({
+      campaignId,
+      sourceFile: { path: excelPath, originalFilename: originalFilename || null },
+      template: messageTemplate,
+      delayConfig
+    });
+    state.sendWindow = sendWindow.toJSON();
+    state.frequencyCap = frequencyCap.toJSON();
+    state.variants = options.variants || [];
+    // Everything startCampaign needs to pick the run up again after a restart.
+    state.sourceFile = { path: excelPath, originalFilename: originalFilename || null };
+    state.template = messageTemplate;
+    // Saved template (id, name, version) the message came from, if any.
+    state.templateRef = options.templateRef || null;
+    state.options = options;
+    state.status = 'RUNNING';
+    state.startedAt = state.startedAt || new Date().toISOString();
+    this.saveState(state);
     
-    // 1. Parse Excel
-    const parseResult = await this.parser.parse(excelPath, originalFilename);
-    if (parseResult.errors.length > 0) {
-      logger.warn(`Found ${parseResult.errors.length} formatting errors in Excel. Check logs.`);
+    // 1. Read the spreadsheet once to register its contacts and count them; the
+    //    send loop reads it again as a stream, so no contact list is kept in memory.
+    const parseOptions = {
+      attachments: AttachmentResolver.forCampaign(options.attachmentsDir),
+      sheet: options.sheet,
+      delimiter: options.delimiter,
+      encoding: options.encoding,
+      duplicates: options.duplicates,
+      country: options.country
+    };
+    //    Outcomes go to the campaign's contact buckets; only the processed rows are kept here.
+    const contacts = this.store.contacts(campaignId);
+    const processed = new Set();
+    const parseErrors = [];
+    let totalContacts = 0;
+    let remaining = 0;
+    const registration = await this.parser.open(excelPath, originalFilename, parseOptions);
+    for await (const entry of registration) {
+      if (entry.error) {
+        parseErrors.push(entry.error);
+        continue;
+      }
+      const { contact } = entry;
+      const contactId = createContactId(contact.row);
+      totalContacts += 1;
+      const outcome = contacts.get(contactId);
+      if (!outcome) {
+        const created = this._createContactOutcome(contact);
+        created.variantId = pickVariant(state.variants, `${campaignId}:${contactId}`)?.id || null;
+        contacts.set(contactId, created);
+        this._tallyContact(state.counters, created, 1);
+      } else if (CampaignStore.isProcessed(outcome)) {
+        processed.add(contact.row);
+      }
+      if (!processed.has(contact.row)) remaining += 1;
     }
+    if (parseErrors.length > 0) {
+      logger.warn(`Found ${parseErrors.length} formatting errors in Excel. Check logs.`);
+    }
+    state.counters.invalid = parseErrors.length;
+    // Numbers repeated in the spreadsheet are messaged once (options.duplicates picks the row).
+    const { duplicates } = registration;
+    if (duplicates.length > 0) {
+      logger.warn(`${formatCorrelationTag(campaignId)} ${duplicates.length} phone number(s) appear on more than one row; each is messaged once.`);
+    }
+    this.store.saveParseResult(campaignId, { parseErrors, duplicates });
+    this.saveState(state);
 
-    const allContacts = parseResult.contacts;
-    
-    // 2. Filter already processed
-    const toProcess = allContacts.filter(c => !state.processedRows.includes(c.row));
+    // 2. Stream the contacts not processed yet. Rows waiting for a retry keep their backoff.
+    const retryAt = new Map(state.pendingRows.map((entry) => [entry.row, Date.parse(entry.nextAttemptAt) || 0]));
+    const retries = [];
+    const cursor = await this.parser.open(excelPath, originalFilename, parseOptions);
+    const rows = cursor[Symbol.asyncIterator]();
+    // Read one contact ahead, so the loop knows whether anything is left (null: spreadsheet done).
+    let upcoming;
+    const peek = async () => {
+      if (upcoming === undefined) {
+        upcoming = await this._nextContact(rows, processed, retryAt, retries);
+      }
+      return upcoming;
+    };
     this._emitEvent('campaign_started', {
       campaignId,
-      totalContacts: allContacts.length,
-      remaining: toProcess.length
+      totalContacts,
+      remaining
     });
-    logger.info(`${formatCorrelationTag(campaignId)} Starting campaign. Total: ${allContacts.length}, Remaining: ${toProcess.length}`);
+    logger.info(`${formatCorrelationTag(campaignId)} Starting campaign. Total: ${totalContacts}, Remaining: ${remaining}`);
 
-    // 3. Process Loop
-    for (const contact of toProcess) {
-       if (this.isPaused) {
-         logger.info('Campaign PAUSED.');
-         break;
-       }
+    // 3. Process Loop: spreadsheet order first, then the retries as they come due.
+    try {
+      while ((await peek()) || retries.length > 0) {
+         if (this.isCancelled) {
+           logger.info(`${formatCorrelationTag(campaignId)} Campaign CANCELLED.`);
+           break;
+         }
+         if (this.isPaused) {
+           logger.info(`${formatCorrelationTag(campaignId)} Campaign PAUSED.`);
+           break;
+         }
+         if (!(await this._waitForSendWindow(state, sendWindow))) {
+           // Paused or cancelled while waiting for the window to open.
+           break;
+         }
 
-       try {
+         let contact = upcoming;
+         if (contact) {
+           upcoming = undefined;
+         } else {
+           const dueIndex = retries.findIndex((entry) => entry.notBefore <= Date.now());
+           if (dueIndex === -1) {
+             // Only retries in backoff are left.
+             const nextAttempt = Math.min(...retries.map((entry) => entry.notBefore));
+             await this._sleep(Math.min(nextAttempt - Date.now(), MAX_WAIT_CHUNK_MS));
+             continue;
+           }
+           [{ contact }] = retries.splice(dueIndex, 1);
+         }
          const contactId = createContactId(contact.row);
          const clientMessageId = createMessageId();
-         const correlationId = buildCorrelationId({
-           campaignId,
-           contactId,
-           messageId: clientMessageId
-         });
-         const correlationTag = formatCorrelationTag(correlationId);
-
-         const variables = {
-           nome: contact.name,
-           telefone: contact.phone,
-           ...contact
-         };
-
-         const result = await this.dispatcher.dispatch({
-           phone: contact.phone,
-           messageTemplate,
-           variables,
-           correlation: {
+         const outcome = contacts.get(contactId);
+         const attemptNumber = (outcome?.attempts?.length || 0) + 1;
+         const variantId = outcome?.variantId || null;
+         const template = this._resolveTemplate(state, variantId, messageTemplate);
+
+         // Checked right before sending, so opt-outs and sends made earlier in this run count too.
+         if (this.suppressionList.has(contact.phone)) {
+           this._skipContact(state, contact, 'SKIPPED_OPT_OUT', 'Number is on the suppression list (opt-out).');
+           continue;
+         }
+         const capCheck = frequencyCap.check(contact.phone, template);
+         if (!capCheck.allowed) {
+           this._skipContact(state, contact, 'SKIPPED_FREQUENCY_CAP', capCheck.reason);
+           continue;
+         }
+
+         try {
+           const correlationId = buildCorrelationId({
+             campaignId,
+             contactId,
+             messageId: clientMessageId
+           });
+           const correlationTag = formatCorrelationTag(correlationId);
+
+           const variables = this._buildVariables(contact);
+
+           const result = await this.dispatcher.dispatch({
+             phone: contact.phone,
+             messageTemplate: template,
+             variables,
+             correlation: {
+               campaignId,
+               contactId,
+               clientMessageId,
+               correlationId,
+               variantId
+             },
+             delayConfig,
+             media: this._resolveMedia(contact, options),
+             // A voice note whose text went out before the audio failed only resends the audio.
+             textSent: Boolean(outcome?.textSentAt)
+           });
+
+           this._updateMessageStatus(state, contactId, clientMessageId, {
+             campaignId,
+             contactId,
+             phone: contact.phone,
+             variantId,
+             status: result.status,
+             updatedAt: new Date().toISOString()
+           });
+           this._recordAttempt(state, contactId, {
+             attempt: attemptNumber,
+             status: result.status,
+             chip: result.chip || null
+           });
+           this._updateContactOutcome(state, contactId, {
+             status: result.status,
+             chip: result.chip || null,
+             clientMessageId,
+             messageId: result.messageId || null,
+             jid: result.jid || null,
+             error: null,
+             sentAt: new Date().toISOString(),
+             step: 1
+           });
+           // Recorded even with the frequency cap off: after a restart, replies are
+           // matched to their campaign through this history (_recordReply).
+           this.contactHistory.record(contact.phone, { campaignId, contactId, template });
+           this.followUps.scheduleNext(state, contactId);
+
+           this._emitEvent('message_status', {
              campaignId,
              contactId,
              clientMessageId,
-             correlationId
-           },
-           delayConfig
-         });
-
-         state.messageStatus[clientMessageId] = {
-           campaignId,
-           contactId,
-           phone: contact.phone,
-           status: result.status,
-           updatedAt: new Date().toISOString()
-         };
-
-         this._emitEvent('message_status', {
-           campaignId,
-           contactId,
-           clientMessageId,
-           correlationId,
-           status: result.status,
-           phone: contact.phone
-         });
+             correlationId,
+             variantId,
+             status: result.status,
+             phone: contact.phone
+           });
          
-         if (result.status === 'SERVER_ACK') {
-            state.processedRows.push(contact.row);
-            logger.info(`${correlationTag} Row ${contact.row} server ack -> ${contact.phone}`);
+           if (result.status === 'SERVER_ACK') {
+              state.pendingRows = state.pendingRows.filter((entry) => entry.row !== contact.row);
+              logger.info(`${correlationTag} Row ${contact.row} server ack -> ${contact.phone}`);
+           }
+         } catch (err) {
+           if (err.textSent && !outcome?.textSentAt) {
+             this._updateContactOutcome(state, contactId, { textSentAt: new Date().toISOString() });
+           }
+           if (FLEET_ERROR_CODES.includes(err.code)) {
+             // Sent next, once a chip can take it.
+             upcoming = contact;
+             await this._waitForSessions(state, err);
+             continue;
+           }
+
+           const correlationTag = formatCorrelationTag(buildCorrelationId({ campaignId, contactId }));
+           const classification = retryPolicy.classify(err);
+           this._recordAttempt(state, contactId, {
+             attempt: attemptNumber,
+             status: 'FAILED',
+             error: err.message,
+             classification
+           });
+           state.pendingRows = state.pendingRows.filter((entry) => entry.row !== contact.row);
+
+           if (retryPolicy.shouldRetry(classification, attemptNumber)) {
+             const delay = retryPolicy.getDelay(attemptNumber);
+             const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+             retries.push({ contact, notBefore: Date.now() + delay });
+             state.pendingRows.push({ row: contact.row, attempts: attemptNumber, nextAttemptAt });
+             this._updateContactOutcome(state, contactId, { status: 'RETRY_SCHEDULED', error: err.message });
+             this._emitEvent('message_retry_scheduled', {
+               campaignId,
+               contactId,
+               phone: contact.phone,
+               attempt: attemptNumber,
+               nextAttemptAt,
+               error: err.message
+             });
+             logger.warn(`${correlationTag} Row ${contact.row} (${contact.phone}) failed with a ${classification} error: ${err.message}. Retry ${attemptNumber + 1}/${retryPolicy.maxAttempts} at ${nextAttemptAt}.`);
+           } else {
+             logger.error(`${correlationTag} Failed Row ${contact.row} (${contact.phone}) after ${attemptNumber} attempt(s) [${classification}]: ${err.message}`);
+             // Permanent errors and exhausted retries are final, so the row is not picked up again.
+             this._updateContactOutcome(state, contactId, { status: 'FAILED', error: err.message });
+           }
          }
-       } catch (err) {
-         const contactId = createContactId(contact.row);
-         logger.error(`${formatCorrelationTag(buildCorrelationId({ campaignId, contactId }))} Failed Row ${contact.row} (${contact.phone}): ${err.message}`);
-         state.failedRows.push({ row: contact.row, error: err.message });
-         // We might mark as processed to skip next time, or keep to retry. 
-         // For now, let's mark processed so we don't loop forever on bad numbers.
-         state.processedRows.push(contact.row); 
-       }
 
-       // Save state after each step for resilience
-       this.saveState(state);
+         // Persist this step for resilience
+         this._recordProgress(state, { contactId, clientMessageId });
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (this.isCancelled) {
+      state.status = 'CANCELLED';
+      state.finishedAt = new Date().toISOString();
+    } else if (this.isPaused) {
+      state.status = 'PAUSED';
+    } else {
+      state.status = 'FINISHED';
+      state.finishedAt = new Date().toISOString();
+      this._emitEvent('campaign_finished', {
+        campaignId,
+        processed: state.counters.total - state.counters.remaining,
+        failed: state.counters.failed
+      });
+    }
+    this.saveState(state);
+    logger.info(`${formatCorrelationTag(campaignId)} Campaign execution stopped with status ${state.status}.`);
+    return { campaignId, status: state.status };
+  }
+
+  /**
+   * Marks a contact as final without dispatching it.
+   */
+  _skipContact(state, contact, status, reason) {
+    const { campaignId } = state;
+    const contactId = createContactId(contact.row);
+    this._updateContactOutcome(state, contactId, { status, error: reason });
+    state.pendingRows = state.pendingRows.filter((entry) => entry.row !== contact.row);
+    this._emitEvent('message_status', {
+      campaignId,
+      contactId,
+      status,
+      phone: contact.phone,
+      reason
+    });
+    logger.info(`${formatCorrelationTag(buildCorrelationId({ campaignId, contactId }))} Row ${contact.row} (${contact.phone}) skipped [${status}]: ${reason}`);
+    this._recordProgress(state, { contactId });
+  }
+
+  /**
+   * Next contact of the cursor still to send. Processed and invalid rows are
+   * skipped; rows whose retry (from a previous run) is not due yet go to `retries`.
+   * @returns {Promise<object|null>} null once the spreadsheet is exhausted.
+   */
+  async _nextContact(contacts, processed, retryAt, retries) {
+    for (;;) {
+      const { value: entry, done } = await contacts.next();
+      if (done) return null;
+      if (!entry.contact || processed.has(entry.contact.row)) continue;
+
+      const notBefore = retryAt.get(entry.contact.row) || 0;
+      if (notBefore <= Date.now()) return entry.contact;
+      retries.push({ contact: entry.contact, notBefore });
     }
+  }
+
+  /**
+   * Renders the first contacts of a spreadsheet exactly as a campaign would,
+   * using the Dispatcher's dryRun mode. Nothing is sent and no state is persisted.
+   * @param {string} excelPath
+   * @param {string} messageTemplate
+   * @param {string} originalFilename
+   * @param {object} options - { limit, delayMin, delayMax, media, attachmentsDir, variants } (delays in ms)
+   */
+  async previewCampaign(excelPath, messageTemplate, originalFilename, options = {}) {
+    const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : 5;
+    const delayConfig = {
+      minDelay: options.delayMin,
+      maxDelay: options.delayMax
+    };
+
+    const parseResult = await this.parser.parse(excelPath, originalFilename, {
+      attachments: AttachmentResolver.forCampaign(options.attachmentsDir),
+      sheet: options.sheet,
+      delimiter: options.delimiter,
+      encoding: options.encoding,
+      duplicates: options.duplicates,
+      country: options.country
+    });
+    // A separate dispatcher keeps the live round-robin position and delay range untouched.
+    const previewDispatcher = new Dispatcher(this.loadBalancer.snapshot());
+
+    const variants = options.variants || [];
+    const contacts = [];
+    for (const contact of parseResult.contacts.slice(0, limit)) {
+      const contactId = createContactId(contact.row);
+      // Previews have no campaign id yet, so the split shown is indicative only.
+      const variant = pickVariant(variants, contactId);
+      const result = await previewDispatcher.dispatch({
+        phone: contact.phone,
+        messageTemplate: variant ? variant.template : messageTemplate,
+        variables: this._buildVariables(contact),
+        correlation: { contactId },
+        delayConfig,
+        media: this._resolveMedia(contact, options),
+        dryRun: true
+      });
+      contacts.push({
+        row: contact.row,
+        name: contact.name,
+        phone: contact.phone,
+        message: result.message,
+        type: result.type,
+        variantId: variant?.id || null,
+        attachment: contact.attachment?.fileName || null,
+        chip: result.chip,
+        delays: result.delays
+      });
+    }
+
+    return {
+      totalContacts: parseResult.contacts.length,
+      contacts,
+      errors: parseResult.errors,
+      duplicates: parseResult.duplicates,
+      sheets: parseResult.sheets,
+      sheet: parseResult.sheet,
+      headerRow: parseResult.headerRow,
+      dialect: parseResult.dialect
+    };
+  }
+
+  /**
+   * Lints the campaign's templates (message, A/B variants and follow-ups)
+   * against the spreadsheet before launch. Nothing is sent.
+   * @returns {Promise<{valid: boolean, columns: string[], sheets: Array, sheet: string|null, dialect: object|null, totalContacts: number, parseErrors: number, duplicates: Array, templates: Array}>}
+   */
+  async lintCampaign(excelPath, messageTemplate, originalFilename, options = {}) {
+    const parseResult = await this.parser.parse(excelPath, originalFilename, {
+      attachments: AttachmentResolver.forCampaign(options.attachmentsDir),
+      sheet: options.sheet,
+      delimiter: options.delimiter,
+      encoding: options.encoding,
+      duplicates: options.duplicates,
+      country: options.country
+    });
+    const context = {
+      columns: parseResult.columns,
+      rows: parseResult.contacts.map((contact) => ({ row: contact.row, variables: this._buildVariables(contact) }))
+    };
+
+    const variants = options.variants || [];
+    const targets = variants.length > 0
+      ? variants.map((variant) => ({ target: 'variant', variantId: variant.id, template: variant.template }))
+      : [{ target: 'message', template: messageTemplate }];
+    (options.followUps || []).forEach((followUp, index) => {
+      targets.push({ target: 'followUp', step: index + 2, template: followUp.message });
+    });
+
+    const templates = targets.map(({ template, ...target }) => ({ ...target, ...lintTemplate(template, context) }));
+    return {
+      valid: templates.every((template) => template.valid),
+      columns: parseResult.columns,
+      sheets: parseResult.sheets,
+      sheet: parseResult.sheet,
+      dialect: parseResult.dialect,
+      totalContacts: parseResult.contacts.length,
+      parseErrors: parseResult.errors.length,
+      duplicates: parseResult.duplicates,
+      templates
+    };
+  }
+
+  /**
+   * Renders again the message a contact was sent. Spintax choices are seeded
+   * with the campaign and contact ids, so the text matches what went out
+   * (unless the spreadsheet values differ).
+   * @param {string} campaignId
+   * @param {string} contactId
+   * @param {number} step - 1 for the campaign message, 2+ for follow-ups.
+   * @returns {object|null} null when the campaign, contact or step does not exist.
+   */
+  renderContactMessage(campaignId, contactId, step = 1) {
+    const state = this.loadState(campaignId);
+    const contact = state ? this._getContact(state, contactId) : null;
+    if (!contact) return null;
+
+    const template = step === 1
+      ? this._resolveTemplate(state, contact.variantId, state.template)
+      : state.options?.followUps?.[step - 2]?.message;
+    if (template === undefined) return null;
 
-    this._emitEvent('campaign_finished', {
+    return {
       campaignId,
-      processed: state.processedRows.length,
-      failed: state.failedRows.length
+      contactId,
+      step,
+      variantId: contact.variantId || null,
+      message: applyTemplate(
+        template,
+        this._buildVariables({ name: contact.name, phone: contact.phone, ...contact.variables }),
+        { seed: buildCorrelationId({ campaignId, contactId }) }
+      )
+    };
+  }
+
+  /**
+   * Template of the contact's A/B variant, or the campaign template when there are no variants.
+   */
+  _resolveTemplate(state, variantId, messageTemplate) {
+    const variant = variantId ? (state.variants || []).find((entry) => entry.id === variantId) : null;
+    return variant ? variant.template : messageTemplate;
+  }
+
+  _buildVariables(contact) {
+    const { attachment, ...fields } = contact;
+    return {
+      nome: contact.name,
+      telefone: contact.phone,
+      ...fields
+    };
+  }
+
+  /**
+   * A per-contact attachment (spreadsheet "arquivo" column) goes out as a document
+   * and takes precedence over the campaign-wide media.
+   */
+  _resolveMedia(contact, options) {
+    if (contact.attachment) {
+      return { type: 'document', ...contact.attachment };
+    }
+    return options.media || null;
+  }
+
+  /**
+   * Suspends the loop while the send window is closed.
+   * @returns {Promise<boolean>} false when the campaign was paused/cancelled meanwhile.
+   */
+  async _waitForSendWindow(state, sendWindow) {
+    if (sendWindow.isOpen()) return true;
+
+    const { campaignId } = state;
+    let opensAt = sendWindow.nextOpening();
+    if (!opensAt) {
+      throw new Error('Send window has no opening in the next 12 months. Check weekdays and blackout dates.');
+    }
+
+    state.status = 'WAITING_WINDOW';
+    this.saveState(state);
+    this._emitEvent('campaign_waiting_window', { campaignId, opensAt: opensAt.toISOString() });
+    logger.info(`${formatCorrelationTag(campaignId)} Send window closed. Waiting until ${opensAt.toISOString()}.`);
+
+    while (!sendWindow.isOpen()) {
+      if (this.isPaused || this.isCancelled) {
+        return false;
+      }
+      await this._sleep(Math.min(Math.max(opensAt.getTime() - Date.now(), 1000), MAX_WAIT_CHUNK_MS));
+      opensAt = sendWindow.nextOpening() || opensAt;
+    }
+    if (this.isPaused || this.isCancelled) {
+      return false;
+    }
+
+    state.status = 'RUNNING';
+    this.saveState(state);
+    this._emitEvent('campaign_resumed', { campaignId, reason: 'send_window_open' });
+    logger.info(`${formatCorrelationTag(campaignId)} Send window open. Resuming.`);
+    return true;
+  }
+
+  /**
+   * Waits after a FLEET_ERROR_CODES error: until the earliest chip cooldown ends
+   * or a chip turns READY. Pause and cancel cut the wait short too.
+   */
+  async _waitForSessions(state, error) {
+    const { campaignId } = state;
+    const sessions = this.sessionManager.getAllSessions();
+    let delay = FLEET_MIN_WAIT_MS;
+    if (!sessions.some((client) => client.isReady())) {
+      const cooldownEnds = sessions.map((client) => client.cooldownUntil).filter(Boolean);
+      delay = cooldownEnds.length > 0 ? Math.min(...cooldownEnds) - Date.now() : FLEET_POLL_MS;
+    }
+    delay = Math.min(Math.max(delay, FLEET_MIN_WAIT_MS), MAX_WAIT_CHUNK_MS);
+
+    const resumeAt = new Date(Date.now() + delay).toISOString();
+    this._emitEvent('campaign_waiting_sessions', { campaignId, resumeAt, error: error.message });
+    logger.warn(`${formatCorrelationTag(campaignId)} No chip can send (${error.message}). Waiting until ${resumeAt} or a chip is READY.`);
+
+    const onStatus = ({ status }) => {
+      if ((status === 'READY' || status === 'IDLE') && this.wakeUp) this.wakeUp();
+    };
+    sessions.forEach((client) => client.on('status', onStatus));
+    try {
+      await this._sleep(delay);
+    } finally {
+      sessions.forEach((client) => client.removeListener('status', onStatus));
+    }
+  }
+
+  /**
+   * Sleep that pause/cancel can cut short through this.wakeUp.
+   */
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        if (this.wakeUp === done) this.wakeUp = null;
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.wakeUp = done;
+    });
+  }
+
+  /**
+   * Returns the campaign currently owned by this manager (running or paused).
+   * @param {string} campaignId
+   */
+  getActiveCampaign(campaignId) {
+    if (!this.activeRun || (campaignId && this.activeRun.campaignId !== campaignId)) {
+      return null;
+    }
+    return this.activeRun;
+  }
+
+  /**
+   * Requests the send loop to stop after the contact currently in flight.
+   * @param {string} campaignId
+   */
+  pauseCampaign(campaignId) {
+    const run = this.getActiveCampaign(campaignId);
+    if (!run) {
+      throw new Error(`Campaign ${campaignId} is not active.`);
+    }
+    if (this.isCancelled) {
+      throw new Error(`Campaign ${campaignId} was cancelled.`);
+    }
+    if (this.isPaused) {
+      throw new Error(`Campaign ${campaignId} is already paused.`);
+    }
+
+    this.isPaused = true;
+    if (this.wakeUp) this.wakeUp();
+    logger.info(`${formatCorrelationTag(campaignId)} Pause requested.`);
+    this._emitEvent('campaign_paused', { campaignId });
+    return { campaignId, status: 'PAUSED' };
+  }
+
+  /**
+   * Whether resumeCampaign would accept this campaign: the active one while paused,
+   * or a stored one left PAUSED/INTERRUPTED by a previous process.
+   * @param {string} campaignId
+   */
+  isResumable(campaignId) {
+    if (this.getActiveCampaign(campaignId)) {
+      return this.isPaused && !this.isCancelled;
+    }
+    const record = this.store.open(campaignId);
+    return Boolean(record) && RESUMABLE_STATUSES.includes(record.status);
+  }
+
+  /**
+   * Resumes a paused campaign from the rows not processed yet.
+   * Campaigns from a previous process are rebuilt from their stored record.
+   * The send loop runs in background; the returned promise resolves once it finishes.
+   * @param {string} campaignId
+   */
+  async resumeCampaign(campaignId) {
+    const run = this.getActiveCampaign(campaignId);
+    if (!run) {
+      return this._resumeFromRecord(campaignId);
+    }
+    if (!this.isPaused || this.isCancelled) {
+      throw new Error(`Campaign ${campaignId} is not paused.`);
+    }
+
+    // The previous loop may still be waiting on the contact in flight.
+    if (this.runPromise) {
+      await this.runPromise;
+    }
+    if (this.isCancelled || !this.getActiveCampaign(campaignId)) {
+      throw new Error(`Campaign ${campaignId} was cancelled before resuming.`);
+    }
+
+    logger.info(`${formatCorrelationTag(campaignId)} Resuming campaign.`);
+    this._emitEvent('campaign_resumed', { campaignId });
+    return this.startCampaign(run.excelPath, run.messageTemplate, run.originalFilename, run.options);
+  }
+
+  async _resumeFromRecord(campaignId) {
+    const record = this.store.open(campaignId);
+    if (!record) {
+      throw new Error(`Campaign ${campaignId} not found.`);
+    }
+    if (!RESUMABLE_STATUSES.includes(record.status)) {
+      throw new Error(`Campaign ${campaignId} is ${record.status} and cannot be resumed.`);
+    }
+    if (this.runPromise) {
+      throw new Error(`Campaign ${this.activeRun?.campaignId} is still running.`);
+    }
+    const sourcePath = record.sourceFile?.path;
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error(`Source file of campaign ${campaignId} is no longer available.`);
+    }
+    if (record.options?.media && !fs.existsSync(record.options.media.path)) {
+      throw new Error(`Media file of campaign ${campaignId} is no longer available.`);
+    }
+
+    // Records written before options were persisted only carry the delay range.
+    const options = record.options || {
+      delayMin: record.delayConfig?.minDelay,
+      delayMax: record.delayConfig?.maxDelay,
+      sendWindow: record.sendWindow
+    };
+
+    logger.info(`${formatCorrelationTag(campaignId)} Resuming ${record.status.toLowerCase()} campaign from stored record.`);
+    this._emitEvent('campaign_resumed', { campaignId, reason: record.status.toLowerCase() });
+    return this.startCampaign(sourcePath, record.template, record.sourceFile.originalFilename, {
+      ...options,
+      campaignId
+    });
+  }
+
+  /**
+   * Flags campaigns a previous process left RUNNING/WAITING_WINDOW as INTERRUPTED.
+   * Call once on boot, before anything is started.
+   * @returns {Array} summaries of the interrupted campaigns (newest first)
+   */
+  recoverInterruptedCampaigns() {
+    this.store.list()
+      .filter((summary) => ACTIVE_STATUSES.includes(summary.status))
+      .filter((summary) => !this.getActiveCampaign(summary.campaignId))
+      .forEach((summary) => {
+        const record = this.store.open(summary.campaignId);
+        record.status = 'INTERRUPTED';
+        record.interruptedAt = new Date().toISOString();
+        this.saveState(record);
+        logger.warn(`${formatCorrelationTag(summary.campaignId)} Campaign was interrupted by a restart.`);
+      });
+    return this.getInterruptedCampaigns();
+  }
+
+  getInterruptedCampaigns() {
+    return this.store.list().filter((summary) => summary.status === 'INTERRUPTED');
+  }
+
+  /**
+   * Waits for READY sessions, then resumes the most recent interrupted campaign.
+   * @param {object} options
+   * @param {number} options.timeoutMs - How long to wait for a READY chip.
+   * @returns {Promise<object|null>} the resumed campaign summary, or null.
+   */
+  async autoResumeInterrupted({ timeoutMs = 300000 } = {}) {
+    const [latest] = this.getInterruptedCampaigns();
+    if (!latest) return null;
+
+    logger.info(`${formatCorrelationTag(latest.campaignId)} Auto-resume: waiting for READY sessions...`);
+    await this.sessionManager.waitForReady({ minReady: 1, timeoutMs });
+    await this.initialize();
+
+    // Fire and forget: the returned promise only settles once the campaign ends.
+    this.resumeCampaign(latest.campaignId).catch((err) => {
+      logger.error(`${formatCorrelationTag(latest.campaignId)} Auto-resume failed: ${err.message}`);
+      this._emitEvent('log', `[ERROR] Auto-resume Failed: ${err.message}`);
+    });
+    return latest;
+  }
+
+  /**
+   * Stops the campaign for good. Remaining rows are left unprocessed.
+   * Stored PAUSED/INTERRUPTED campaigns are simply marked CANCELLED.
+   * @param {string} campaignId
+   */
+  cancelCampaign(campaignId) {
+    const run = this.getActiveCampaign(campaignId);
+    if (!run) {
+      const record = this.store.open(campaignId);
+      if (!record || !RESUMABLE_STATUSES.includes(record.status)) {
+        throw new Error(`Campaign ${campaignId} is not active.`);
+      }
+      record.status = 'CANCELLED';
+      record.finishedAt = new Date().toISOString();
+      this.saveState(record);
+      this.followUps.cancelCampaign(campaignId);
+      this._emitEvent('campaign_cancelled', { campaignId });
+      return { campaignId, status: 'CANCELLED' };
+    }
+    if (this.isCancelled) {
+      throw new Error(`Campaign ${campaignId} was already cancelled.`);
+    }
+
+    this.isCancelled = true;
+    if (this.wakeUp) this.wakeUp();
+    logger.info(`${formatCorrelationTag(campaignId)} Cancel requested.`);
+
+    if (!this.runPromise) {
+      // Paused campaigns have no loop left to observe the flag.
+      const state = this.loadState(campaignId);
+      if (state) {
+        state.status = 'CANCELLED';
+        state.finishedAt = new Date().toISOString();
+        this.saveState(state);
+      }
+      this.activeRun = null;
+    }
+
+    this.followUps.cancelCampaign(campaignId);
+    this._emitEvent('campaign_cancelled', { campaignId });
+    return { campaignId, status: 'CANCELLED' };
+  }
+
+  _createContactOutcome(contact) {
+    const { row, name, phone, attachment, ...variables } = contact;
+    return {
+      row,
+      name,
+      phone,
+      variables,
+      attachment: attachment ? attachment.fileName : null,
+      status: 'PENDING',
+      chip: null,
+      clientMessageId: null,
+      messageId: null,
+      jid: null,
+      error: null,
+      variantId: null,
+      attempts: [],
+      sentAt: null,
+      step: 0,
+      deliveredAt: null,
+      readAt: null,
+      repliedAt: null,
+      replies: 0,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Merges new fields into a contact outcome without letting a late receipt
+   * (e.g. SERVER_ACK arriving after READ) move the status backwards.
+   */
+  _updateContactOutcome(state, contactId, fields) {
+    const contacts = this.store.contacts(state.campaignId);
+    const current = contacts.get(contactId);
+    if (!current) return;
+
+    const next = { ...current };
+    Object.entries(fields).forEach(([field, value]) => {
+      if (typeof value !== 'undefined' && value !== null) {
+        next[field] = value;
+      }
     });
-    logger.info(`${formatCorrelationTag(campaignId)} Campaign execution finished or paused.`);
-    return { campaignId };
+    if (fields.error === null) {
+      next.error = null;
+    }
+    if (fields.status && STATUS_RANK[fields.status] < STATUS_RANK[current.status]) {
+      next.status = current.status;
+    }
+    const now = new Date().toISOString();
+    if (DELIVERED_STATUSES.includes(next.status) && !next.deliveredAt) {
+      next.deliveredAt = now;
+    }
+    if (READ_STATUSES.includes(next.status) && !next.readAt) {
+      next.readAt = now;
+    }
+    next.updatedAt = now;
+    contacts.set(contactId, next);
+    if (state.counters) {
+      this._tallyContact(state.counters, current, -1);
+      this._tallyContact(state.counters, next, 1);
+    }
+  }
+
+  _recordAttempt(state, contactId, attempt) {
+    const contacts = this.store.contacts(state.campaignId);
+    const outcome = contacts.get(contactId);
+    if (!outcome) return;
+    contacts.set(contactId, {
+      ...outcome,
+      attempts: [...(outcome.attempts || []), { ...attempt, at: new Date().toISOString() }]
+    });
+  }
+
+  /**
+   * Outcome of one contact of a campaign, from its contact buckets.
+   * @returns {object|null}
+   */
+  _getContact(state, contactId) {
+    return this.store.contacts(state.campaignId).get(contactId);
+  }
+
+  /**
+   * Merges fields into the status of one message sent to a contact.
+   */
+  _updateMessageStatus(state, contactId, clientMessageId, fields) {
+    const contacts = this.store.contacts(state.campaignId);
+    contacts.setMessage(contactId, clientMessageId, { ...contacts.getMessage(contactId, clientMessageId), ...fields });
+  }
+
+  /**
+   * Adds (sign 1) or removes (sign -1) one contact's share of the counters, so a
+   * status change updates them without recounting the whole campaign.
+   */
+  _tallyContact(counters, contact, sign) {
+    const is = (statuses) => (statuses.includes(contact.status) ? sign : 0);
+    counters.total += sign;
+    counters.sent += is(SENT_STATUSES);
+    counters.delivered += is(DELIVERED_STATUSES);
+    counters.read += is(READ_STATUSES);
+    counters.failed += is(['FAILED']);
+    counters.retrying += is(['RETRY_SCHEDULED']);
+    counters.skipped += is(SKIPPED_STATUSES);
+    counters.replied += contact.repliedAt ? sign : 0;
+    counters.remaining += is(['PENDING', 'RETRY_SCHEDULED']);
   }
 
   setEventEmitter(emitter) {
@@ -214,20 +1110,192 @@ class CampaignManager {
 
     const handler = (update) => {
       const key = update.clientMessageId || update.messageId;
-      if (key && this.currentState?.messageStatus?.[key]) {
-        this.currentState.messageStatus[key] = {
-          ...this.currentState.messageStatus[key],
+      const state = update.campaignId && update.contactId ? this.loadState(update.campaignId) : null;
+      const message = key && state ? this.store.contacts(state.campaignId).getMessage(update.contactId, key) : null;
+      if (message) {
+        this._updateMessageStatus(state, update.contactId, key, {
           status: update.status,
+          messageId: update.messageId || message.messageId,
           updatedAt: new Date().toISOString()
-        };
-        this.saveState(this.currentState);
+        });
+        this._updateContactOutcome(state, update.contactId, {
+          status: update.status,
+          messageId: update.messageId,
+          chip: update.chipId,
+          error: update.error
+        });
+        this._recordProgress(state, { contactId: update.contactId, clientMessageId: key });
       }
       this._emitEvent('message_status', update);
     };
 
     client.on('message_status', handler);
+    client.on('message_received', (message) => {
+      this._handleInboundMessage(client, message).catch((error) => {
+        logger.error(`[${client.id}] Failed to handle inbound message: ${error.message}`);
+      });
+    });
     this.messageHandlers.set(client.id, handler);
   }
+
+  /**
+   * Scans a campaign's contact buckets for the contact with this phone.
+   * @returns {string|null}
+   */
+  _findContactIdByPhone(state, phone) {
+    const key = phoneKey(phone);
+    let found = null;
+    this.store.contacts(state.campaignId).forEachBucket(({ contacts }) => {
+      found = found || Object.keys(contacts).find((id) => phoneKey(contacts[id].phone) === key) || null;
+    });
+    return found;
+  }
+
+  async _handleInboundMessage(client, message) {
+    const reply = this._recordReply(client, message);
+    this._emitEvent('message_received', reply);
+    const optedOut = await this._handleOptOut(client, message);
+    if (!optedOut) {
+      await this._handleAutoReply(client, message, reply);
+    }
+  }
+
+  /**
+   * Links an inbound message to the campaign contact it answers and persists it.
+   * Uses the chip's in-memory tracker of the last outbound message to that jid;
+   * after a restart it falls back to the cross-campaign contact history.
+   */
+  _recordReply(client, message) {
+    let correlation = message.inReplyTo?.campaignId ? message.inReplyTo : null;
+    let correlatedBy = correlation ? 'tracker' : null;
+
+    if (!correlation && message.phone) {
+      const sends = this.contactHistory.getSends(message.phone);
+      const lastSend = sends[sends.length - 1];
+      const state = lastSend ? this.loadState(lastSend.campaignId) : null;
+      // Sends recorded before contact ids were stored are matched by phone.
+      const contactId = lastSend?.contactId || (state ? this._findContactIdByPhone(state, message.phone) : null);
+      const contact = contactId ? this._getContact(state, contactId) : null;
+      if (contact) {
+        correlation = {
+          campaignId: state.campaignId,
+          contactId,
+          clientMessageId: contact.clientMessageId,
+          messageId: contact.messageId
+        };
+        correlatedBy = 'history';
+      }
+    }
+
+    const receivedAt = new Date(message.timestamp || Date.now()).toISOString();
+    const reply = this.replyStore.add({
+      messageId: message.messageId,
+      campaignId: correlation?.campaignId || null,
+      contactId: correlation?.contactId || null,
+      clientMessageId: correlation?.clientMessageId || null,
+      outboundMessageId: correlation?.messageId || null,
+      correlatedBy,
+      chipId: client.id,
+      jid: message.jid,
+      phone: message.phone || null,
+      pushName: message.pushName || null,
+      text: message.text,
+      receivedAt
+    });
+
+    const state = reply.campaignId ? this.loadState(reply.campaignId) : null;
+    const contact = state && reply.contactId ? this._getContact(state, reply.contactId) : null;
+    if (contact) {
+      this._updateContactOutcome(state, reply.contactId, {
+        repliedAt: contact.repliedAt || receivedAt,
+        replies: (contact.replies || 0) + 1
+      });
+      this._recordProgress(state, { contactId: reply.contactId });
+      // Any reply ends the sequence for this contact.
+      this.followUps.cancelContact(state.campaignId, reply.contactId, 'replied');
+    }
+    return reply;
+  }
+
+  /**
+   * Adds the sender to the suppression list when the reply is an opt-out keyword
+   * and optionally confirms it back through the same chip.
+   * @returns {Promise<boolean>} true when the message was an opt-out keyword.
+   */
+  async _handleOptOut(client, message) {
+    const keyword = this.optOutPolicy.match(message.text);
+    if (!keyword) return false;
+    if (!message.phone) {
+      logger.warn(`[${client.id}] Opt-out "${keyword}" received from ${message.jid} without a phone number. Add it manually.`);
+      return true;
+    }
+
+    // With the "+", add() does not read the WhatsApp number as typed in the default country.
+    const { entry, created } = this.suppressionList.add(toE164(message.phone) || message.phone, {
+      source: 'keyword',
+      keyword,
+      chipId: client.id,
+      text: message.text
+    });
+    if (!created) return true;
+
+    logger.info(`[${client.id}] ${message.phone} opted out with "${keyword}".`);
+    this._emitEvent('contact_opted_out', entry);
+
+    if (this.optOutPolicy.sendConfirmation && this.optOutPolicy.confirmationMessage) {
+      try {
+        await client.sendMessage(message.phone, this.optOutPolicy.confirmationMessage);
+      } catch (error) {
+        logger.warn(`[${client.id}] Opt-out confirmation to ${message.phone} not sent: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Answers the reply with the first matching auto-reply rule, rendered with the
+   * contact's spreadsheet variables. Goes through WhatsAppClient.sendMessage, so
+   * the chip's rate limits and cooldowns apply.
+   */
+  async _handleAutoReply(client, message, reply) {
+    if (!message.phone || this.suppressionList.has(message.phone)) return;
+
+    const state = reply.campaignId ? this.loadState(reply.campaignId) : null;
+    const contact = state && reply.contactId ? this._getContact(state, reply.contactId) : null;
+    const rule = this.autoReplyEngine.match(message, {
+      chipId: client.id,
+      campaignId: reply.campaignId,
+      isFirstReply: contact?.replies === 1
+    });
+    if (!rule) return;
+
+    const variables = contact
+      ? this._buildVariables({ name: contact.name, phone: contact.phone, ...contact.variables })
+      : { nome: message.pushName || '', telefone: message.phone };
+    const text = applyTemplate(rule.response, variables);
+    // Cooldown starts before sending so a burst of replies gets a single answer.
+    this.autoReplyEngine.markReplied(rule, message.phone);
+
+    try {
+      const result = await client.sendMessage(message.phone, text, {
+        campaignId: reply.campaignId,
+        contactId: reply.contactId,
+        autoReplyRuleId: rule.id
+      });
+      logger.info(`[${client.id}] Auto-reply "${rule.name}" sent to ${message.phone}.`);
+      this._emitEvent('auto_reply_sent', {
+        ruleId: rule.id,
+        chipId: client.id,
+        campaignId: reply.campaignId,
+        contactId: reply.contactId,
+        phone: message.phone,
+        messageId: result?.messageId || null,
+        text
+      });
+    } catch (error) {
+      logger.warn(`[${client.id}] Auto-reply "${rule.name}" to ${message.phone} not sent: ${error.message}`);
+    }
+  }
 }
 
 module.exports = CampaignManager;
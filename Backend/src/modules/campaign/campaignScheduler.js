@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const { createCampaignId, formatCorrelationTag } = require('../utils/correlation');
+
+// setTimeout overflows above ~24.8 days, so long waits are re-armed in chunks.
+const MAX_TIMER_MS = 2147483647;
+const BUSY_RETRY_MS = 60000;
+
+/**
+ * CampaignScheduler
+ * Keeps campaigns that should start at a future date/time. Pending schedules are
+ * persisted in data/schedules.json and re-armed on boot via load().
+ */
+class CampaignScheduler {
+  constructor(campaignManager, options = {}) {
+    this.campaignManager = campaignManager;
+    this.filePath = options.filePath || PathHelper.resolve('data', 'schedules.json');
+    this.schedules = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Restores persisted schedules and arms the pending ones.
+   * Schedules that became due while the backend was down fire right away.
+   */
+  load() {
+    this.schedules.clear();
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        entries.forEach((entry) => this.schedules.set(entry.campaignId, entry));
+      } catch (err) {
+        logger.error(`Failed to load schedules: ${err.message}`);
+      }
+    }
+
+    const pending = this.list().filter((entry) => entry.status === 'PENDING');
+    pending.forEach((entry) => this._arm(entry));
+    if (pending.length > 0) {
+      logger.info(`Scheduler: ${pending.length} pending campaign(s) restored.`);
+    }
+    return pending;
+  }
+
+  /**
+   * Registers a campaign to start at scheduledAt.
+   * @param {object} params
+   * @param {string|Date} params.scheduledAt - When the campaign should start.
+   * @param {string} params.excelPath - Uploaded spreadsheet path.
+   * @param {string} params.messageTemplate
+   * @param {string} params.originalFilename
+   * @param {object} params.options - Same options accepted by CampaignManager.startCampaign.
+   */
+  schedule({ scheduledAt, excelPath, messageTemplate, originalFilename, options = {} }) {
+    const date = this._parseDate(scheduledAt);
+    const campaignId = options.campaignId || createCampaignId();
+    const now = new Date().toISOString();
+    const entry = {
+      campaignId,
+      scheduledAt: date.toISOString(),
+      status: 'PENDING',
+      createdAt: now,
+      updatedAt: now,
+      excelPath,
+      messageTemplate,
+      originalFilename: originalFilename || null,
+      options: { ...options, campaignId }
+    };
+
+    this.schedules.set(campaignId, entry);
+    this._persist();
+    this._arm(entry);
+    logger.info(`${formatCorrelationTag(campaignId)} Campaign scheduled for ${entry.scheduledAt}.`);
+    this.campaignManager._emitEvent('campaign_scheduled', this._summarize(entry));
+    return entry;
+  }
+
+  list() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+  }
+
+  get(campaignId) {
+    return this.schedules.get(campaignId) || null;
+  }
+
+  reschedule(campaignId, scheduledAt) {
+    const entry = this._getPending(campaignId);
+    entry.scheduledAt = this._parseDate(scheduledAt).toISOString();
+    entry.updatedAt = new Date().toISOString();
+    this._persist();
+    this._arm(entry);
+    logger.info(`${formatCorrelationTag(campaignId)} Campaign rescheduled to ${entry.scheduledAt}.`);
+    this.campaignManager._emitEvent('campaign_rescheduled', this._summarize(entry));
+    return entry;
+  }
+
+  cancel(campaignId) {
+    const entry = this._getPending(campaignId);
+    this._disarm(campaignId);
+    entry.status = 'CANCELLED';
+    entry.updatedAt = new Date().toISOString();
+    this._persist();
+    this._discardUploads(entry);
+    logger.info(`${formatCorrelationTag(campaignId)} Scheduled campaign cancelled.`);
+    this.campaignManager._emitEvent('campaign_schedule_cancelled', this._summarize(entry));
+    return entry;
+  }
+
+  /**
+   * Clears every timer without touching the persisted schedules.
+   */
+  stop() {
+    Array.from(this.timers.keys()).forEach((campaignId) => this._disarm(campaignId));
+  }
+
+  _getPending(campaignId) {
+    const entry = this.schedules.get(campaignId);
+    if (!entry) {
+      throw new Error(`Scheduled campaign ${campaignId} not found.`);
+    }
+    if (entry.status !== 'PENDING') {
+      throw new Error(`Scheduled campaign ${campaignId} is ${entry.status}.`);
+    }
+    return entry;
+  }
+
+  _parseDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid scheduledAt: ${value}`);
+    }
+    return date;
+  }
+
+  _arm(entry, delayOverride) {
+    this._disarm(entry.campaignId);
+    const delay = typeof delayOverride === 'number'
+      ? delayOverride
+      : Math.max(0, new Date(entry.scheduledAt).getTime() - Date.now());
+
+    const timer = setTimeout(() => {
+      this.timers.delete(entry.campaignId);
+      if (new Date(entry.scheduledAt).getTime() > Date.now()) {
+        this._arm(entry);
+        return;
+      }
+      this._launch(entry);
+    }, Math.min(delay, MAX_TIMER_MS));
+    this.timers.set(entry.campaignId, timer);
+  }
+
+  _disarm(campaignId) {
+    const timer = this.timers.get(campaignId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(campaignId);
+    }
+  }
+
+  _launch(entry) {
+    const tag = formatCorrelationTag(entry.campaignId);
+    if (entry.status !== 'PENDING') return;
+
+    // Only one campaign runs at a time; try again shortly instead of failing the schedule.
+    if (this._isBusy()) {
+      logger.warn(`${tag} Scheduled start is due but another campaign is running or paused. Retrying in ${BUSY_RETRY_MS}ms.`);
+      this._arm(entry, BUSY_RETRY_MS);
+      return;
+    }
+
+    logger.info(`${tag} Launching scheduled campaign.`);
+    this.campaignManager.initialize().then(() => {
+      // Cancelled, or the manager taken, while the sessions were connecting.
+      if (entry.status !== 'PENDING') return null;
+      if (this._isBusy()) {
+        this._arm(entry, BUSY_RETRY_MS);
+        return null;
+      }
+
+      entry.status = 'LAUNCHED';
+      entry.launchedAt = new Date().toISOString();
+      entry.updatedAt = entry.launchedAt;
+      this._persist();
+      return this.campaignManager.startCampaign(
+        entry.excelPath,
+        entry.messageTemplate,
+        entry.originalFilename,
+        entry.options
+      );
+    }, (err) => {
+      // No chip ready yet is as temporary as a busy manager.
+      if (entry.status !== 'PENDING') return null;
+      logger.warn(`${tag} Scheduled start is due but the sessions are not ready (${err.message}). Retrying in ${BUSY_RETRY_MS}ms.`);
+      this._arm(entry, BUSY_RETRY_MS);
+      return null;
+    }).catch((err) => {
+      entry.status = 'FAILED';
+      entry.error = err.message;
+      entry.updatedAt = new Date().toISOString();
+      this._persist();
+      logger.error(`${tag} Scheduled campaign failed: ${err.message}`);
+      this.campaignManager._emitEvent('log', `[ERROR] Scheduled Campaign Failed: ${err.message}`);
+    });
+  }
+
+  _isBusy() {
+    // A paused campaign has no run loop but still owns the manager until resumed or cancelled.
+    return Boolean(this.campaignManager.runPromise || this.campaignManager.getActiveCampaign());
+  }
+
+  /**
+   * Deletes the spreadsheet, media and extracted attachments uploaded for a
+   * schedule that will not run.
+   */
+  _discardUploads(entry) {
+    const { media, attachmentsDir } = entry.options || {};
+    [entry.excelPath, media?.path, attachmentsDir].filter(Boolean).forEach((uploadPath) => {
+      fs.rm(uploadPath, { recursive: true, force: true }, () => {});
+    });
+  }
+
+  _summarize(entry) {
+    const { campaignId, scheduledAt, status, originalFilename } = entry;
+    return { campaignId, scheduledAt, status, originalFilename };
+  }
+
+  _persist() {
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(this.list(), null, 2));
+  }
+}
+
+module.exports = CampaignScheduler;
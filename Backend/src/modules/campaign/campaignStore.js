@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const CampaignContacts = require('./campaignContacts');
+
+const SAFE_ID = /^[\w-]+$/;
+// Contacts still to be sent; any other status means the row was processed.
+const OPEN_STATUSES = ['PENDING', 'RETRY_SCHEDULED'];
+// Kept out of the {campaignId}.json record, so a save does not grow with the spreadsheet.
+const DETAIL_FIELDS = ['contacts', 'messageStatus', 'processedRows', 'failedRows', 'parseErrors', 'duplicates'];
+// Campaigns with a run in progress stay open; of the others (still getting receipts
+// and replies), only the OPEN_LIMIT most recently used do.
+const LIVE_STATUSES = ['RUNNING', 'WAITING_WINDOW', 'PAUSED'];
+const OPEN_LIMIT = 8;
+
+/**
+ * CampaignStore
+ * Persists each campaign under data/campaigns/, so a new campaign never inherits
+ * the progress of a previous one:
+ * - {campaignId}.json: status, options and counters;
+ * - {campaignId}.summary.json: what list() shows;
+ * - {campaignId}.contacts/: contact outcomes and message statuses (CampaignContacts);
+ * - {campaignId}.parse.json: the spreadsheet's invalid and duplicate rows;
+ * - {campaignId}.progress.jsonl: per-contact progress appended between saves.
+ * Opened campaigns are cached, so the log is only replayed on the first open;
+ * finished ones are saved and dropped from the cache past OPEN_LIMIT.
+ */
+class CampaignStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir || PathHelper.resolve('data', 'campaigns');
+    this.records = new Map();
+    this.contactBooks = new Map();
+  }
+
+  /**
+   * Builds an empty record for a new campaign.
+   * @param {object} data - Initial metadata (campaignId, sourceFile, template, delayConfig).
+   */
+  createRecord({ campaignId, sourceFile = null, template = '', delayConfig = {} }) {
+    const now = new Date().toISOString();
+    return {
+      campaignId,
+      status: 'CREATED',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      sourceFile,
+      template,
+      templateRef: null,
+      delayConfig,
+      counters: {
+        total: 0,
+        sent: 0,
+        delivered: 0,
+        read: 0,
+        failed: 0,
+        invalid: 0,
+        retrying: 0,
+        skipped: 0,
+        replied: 0,
+        remaining: 0
+      },
+      pendingRows: []
+    };
+  }
+
+  has(campaignId) {
+    const filePath = this._filePath(campaignId);
+    return Boolean(filePath) && fs.existsSync(filePath);
+  }
+
+  /**
+   * The campaign record without its per-contact data; use contacts() for that.
+   * The same object is returned until the store is recreated.
+   * @param {string} campaignId
+   * @returns {object|null}
+   */
+  open(campaignId) {
+    if (this.records.has(campaignId)) {
+      const cached = this.records.get(campaignId);
+      this._remember(cached);
+      return cached;
+    }
+    const filePath = this._filePath(campaignId);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      const record = this._detach(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      this._replayProgress(record);
+      this._remember(record);
+      return record;
+    } catch (err) {
+      logger.error(`Failed to load campaign ${campaignId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} campaignId
+   * @returns {CampaignContacts}
+   */
+  contacts(campaignId) {
+    if (!this.contactBooks.has(campaignId)) {
+      this.contactBooks.set(campaignId, new CampaignContacts(path.join(this.baseDir, `${campaignId}.contacts`)));
+    }
+    return this.contactBooks.get(campaignId);
+  }
+
+  /**
+   * The full campaign record, contacts included, as a copy. Reads every contact
+   * bucket, so it is meant for reports and details, not for the send loop.
+   * @param {string} campaignId
+   * @returns {object|null}
+   */
+  load(campaignId) {
+    const record = this.open(campaignId);
+    if (!record) {
+      return null;
+    }
+    const contacts = {};
+    const messageStatus = {};
+    this.contacts(campaignId).forEachBucket((bucket) => {
+      Object.assign(contacts, bucket.contacts);
+      Object.assign(messageStatus, bucket.messages);
+    });
+    const outcomes = Object.values(contacts).sort((a, b) => a.row - b.row);
+    const { parseErrors = [], duplicates = [] } = this._readParseResult(campaignId);
+    return JSON.parse(JSON.stringify({
+      ...record,
+      processedRows: outcomes.filter(CampaignStore.isProcessed).map((contact) => contact.row),
+      failedRows: outcomes.filter((contact) => contact.status === 'FAILED').map((contact) => {
+        const attempts = contact.attempts || [];
+        return {
+          row: contact.row,
+          error: contact.error,
+          classification: attempts[attempts.length - 1]?.classification || null,
+          attempts: attempts.length
+        };
+      }),
+      parseErrors,
+      duplicates,
+      messageStatus,
+      contacts
+    }));
+  }
+
+  /**
+   * Writes the record, its summary and the contact buckets changed since the
+   * last save, then drops the progress log they now include. A full record
+   * (e.g. from load()) also replaces the stored contacts it carries.
+   * @param {object} record
+   */
+  save(record) {
+    const header = this._write(record);
+    this._remember(header);
+    return header;
+  }
+
+  /**
+   * Saves a campaign and drops it from memory; the next open() reads it again.
+   * @param {string} campaignId
+   */
+  close(campaignId) {
+    const record = this.records.get(campaignId);
+    if (record) {
+      this._write(record);
+    }
+    this.records.delete(campaignId);
+    this.contactBooks.delete(campaignId);
+  }
+
+  _write(record) {
+    const filePath = this._filePath(record.campaignId);
+    if (!filePath) {
+      throw new Error(`Invalid campaign id: ${record.campaignId}`);
+    }
+    PathHelper.ensureDir(this.baseDir);
+    record.updatedAt = new Date().toISOString();
+    const header = this._detach(record);
+    this.contacts(record.campaignId).flush();
+    fs.writeFileSync(filePath, JSON.stringify(header, null, 2));
+    fs.writeFileSync(this._summaryPath(record.campaignId), JSON.stringify(this.summarize(header), null, 2));
+    fs.rmSync(this._progressPath(record.campaignId), { force: true });
+    return header;
+  }
+
+  // Most recently used last; closes the idle campaigns past OPEN_LIMIT.
+  _remember(record) {
+    this.records.delete(record.campaignId);
+    this.records.set(record.campaignId, record);
+    const idle = [...this.records.values()].filter((entry) => !LIVE_STATUSES.includes(entry.status));
+    idle.slice(0, Math.max(0, idle.length - OPEN_LIMIT)).forEach((entry) => this.close(entry.campaignId));
+  }
+
+  /**
+   * Stores the spreadsheet rows a campaign could not use. Written once per run,
+   * apart from the record.
+   * @param {string} campaignId
+   * @param {object} result - { parseErrors, duplicates }
+   */
+  saveParseResult(campaignId, { parseErrors = [], duplicates = [] }) {
+    PathHelper.ensureDir(this.baseDir);
+    fs.writeFileSync(this._parsePath(campaignId), JSON.stringify({ parseErrors, duplicates }, null, 2));
+  }
+
+  /**
+   * Appends a progress patch instead of rewriting anything. The first open()
+   * after a restart replays the patches and the next save() folds them in.
+   * @param {string} campaignId
+   * @param {object} patch - { contacts, messageStatus, pendingRows, counters };
+   *   contacts/messageStatus entries replace the stored ones, the other fields
+   *   replace the stored values.
+   */
+  appendProgress(campaignId, patch) {
+    const filePath = this._progressPath(campaignId);
+    if (!filePath) {
+      throw new Error(`Invalid campaign id: ${campaignId}`);
+    }
+    PathHelper.ensureDir(this.baseDir);
+    fs.appendFileSync(filePath, `${JSON.stringify(patch)}\n`);
+  }
+
+  /**
+   * Lists stored campaigns (newest first) from their summaries, without reading
+   * contacts or progress logs. Campaigns open in this process are summarized
+   * from memory, so their counters are current.
+   */
+  list() {
+    if (!fs.existsSync(this.baseDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.baseDir)
+      .filter((name) => /^[\w-]+\.json$/.test(name))
+      .map((name) => this._summary(path.basename(name, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  summarize(record) {
+    const {
+      campaignId,
+      status,
+      createdAt,
+      updatedAt,
+      startedAt,
+      finishedAt,
+      sourceFile,
+      template,
+      templateRef,
+      delayConfig,
+      counters
+    } = record;
+    return {
+      campaignId,
+      status,
+      createdAt,
+      updatedAt,
+      startedAt,
+      finishedAt,
+      sourceFile: sourceFile ? { originalFilename: sourceFile.originalFilename } : null,
+      template,
+      templateRef: templateRef || null,
+      delayConfig,
+      counters
+    };
+  }
+
+  _summary(campaignId) {
+    if (this.records.has(campaignId)) {
+      return this.summarize(this.records.get(campaignId));
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this._summaryPath(campaignId), 'utf8'));
+    } catch (err) {
+      // Saved before summaries existed: summarize it once.
+      const record = this.open(campaignId);
+      if (!record) return null;
+      const summary = this.summarize(record);
+      fs.writeFileSync(this._summaryPath(campaignId), JSON.stringify(summary, null, 2));
+      return summary;
+    }
+  }
+
+  /**
+   * Moves the per-contact fields of a record into the contact buckets and the
+   * parse result, and returns the record without them (the same object when it
+   * has none, e.g. the record from open()).
+   */
+  _detach(record) {
+    if (!DETAIL_FIELDS.some((field) => field in record)) {
+      return record;
+    }
+    const { contacts, messageStatus, parseErrors, duplicates } = record;
+    const header = Object.fromEntries(Object.entries(record).filter(([field]) => !DETAIL_FIELDS.includes(field)));
+    const book = this.contacts(record.campaignId);
+    Object.entries(contacts || {}).forEach(([contactId, outcome]) => book.set(contactId, outcome));
+    Object.entries(messageStatus || {}).forEach(([clientMessageId, entry]) => {
+      if (entry.contactId) book.setMessage(entry.contactId, clientMessageId, entry);
+    });
+    if (parseErrors || duplicates) {
+      this.saveParseResult(record.campaignId, { parseErrors, duplicates });
+    }
+    return header;
+  }
+
+  _readParseResult(campaignId) {
+    const filePath = this._parsePath(campaignId);
+    return filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  }
+
+  _replayProgress(record) {
+    const filePath = this._progressPath(record.campaignId);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return record;
+    }
+
+    const book = this.contacts(record.campaignId);
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      let patch;
+      try {
+        patch = JSON.parse(line);
+      } catch (err) {
+        // Last line cut short by a crash.
+        return;
+      }
+      // Entries replace the stored ones, so a patch already saved replays harmlessly.
+      Object.entries(patch.contacts || {}).forEach(([contactId, outcome]) => book.set(contactId, outcome));
+      Object.entries(patch.messageStatus || {}).forEach(([clientMessageId, entry]) => {
+        book.setMessage(entry.contactId, clientMessageId, entry);
+      });
+      if (patch.pendingRows) record.pendingRows = patch.pendingRows;
+      if (patch.counters) record.counters = patch.counters;
+    });
+    return record;
+  }
+
+  _filePath(campaignId) {
+    if (!campaignId || !SAFE_ID.test(campaignId)) {
+      return null;
+    }
+    return path.join(this.baseDir, `${campaignId}.json`);
+  }
+
+  _progressPath(campaignId) {
+    if (!campaignId || !SAFE_ID.test(campaignId)) {
+      return null;
+    }
+    return path.join(this.baseDir, `${campaignId}.progress.jsonl`);
+  }
+
+  _summaryPath(campaignId) {
+    return path.join(this.baseDir, `${campaignId}.summary.json`);
+  }
+
+  _parsePath(campaignId) {
+    if (!campaignId || !SAFE_ID.test(campaignId)) {
+      return null;
+    }
+    return path.join(this.baseDir, `${campaignId}.parse.json`);
+  }
+}
+
+/**
+ * Whether a contact outcome is final for the send loop (sent, failed or skipped).
+ * @param {object} contact
+ * @returns {boolean}
+ */
+CampaignStore.isProcessed = (contact) => !OPEN_STATUSES.includes(contact.status);
+
+module.exports = CampaignStore;
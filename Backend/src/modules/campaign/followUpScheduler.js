@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const Dispatcher = require('../dispatch/dispatcher');
+const SendWindow = require('../compliance/sendWindow');
+const {
+  createMessageId,
+  buildCorrelationId,
+  formatCorrelationTag
+} = require('../utils/correlation');
+
+// setTimeout overflows above ~24.8 days, so long waits are re-armed in chunks.
+const MAX_TIMER_MS = 2147483647;
+const HOUR_MS = 60 * 60 * 1000;
+// How long to wait before trying again when the step's chip is not READY.
+const CHIP_RETRY_MS = 5 * 60 * 1000;
+// The journal is folded into follow_ups.json once it has this many lines, or more
+// lines than there are queued steps, so compaction stays proportional to the sends.
+const COMPACT_MIN_LINES = 1000;
+
+function invalidFollowUps(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FOLLOW_UPS';
+  return error;
+}
+
+/**
+ * Validates the follow-up steps of a campaign (step 1 is the campaign message itself).
+ * @param {Array<{delayHours: number, message: string}>} steps - delayHours counts from step 1.
+ * @returns {Array<{delayHours: number, message: string}>} [] when there are none.
+ */
+function normalizeFollowUps(steps) {
+  if (steps === undefined || steps === null || steps === '') return [];
+  if (!Array.isArray(steps)) {
+    throw invalidFollowUps('followUps must be an array of { delayHours, message }');
+  }
+
+  return steps.map((step, index) => {
+    const delayHours = Number(step?.delayHours);
+    const message = String(step?.message || '');
+    const label = `followUps[${index}]`;
+    if (!Number.isFinite(delayHours) || delayHours <= 0) {
+      throw invalidFollowUps(`${label}.delayHours must be a number > 0`);
+    }
+    if (index > 0 && delayHours <= Number(steps[index - 1].delayHours)) {
+      throw invalidFollowUps(`${label}.delayHours must be greater than the previous step's`);
+    }
+    if (!message.trim()) {
+      throw invalidFollowUps(`${label}.message is required`);
+    }
+    return { delayHours, message };
+  });
+}
+
+/**
+ * Min-heap of pending steps by dueAt. Postponing a step pushes it again instead of
+ * moving it; nodes whose step is no longer PENDING at that dueAt are skipped.
+ */
+class DueQueue {
+  constructor() {
+    this.nodes = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(entry) {
+    const nodes = this.nodes;
+    nodes.push({ at: Date.parse(entry.dueAt), dueAt: entry.dueAt, entry });
+    let index = nodes.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (nodes[parent].at <= nodes[index].at) break;
+      [nodes[parent], nodes[index]] = [nodes[index], nodes[parent]];
+      index = parent;
+    }
+  }
+
+  /**
+   * @returns {object|null} the pending step due first.
+   */
+  peek() {
+    while (this.nodes.length > 0) {
+      const { dueAt, entry } = this.nodes[0];
+      if (entry.status === 'PENDING' && entry.dueAt === dueAt) return entry;
+      this._removeTop();
+    }
+    return null;
+  }
+
+  pop() {
+    const entry = this.peek();
+    if (entry) this._removeTop();
+    return entry;
+  }
+
+  _removeTop() {
+    const nodes = this.nodes;
+    const last = nodes.pop();
+    if (nodes.length === 0) return;
+    nodes[0] = last;
+    let index = 0;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < nodes.length && nodes[left].at < nodes[smallest].at) smallest = left;
+      if (right < nodes.length && nodes[right].at < nodes[smallest].at) smallest = right;
+      if (smallest === index) return;
+      [nodes[smallest], nodes[index]] = [nodes[index], nodes[smallest]];
+      index = smallest;
+    }
+  }
+}
+
+/**
+ * FollowUpScheduler
+ * Sends the follow-up steps of a campaign to contacts that did not reply. Each
+ * contact has at most one pending step, due delayHours after its step 1 and
+ * sent from the chip that sent step 1. Every change to a step is appended to
+ * data/follow_ups.journal.jsonl; compaction rewrites data/follow_ups.json with
+ * the pending steps only, so sent and cancelled steps are dropped from disk and
+ * from list() at that point. Pending steps are re-armed on boot via load().
+ */
+class FollowUpScheduler {
+  constructor(campaignManager, options = {}) {
+    this.campaignManager = campaignManager;
+    this.filePath = options.filePath || PathHelper.resolve('data', 'follow_ups.json');
+    this.journalPath = this.filePath.replace(/\.json$/, '') + '.journal.jsonl';
+    this.entries = null;
+    this.queue = null;
+    this.journalLines = 0;
+    this.timer = null;
+    this.armedAt = null;
+    this.processing = null;
+  }
+
+  /**
+   * Restores persisted follow-ups and arms the next pending one.
+   * Steps that became due while the backend was down go out right away.
+   */
+  load() {
+    this.entries = null;
+    const pending = this.list().filter((entry) => entry.status === 'PENDING');
+    if (this.journalLines > 0 || this.entries.size > pending.length) {
+      this._compact();
+    }
+    if (pending.length > 0) {
+      logger.info(`FollowUps: ${pending.length} pending follow-up(s) restored.`);
+    }
+    this._arm();
+    return pending;
+  }
+
+  /**
+   * @param {string} campaignId - Omit for every campaign.
+   * @returns {Array<object>} ordered by dueAt; finished steps until the next compaction.
+   */
+  list(campaignId) {
+    return [...this._entries().values()]
+      .filter((entry) => !campaignId || entry.campaignId === campaignId)
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  /**
+   * Queues the step after the last one the contact received, if the campaign has one.
+   * @param {object} state - Campaign record.
+   * @param {string} contactId
+   * @returns {object|null} the pending entry.
+   */
+  scheduleNext(state, contactId) {
+    const contact = this.campaignManager._getContact(state, contactId);
+    const steps = state.options?.followUps || [];
+    const nextStep = (contact?.step || 0) + 1;
+    const followUp = steps[nextStep - 2];
+    if (!contact || !followUp || !contact.sentAt || contact.repliedAt) return null;
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: `fu_${randomUUID()}`,
+      campaignId: state.campaignId,
+      contactId,
+      phone: contact.phone,
+      chipId: contact.chip,
+      step: nextStep,
+      totalSteps: steps.length + 1,
+      dueAt: new Date(Date.parse(contact.sentAt) + followUp.delayHours * HOUR_MS).toISOString(),
+      status: 'PENDING',
+      attempts: 0,
+      error: null,
+      clientMessageId: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this._entries().set(entry.id, entry);
+    this.queue.push(entry);
+    this._save(entry);
+    this._arm();
+    logger.info(`${formatCorrelationTag(buildCorrelationId(entry))} Follow-up step ${entry.step} scheduled for ${entry.dueAt}.`);
+    this.campaignManager._emitEvent('follow_up_scheduled', this._summarize(entry));
+    return entry;
+  }
+
+  /**
+   * Cancels the remaining steps of a contact (e.g. because it replied).
+   * @returns {number} how many steps were cancelled.
+   */
+  cancelContact(campaignId, contactId, reason) {
+    return this._cancel((entry) => entry.campaignId === campaignId && entry.contactId === contactId, reason);
+  }
+
+  cancelCampaign(campaignId, reason = 'campaign_cancelled') {
+    return this._cancel((entry) => entry.campaignId === campaignId, reason);
+  }
+
+  /**
+   * Clears the timer without touching the persisted follow-ups.
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.armedAt = null;
+    }
+  }
+
+  _cancel(predicate, reason) {
+    const cancelled = [...this._entries().values()].filter((entry) => entry.status === 'PENDING' && predicate(entry));
+    if (cancelled.length === 0) return 0;
+
+    cancelled.forEach((entry) => {
+      this._finish(entry, 'CANCELLED', { error: reason });
+      this.campaignManager._emitEvent('follow_up_cancelled', { ...this._summarize(entry), reason });
+    });
+    this._arm();
+    logger.info(`${formatCorrelationTag(cancelled[0].campaignId)} ${cancelled.length} follow-up(s) cancelled: ${reason}.`);
+    return cancelled.length;
+  }
+
+  _arm() {
+    // The running batch re-arms when it is done.
+    if (this.processing) return;
+
+    this._entries();
+    const next = this.queue.peek();
+    if (!next) {
+      this.stop();
+      return;
+    }
+
+    const fireAt = Math.min(Date.parse(next.dueAt), Date.now() + MAX_TIMER_MS);
+    // A timer that fires first is already armed; the batch it starts re-arms for the rest.
+    if (this.timer && this.armedAt <= fireAt) return;
+
+    this.stop();
+    this.armedAt = fireAt;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.armedAt = null;
+      this._processDue();
+    }, Math.max(0, fireAt - Date.now()));
+  }
+
+  /**
+   * Sends the due steps one at a time, so chip delays and cooldowns apply between them.
+   */
+  _processDue() {
+    if (this.processing) return this.processing;
+
+    this.processing = (async () => {
+      this._entries();
+      let due;
+      while ((due = this.queue.peek()) && Date.parse(due.dueAt) <= Date.now()) {
+        // Postponing pushes the step back with its new dueAt.
+        this.queue.pop();
+        try {
+          await this._send(due);
+        } catch (err) {
+          this._finish(due, 'FAILED', { error: err.message });
+          logger.error(`${formatCorrelationTag(buildCorrelationId(due))} Follow-up step ${due.step} failed: ${err.message}`);
+        }
+      }
+    })().finally(() => {
+      this.processing = null;
+      this._arm();
+    });
+    return this.processing;
+  }
+
+  async _send(entry) {
+    const manager = this.campaignManager;
+    const correlationTag = formatCorrelationTag(buildCorrelationId(entry));
+    const state = manager.loadState(entry.campaignId);
+    const contact = state ? manager._getContact(state, entry.contactId) : null;
+    const followUp = state?.options?.followUps?.[entry.step - 2];
+
+    if (!contact || !followUp || state.status === 'CANCELLED') {
+      this._finish(entry, 'CANCELLED', { error: 'campaign_cancelled' });
+      return;
+    }
+    if (contact.repliedAt) {
+      this._finish(entry, 'CANCELLED', { error: 'replied' });
+      return;
+    }
+    if (manager.suppressionList.has(entry.phone)) {
+      this._finish(entry, 'CANCELLED', { error: 'opt_out' });
+      return;
+    }
+
+    const sendWindow = new SendWindow(state.options.sendWindow);
+    if (!sendWindow.isOpen()) {
+      const opensAt = sendWindow.nextOpening();
+      if (!opensAt) {
+        this._finish(entry, 'FAILED', { error: 'Send window has no opening in the next 12 months.' });
+        return;
+      }
+      this._postpone(entry, opensAt.getTime());
+      logger.info(`${correlationTag} Send window closed. Follow-up step ${entry.step} moved to ${entry.dueAt}.`);
+      return;
+    }
+
+    const client = manager.sessionManager.getSession(entry.chipId);
+    if (!client) {
+      this._finish(entry, 'FAILED', { error: `Chip ${entry.chipId} is no longer available.` });
+      logger.warn(`${correlationTag} Follow-up step ${entry.step} dropped: chip ${entry.chipId} was removed.`);
+      return;
+    }
+    if (!client.isReady()) {
+      this._postpone(entry, Date.now() + CHIP_RETRY_MS);
+      logger.warn(`${correlationTag} Chip ${entry.chipId} is ${client.status}. Follow-up step ${entry.step} retried at ${entry.dueAt}.`);
+      return;
+    }
+
+    const clientMessageId = createMessageId();
+    const correlationId = buildCorrelationId({ ...entry, messageId: clientMessageId });
+    entry.attempts += 1;
+    try {
+      // Pinned to the chip that sent step 1 instead of the round-robin.
+      const dispatcher = new Dispatcher({ getNextClient: () => client });
+      const result = await dispatcher.dispatch({
+        phone: entry.phone,
+        messageTemplate: followUp.message,
+        variables: manager._buildVariables({ name: contact.name, phone: contact.phone, ...contact.variables }),
+        correlation: {
+          campaignId: entry.campaignId,
+          contactId: entry.contactId,
+          clientMessageId,
+          correlationId,
+          step: entry.step
+        },
+        delayConfig: state.delayConfig
+      });
+
+      manager._updateMessageStatus(state, entry.contactId, clientMessageId, {
+        campaignId: entry.campaignId,
+        contactId: entry.contactId,
+        phone: entry.phone,
+        step: entry.step,
+        status: result.status,
+        updatedAt: new Date().toISOString()
+      });
+      manager._updateContactOutcome(state, entry.contactId, { step: entry.step });
+      manager.contactHistory.record(entry.phone, {
+        campaignId: entry.campaignId,
+        contactId: entry.contactId,
+        template: followUp.message
+      });
+      manager._recordProgress(state, { contactId: entry.contactId, clientMessageId });
+
+      this._finish(entry, 'SENT', { clientMessageId, messageId: result.messageId || null, error: null });
+      logger.info(`${formatCorrelationTag(correlationId)} Follow-up step ${entry.step}/${entry.totalSteps} sent -> ${entry.phone}`);
+      manager._emitEvent('follow_up_sent', { ...this._summarize(entry), clientMessageId, correlationId });
+      this.scheduleNext(state, entry.contactId);
+    } catch (err) {
+      const classification = manager.retryPolicy.classify(err);
+      if (manager.retryPolicy.shouldRetry(classification, entry.attempts)) {
+        this._postpone(entry, Date.now() + manager.retryPolicy.getDelay(entry.attempts), err.message);
+        logger.warn(`${formatCorrelationTag(correlationId)} Follow-up step ${entry.step} failed with a ${classification} error: ${err.message}. Retry at ${entry.dueAt}.`);
+        return;
+      }
+      this._finish(entry, 'FAILED', { error: err.message });
+      logger.error(`${formatCorrelationTag(correlationId)} Follow-up step ${entry.step} failed after ${entry.attempts} attempt(s) [${classification}]: ${err.message}`);
+      manager._emitEvent('follow_up_failed', { ...this._summarize(entry), error: err.message });
+    }
+  }
+
+  _postpone(entry, timestamp, error = null) {
+    entry.dueAt = new Date(timestamp).toISOString();
+    entry.error = error;
+    entry.updatedAt = new Date().toISOString();
+    this._entries();
+    this.queue.push(entry);
+    this._save(entry);
+  }
+
+  _finish(entry, status, fields = {}) {
+    Object.assign(entry, fields, { status, updatedAt: new Date().toISOString() });
+    this._save(entry);
+  }
+
+  _summarize(entry) {
+    const { id, campaignId, contactId, phone, chipId, step, totalSteps, dueAt, status } = entry;
+    return { id, campaignId, contactId, phone, chipId, step, totalSteps, dueAt, status };
+  }
+
+  /**
+   * @returns {Map<string, object>} steps by id.
+   */
+  _entries() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    this.queue = new DueQueue();
+    this.journalLines = 0;
+    if (fs.existsSync(this.filePath)) {
+      try {
+        JSON.parse(fs.readFileSync(this.filePath, 'utf8')).forEach((entry) => this.entries.set(entry.id, entry));
+      } catch (err) {
+        logger.error(`Failed to load follow-ups: ${err.message}`);
+      }
+    }
+    this._replayJournal();
+    this.entries.forEach((entry) => {
+      if (entry.status === 'PENDING') this.queue.push(entry);
+    });
+    return this.entries;
+  }
+
+  // Changes saved after the last compaction; each line is the step as it was then.
+  _replayJournal() {
+    if (!fs.existsSync(this.journalPath)) return;
+    fs.readFileSync(this.journalPath, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, entry);
+        this.journalLines += 1;
+      } catch (err) {
+        // Last line cut short by a crash.
+      }
+    });
+  }
+
+  _save(entry) {
+    PathHelper.ensureDir(path.dirname(this.journalPath));
+    fs.appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`);
+    this.journalLines += 1;
+    if (this.journalLines >= Math.max(COMPACT_MIN_LINES, this.queue.size)) {
+      this._compact();
+    }
+  }
+
+  /**
+   * Rewrites follow_ups.json with the pending steps and clears the journal.
+   * A crash before the journal is removed only replays steps the file already has.
+   */
+  _compact() {
+    const pending = [...this._entries().values()].filter((entry) => entry.status === 'PENDING');
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(pending, null, 2));
+    fs.rmSync(this.journalPath, { force: true });
+    this.journalLines = 0;
+
+    this.entries = new Map(pending.map((entry) => [entry.id, entry]));
+    this.queue = new DueQueue();
+    pending.forEach((entry) => this.queue.push(entry));
+  }
+}
+
+FollowUpScheduler.normalizeFollowUps = normalizeFollowUps;
+
+module.exports = FollowUpScheduler;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+
+const SAFE_ID = /^[\w-]+$/;
+// Replies that could not be linked to any campaign.
+const UNCORRELATED = 'uncorrelated';
+
+/**
+ * ReplyStore
+ * Persists inbound replies under data/replies/{campaignId}.json, one file per
+ * campaign, plus data/replies/uncorrelated.json for everything else.
+ */
+class ReplyStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir || PathHelper.resolve('data', 'replies');
+  }
+
+  /**
+   * @param {object} reply - Built by CampaignManager; campaignId may be null.
+   * @returns {object} the stored reply.
+   */
+  add(reply) {
+    const filePath = this._filePath(reply.campaignId || UNCORRELATED);
+    if (!filePath) {
+      throw new Error(`Invalid campaign id: ${reply.campaignId}`);
+    }
+    const replies = this._read(filePath);
+    replies.push(reply);
+    PathHelper.ensureDir(this.baseDir);
+    fs.writeFileSync(filePath, JSON.stringify(replies, null, 2));
+    return reply;
+  }
+
+  /**
+   * @param {string} campaignId - Omit for the uncorrelated replies.
+   * @returns {Array<object>} oldest first.
+   */
+  list(campaignId) {
+    const filePath = this._filePath(campaignId || UNCORRELATED);
+    return filePath ? this._read(filePath) : [];
+  }
+
+  _read(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      logger.error(`Failed to load replies from ${filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  _filePath(campaignId) {
+    if (!campaignId || !SAFE_ID.test(campaignId)) {
+      return null;
+    }
+    return path.join(this.baseDir, `${campaignId}.json`);
+  }
+}
+
+module.exports = ReplyStore;
@@ -1,29 +1,147 @@
+const crypto = require('crypto');
+
+const SPIN_REGEX = /\{([^{}]+)\}/;
+const GROUP_MARKER = /\u0001(\d+)\u0001/g;
+// "\{", "\}", "\|" and "\\" become a two-character stand-in (same length, so
+// positions reported on the protected text still match the template).
+const ESCAPE_PREFIX = '\uE000';
+const ESCAPABLE = ['{', '}', '|', '\\'];
+const ESCAPE_REGEX = /\\([{}|\\])/g;
+const ESCAPED_REGEX = /\uE000([\uE001-\uE004])/g;
+
 /**
  * SpintaxParser
  * Handles variations like "{Hello|Hi|Hey}" to generate unique messages.
+ * A backslash makes a brace or pipe literal: "\{", "\}", "\|" (and "\\").
  */
 class SpintaxParser {
   /**
    * Resolves a Spintax string into a single variation.
    * @param {string} text - The text containing Spintax patterns.
+   * @param {object} options
+   * @param {string} options.seed - Same seed, same variation (e.g. campaign and contact ids).
+   * @param {Function} options.random - Source of numbers in [0, 1); defaults to Math.random.
    * @returns {string} - The resolved text.
    */
-  static parse(text) {
+  static parse(text, options = {}) {
     if (!text) return '';
-    
+    const random = options.random
+      || (options.seed !== undefined && options.seed !== null ? SpintaxParser.createRandom(options.seed) : Math.random);
+
     // Recursive regex to handle nested Spintax: {A|{B|C}}
-    const spinRegex = /\{([^{}]+)\}/;
-    
-    let processed = text;
-    while (spinRegex.test(processed)) {
-      processed = processed.replace(spinRegex, (match, content) => {
-        const options = content.split('|');
-        const randomOption = options[Math.floor(Math.random() * options.length)];
+    let processed = SpintaxParser.protectEscapes(text);
+    while (SPIN_REGEX.test(processed)) {
+      processed = processed.replace(SPIN_REGEX, (match, content) => {
+        const choices = content.split('|');
+        const randomOption = choices[Math.floor(random() * choices.length)];
         return randomOption;
       });
     }
-    
-    return processed;
+
+    return SpintaxParser.restoreEscapes(processed);
+  }
+
+  /**
+   * Counts the distinct variations a Spintax string can produce. Repeated
+   * options inside a group ("{Oi|Oi|Olá}") count once.
+   * @param {string} text - The text containing Spintax patterns.
+   * @returns {number}
+   */
+  static countVariations(text) {
+    if (!text) return 1;
+
+    const { root, groups } = SpintaxParser._resolveGroups(text);
+    const counts = [];
+    const countOf = (segment) => {
+      const markers = [...segment.matchAll(GROUP_MARKER)];
+      return markers.reduce((product, marker) => product * counts[Number(marker[1])], 1);
+    };
+    // Inner groups are resolved first, so their counts are known here.
+    groups.forEach((options) => {
+      counts.push(options.reduce((sum, option) => sum + countOf(option), 0));
+    });
+
+    return countOf(root);
+  }
+
+  /**
+   * Up to `limit` distinct variations: all of them, in order, when there are
+   * few enough; otherwise random draws (seedable, like parse()).
+   * @param {string} text - The text containing Spintax patterns.
+   * @param {number} limit
+   * @param {object} options - { seed } or { random }, as in parse().
+   * @returns {string[]}
+   */
+  static sample(text, limit = 10, options = {}) {
+    if (!text) return [''];
+    if (SpintaxParser.countVariations(text) <= limit) {
+      return SpintaxParser._enumerate(text);
+    }
+
+    const random = options.random
+      || (options.seed !== undefined && options.seed !== null ? SpintaxParser.createRandom(options.seed) : Math.random);
+    const variations = new Set();
+    // Duplicates are likely once most variations were drawn, so give up after a while.
+    for (let attempt = 0; attempt < limit * 20 && variations.size < limit; attempt += 1) {
+      variations.add(SpintaxParser.parse(text, { random }));
+    }
+    return [...variations];
+  }
+
+  /**
+   * Deterministic pseudo-random numbers in [0, 1) derived from a seed (mulberry32).
+   * @param {string} seed
+   * @returns {Function}
+   */
+  static createRandom(seed) {
+    let state = crypto.createHash('sha1').update(String(seed)).digest().readUInt32BE(0);
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Hides escaped braces and pipes from the Spintax (and template) syntax.
+   * Idempotent; restoreEscapes() turns them back into the literal characters.
+   */
+  static protectEscapes(text) {
+    return String(text).replace(ESCAPE_REGEX, (match, char) => {
+      return ESCAPE_PREFIX + String.fromCharCode(0xE001 + ESCAPABLE.indexOf(char));
+    });
+  }
+
+  static restoreEscapes(text) {
+    return String(text).replace(ESCAPED_REGEX, (match, code) => ESCAPABLE[code.charCodeAt(0) - 0xE001]);
+  }
+
+  /**
+   * Replaces every group, innermost first, with a marker holding its index.
+   * @returns {{root: string, groups: Array<string[]>}} groups hold their distinct options.
+   */
+  static _resolveGroups(text) {
+    const groups = [];
+    let processed = SpintaxParser.protectEscapes(text);
+    while (SPIN_REGEX.test(processed)) {
+      processed = processed.replace(SPIN_REGEX, (match, content) => {
+        groups.push([...new Set(content.split('|'))]);
+        return `\u0001${groups.length - 1}\u0001`;
+      });
+    }
+    return { root: processed, groups };
+  }
+
+  static _enumerate(text) {
+    const { root, groups } = SpintaxParser._resolveGroups(text);
+    const expand = (segment) => {
+      return [...segment.matchAll(GROUP_MARKER)].reduce((prefixes, marker) => {
+        const choices = groups[Number(marker[1])].flatMap(expand);
+        return prefixes.flatMap((prefix) => choices.map((choice) => prefix.replace(marker[0], () => choice)));
+      }, [segment]);
+    };
+    return [...new Set(expand(root).map((variation) => SpintaxParser.restoreEscapes(variation)))];
   }
 }
 
@@ -1,4 +1,15 @@
 const SpintaxParser = require('./spintax');
+const config = require('../../../config.json');
+
+const LOCALE = 'pt-BR';
+const TIMEZONE = config.sendWindow?.timezone || 'America/Sao_Paulo';
+// Rendered values are parked behind these markers while spintax runs, so a
+// value containing braces or "|" is never spun.
+const HOLD_PATTERN = /\u0000(\d+)\u0000/g;
+// Any {#if ...}, {#else} or {/if} tag; templateLint checks that they pair up.
+const CONDITIONAL_TAG_PATTERN = /\{#if\s[^{}]*\}|\{#else\}|\{\/if\}/g;
+// Innermost {#if}...{/if} first, so nested blocks resolve from the inside out.
+const IF_BLOCK_PATTERN = /\{#if\s+(!?)\s*([^{}]+?)\s*\}((?:(?!\{#if\s)[\s\S])*?)\{\/if\}/;
 
 function normalizeVariables(variables = {}) {
   return Object.entries(variables).reduce((acc, [key, value]) => {
@@ -8,21 +19,261 @@ function normalizeVariables(variables = {}) {
   }, {});
 }
 
-function applyTemplate(template, variables) {
+function toNumber(value) {
+  let text = String(value).replace(/R\$|\s/g, '');
+  // pt-BR "1.234,56": dots group thousands and the comma marks decimals.
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  return text ? Number(text) : NaN;
+}
+
+function formatCurrency(value, currency) {
+  const amount = toNumber(value);
+  if (!Number.isFinite(amount)) return value;
+  return new Intl.NumberFormat(LOCALE, { style: 'currency', currency: currency || 'BRL' }).format(amount);
+}
+
+function formatDate(value, style) {
+  const text = String(value).trim();
+  const options = style === 'extenso'
+    ? { day: 'numeric', month: 'long', year: 'numeric' }
+    : { day: '2-digit', month: '2-digit', year: 'numeric' };
+
+  // Calendar dates have no time zone to convert from.
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/) || text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (dateOnly) {
+    const [year, month, day] = dateOnly[1].length === 4
+      ? [dateOnly[1], dateOnly[2], dateOnly[3]]
+      : [dateOnly[3], dateOnly[2], dateOnly[1]];
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return Number.isNaN(date.getTime()) ? value : new Intl.DateTimeFormat(LOCALE, { ...options, timeZone: 'UTC' }).format(date);
+  }
+
+  const date = new Date(text);
+  if (!text || Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(LOCALE, { ...options, timeZone: TIMEZONE }).format(date);
+}
+
+function capitalize(value) {
+  return value.toLocaleLowerCase(LOCALE).replace(/(^|[\s-])(\S)/g, (match, separator, letter) => {
+    return separator + letter.toLocaleUpperCase(LOCALE);
+  });
+}
+
+/**
+ * Filters usable as {{variable|filter}} or {{variable|filter:"argument"}}, applied left to right.
+ */
+const FILTERS = {
+  default: (value, fallback) => (value.trim() ? value : (fallback || '')),
+  primeiro_nome: (value) => value.trim().split(/\s+/)[0] || '',
+  upper: (value) => value.toLocaleUpperCase(LOCALE),
+  lower: (value) => value.toLocaleLowerCase(LOCALE),
+  capitalize,
+  moeda: formatCurrency,
+  data: formatDate
+};
+const FILTER_ALIASES = {
+  first_name: 'primeiro_nome',
+  currency: 'moeda',
+  date: 'data'
+};
+
+/**
+ * Splits "nome|default:\"a|b\"|upper" on the pipes that are outside quotes.
+ */
+function splitSegments(source) {
+  const segments = [''];
+  let quote = null;
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      segments.push('');
+      continue;
+    }
+    segments[segments.length - 1] += char;
+  }
+  return segments;
+}
+
+/**
+ * Parses the inside of a variable tag into its name and filters.
+ * @param {string} source - e.g. `nome|default:"cliente"|upper`
+ * @param {object} options
+ * @param {function(string): boolean} options.isVariable - Whether a name can only be a
+ *   variable ({{...}} tags, spreadsheet columns), so filters it does not know are typos.
+ * @returns {{name: string, filters: Array<{name: string, arg: string|null}>, unknownFilters: string[]}|null}
+ *   null when the braces hold spintax: a segment is not shaped like a filter, or none
+ *   of the filters is known and the name is not a variable. Unknown filters are not applied.
+ */
+function parseExpression(source, { isVariable = () => false } = {}) {
+  const [rawName, ...rawFilters] = splitSegments(source);
+  const name = rawName.trim().toLowerCase();
+  if (!name || /["':]/.test(name)) return null;
+
+  const filters = [];
+  const unknownFilters = [];
+  for (const rawFilter of rawFilters) {
+    const match = rawFilter.trim().match(/^([\w]+)(?:\s*:\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/);
+    if (!match) return null;
+    const filterName = FILTER_ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+    if (FILTERS[filterName]) {
+      filters.push({ name: filterName, arg: match[2] ?? match[3] ?? match[4] ?? null });
+    } else {
+      unknownFilters.push(match[1]);
+    }
+  }
+  if (unknownFilters.length > 0 && filters.length === 0 && !isVariable(name)) return null;
+  return { name, filters, unknownFilters };
+}
+
+function renderExpression(expression, variables) {
+  const initial = variables[expression.name] ?? '';
+  return expression.filters.reduce((value, filter) => FILTERS[filter.name](value, filter.arg), initial);
+}
+
+/**
+ * Resolves {#if var}...{#else}...{/if} blocks. A variable is true when its value
+ * is not blank; {#if !var} negates it.
+ */
+function renderConditionals(template, variables) {
+  let text = template;
+  let match;
+  while ((match = text.match(IF_BLOCK_PATTERN))) {
+    const [block, negation, rawName, body] = match;
+    const value = variables[rawName.trim().toLowerCase()] ?? '';
+    const [whenTrue, whenFalse = ''] = body.split('{#else}');
+    const isTrue = Boolean(value.trim()) !== Boolean(negation);
+    text = text.slice(0, match.index) + (isTrue ? whenTrue : whenFalse) + text.slice(match.index + block.length);
+  }
+  return text;
+}
+
+/**
+ * Renders a campaign message for one contact.
+ *
+ * - `{{nome}}` always means a variable: a missing column renders as empty
+ *   text (or its default), never as spintax.
+ * - `{nome}` still works for existing templates, but only when the column
+ *   exists or a filter follows it; otherwise the braces are left to spintax.
+ * - Filters: `{{nome|primeiro_nome}}`, `{{valor|moeda}}`, `{{vencimento|data:"extenso"}}`,
+ *   `{{nome|default:"cliente"}}`, `upper`, `lower`, `capitalize`. An unknown filter on a
+ *   variable is skipped (templateLint reports it), never spun.
+ * - Conditionals: `{#if link}Acesse {{link}}{#else}Responda SIM{/if}`.
+ * - Spintax `{Olá|Oi}` is resolved last and never touches variable values.
+ * - `\{`, `\}` and `\|` are literal characters.
+ * @param {string} template
+ * @param {object} variables - Column name -> value (case-insensitive).
+ * @param {object} options
+ * @param {string} options.seed - Makes the spintax choices reproducible (see SpintaxParser.parse).
+ * @returns {string}
+ */
+function applyTemplate(template, variables, options = {}) {
   if (!template) return '';
   const normalized = normalizeVariables(variables);
+  const held = [];
+  const hold = (value) => {
+    held.push(value);
+    return `\u0000${held.length - 1}\u0000`;
+  };
 
-  const withVariables = template.replace(/\{([^{}|]+)\}/g, (match, rawKey) => {
-    const key = String(rawKey).trim().toLowerCase();
-    if (Object.prototype.hasOwnProperty.call(normalized, key)) {
-      return normalized[key];
-    }
-    return match;
+  let text = renderConditionals(SpintaxParser.protectEscapes(template), normalized);
+  const isColumn = (name) => Object.prototype.hasOwnProperty.call(normalized, name);
+  text = text.replace(/\{\{([^{}]+)\}\}/g, (match, source) => {
+    const expression = parseExpression(source, { isVariable: () => true });
+    return expression ? hold(renderExpression(expression, normalized)) : match;
+  });
+  text = text.replace(/\{([^{}]+)\}/g, (match, source) => {
+    const expression = parseExpression(source, { isVariable: isColumn });
+    if (!expression) return match;
+    // A bare unknown name is left as written.
+    if (!isColumn(expression.name) && expression.filters.length === 0) return match;
+    return hold(renderExpression(expression, normalized));
   });
 
-  return SpintaxParser.parse(withVariables);
+  return SpintaxParser.parse(text, { seed: options.seed }).replace(HOLD_PATTERN, (match, index) => held[Number(index)]);
+}
+
+/**
+ * Lists every variable reference in a template, in order of appearance.
+ * Braces that parseExpression reads as spintax are skipped.
+ * @param {string} template
+ * @param {object} options
+ * @param {string[]} options.columns - Spreadsheet columns, so `{coluna|filtro}` with an
+ *   unknown filter is read as a variable rather than as spintax.
+ * @returns {Array<{name: string, filters: Array, unknownFilters: string[], kind: 'variable'|'condition', source: string, index: number}>}
+ */
+function extractReferences(template, { columns = [] } = {}) {
+  const references = [];
+  const text = SpintaxParser.protectEscapes(template || '');
+  const known = new Set(columns.map((column) => String(column).trim().toLowerCase()));
+  for (const match of text.matchAll(/\{#if\s+!?\s*([^{}]+?)\s*\}|\{\{([^{}]+)\}\}|\{([^{}#/]+)\}/g)) {
+    const [source, condition, doubleSource, singleSource] = match;
+    const expression = condition
+      ? { name: condition.trim().toLowerCase(), filters: [], unknownFilters: [] }
+      : parseExpression(doubleSource ?? singleSource, {
+        isVariable: doubleSource !== undefined ? () => true : (name) => known.has(name)
+      });
+    if (expression) {
+      references.push({ ...expression, kind: condition ? 'condition' : 'variable', source, index: match.index });
+    }
+  }
+  return references;
+}
+
+/**
+ * Lists the variables a template references ({{nome}}, {empresa}, {#if link}...),
+ * lower-cased and in first-seen order.
+ * @param {string} template
+ * @returns {string[]}
+ */
+function extractVariables(template) {
+  return [...new Set(extractReferences(template).map((reference) => reference.name))];
+}
+
+/**
+ * Spintax statistics of a template. Variables and {#if} tags are kept as
+ * written and do not add variations.
+ * @param {string} template
+ * @param {object} options
+ * @param {number} options.limit - Size of the sample of distinct variations (0 for none).
+ * @param {string} options.seed - Makes the sample reproducible.
+ * @param {string[]} options.columns - See extractReferences.
+ * @returns {{combinations: number, sample: string[]}}
+ */
+function describeSpintax(template, { limit = 10, seed, columns } = {}) {
+  const held = [];
+  const hold = (source) => {
+    held.push(source);
+    return `\u0000${held.length - 1}\u0000`;
+  };
+
+  let text = SpintaxParser.protectEscapes(template || '');
+  extractReferences(text, { columns })
+    .filter((reference) => reference.kind === 'variable')
+    .forEach((reference) => {
+      text = text.split(reference.source).join(hold(reference.source));
+    });
+  text = text.replace(CONDITIONAL_TAG_PATTERN, hold);
+
+  const restore = (variation) => SpintaxParser.restoreEscapes(
+    variation.replace(HOLD_PATTERN, (match, index) => held[Number(index)])
+  );
+  return {
+    combinations: SpintaxParser.countVariations(text),
+    sample: limit > 0 ? SpintaxParser.sample(text, limit, { seed }).map(restore) : []
+  };
 }
 
 module.exports = {
-  applyTemplate
+  CONDITIONAL_TAG_PATTERN,
+  FILTERS,
+  applyTemplate,
+  describeSpintax,
+  extractReferences,
+  extractVariables,
+  parseExpression
 };
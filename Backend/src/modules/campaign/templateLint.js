@@ -0,0 +1,162 @@
+const SpintaxParser = require('./spintax');
+const { CONDITIONAL_TAG_PATTERN, FILTERS, describeSpintax, extractReferences } = require('./templateEngine');
+
+// Rows listed per empty column; `count` still covers all of them.
+const MAX_LISTED_ROWS = 50;
+
+function issue(code, message, details = {}) {
+  return { code, message, ...details };
+}
+
+function position(text, index) {
+  const before = text.slice(0, index).split('\n');
+  return { index, line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestColumn(name, columns) {
+  let best = null;
+  columns.forEach((column) => {
+    const distance = editDistance(name, column);
+    if (distance <= 2 && (!best || distance < best.distance)) {
+      best = { column, distance };
+    }
+  });
+  return best ? best.column : null;
+}
+
+function checkBraces(text) {
+  const issues = [];
+  const open = [];
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] === '{') {
+      open.push(index);
+    } else if (text[index] === '}') {
+      if (open.length === 0) {
+        issues.push(issue('UNBALANCED_BRACES', 'Unexpected "}" without a matching "{"', position(text, index)));
+      } else {
+        open.pop();
+      }
+    }
+  }
+  open.forEach((index) => {
+    issues.push(issue('UNBALANCED_BRACES', '"{" is never closed', position(text, index)));
+  });
+  return issues;
+}
+
+function checkConditionals(text) {
+  const issues = [];
+  const open = [];
+  for (const match of text.matchAll(CONDITIONAL_TAG_PATTERN)) {
+    const [tag] = match;
+    if (tag.startsWith('{#if')) {
+      open.push(match.index);
+    } else if (open.length === 0) {
+      issues.push(issue('UNBALANCED_CONDITIONAL', `${tag} without a matching {#if}`, position(text, match.index)));
+    } else if (tag === '{/if}') {
+      open.pop();
+    }
+  }
+  open.forEach((index) => {
+    issues.push(issue('UNBALANCED_CONDITIONAL', '{#if} is never closed with {/if}', position(text, index)));
+  });
+  return issues;
+}
+
+/**
+ * Checks a campaign template against the spreadsheet it will be sent to.
+ *
+ * Errors (the campaign should not launch): unbalanced braces or {#if} blocks,
+ * variables with no matching column (a typo like {Nmoe} would otherwise
+ * go out as literal text) and unknown filters (skipped when rendering). Warnings: variables left blank on some rows and
+ * templates without spintax.
+ * @param {string} template
+ * @param {object} context
+ * @param {Array<string>} context.columns - Column names from the parser.
+ * @param {Array<{row: number, variables: object}>} context.rows - Template variables of each contact.
+ * @returns {{valid: boolean, errors: Array, warnings: Array, variables: string[], variations: number}}
+ */
+function lintTemplate(template, { columns = [], rows = [] } = {}) {
+  const text = SpintaxParser.protectEscapes(template || '');
+  const known = [...new Set(['nome', 'telefone', ...columns.map((column) => String(column).trim().toLowerCase())])];
+  const references = extractReferences(text, { columns: known });
+  const errors = [...checkBraces(text), ...checkConditionals(text)];
+  const warnings = [];
+
+  references.forEach((reference) => {
+    reference.unknownFilters.forEach((filter) => {
+      errors.push(issue('UNKNOWN_FILTER', `Unknown filter "${filter}" in ${reference.source}. Available: ${Object.keys(FILTERS).join(', ')}`, {
+        variable: reference.name,
+        filter,
+        ...position(text, reference.index)
+      }));
+    });
+  });
+
+  const reported = new Set();
+  references.forEach((reference) => {
+    if (known.includes(reference.name) || reported.has(reference.name)) return;
+    reported.add(reference.name);
+    const suggestion = suggestColumn(reference.name, known);
+    const hasDefault = reference.filters.some((filter) => filter.name === 'default');
+    const details = { variable: reference.name, suggestion, ...position(text, reference.index) };
+    const hint = suggestion ? ` Did you mean {{${suggestion}}}?` : '';
+    if (hasDefault) {
+      warnings.push(issue('UNKNOWN_VARIABLE', `No column "${reference.name}"; every contact gets the default.${hint}`, details));
+    } else {
+      errors.push(issue('UNKNOWN_VARIABLE', `No column "${reference.name}" in the spreadsheet.${hint}`, details));
+    }
+  });
+
+  // Only plain substitutions can render blank: {#if} tests and defaults cover empty cells.
+  const substituted = [...new Set(references
+    .filter((reference) => reference.kind === 'variable' && known.includes(reference.name))
+    .filter((reference) => !reference.filters.some((filter) => filter.name === 'default'))
+    .map((reference) => reference.name))];
+  substituted.forEach((name) => {
+    const emptyRows = rows
+      .filter(({ variables }) => {
+        const entry = Object.entries(variables || {}).find(([key]) => key.trim().toLowerCase() === name);
+        return !entry || entry[1] == null || !String(entry[1]).trim();
+      })
+      .map(({ row }) => row);
+    if (emptyRows.length > 0) {
+      warnings.push(issue('EMPTY_VALUES', `"${name}" is empty on ${emptyRows.length} row(s)`, {
+        variable: name,
+        count: emptyRows.length,
+        rows: emptyRows.slice(0, MAX_LISTED_ROWS)
+      }));
+    }
+  });
+
+  const variations = describeSpintax(text, { limit: 0, columns: known }).combinations;
+  if (text.trim() && variations < 2) {
+    warnings.push(issue('NO_VARIATION', 'The template has no spintax: every contact receives the same text'));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    variables: [...new Set(references.map((reference) => reference.name))],
+    variations
+  };
+}
+
+module.exports = {
+  lintTemplate
+};
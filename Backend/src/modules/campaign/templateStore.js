@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const { extractVariables } = require('./templateEngine');
+
+// Fields that make up a version; a change to any of them bumps it.
+const VERSIONED_FIELDS = ['name', 'body', 'variables'];
+
+function invalidTemplate(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TEMPLATE';
+  return error;
+}
+
+/**
+ * TemplateStore
+ * Library of saved campaign messages in data/templates.json. Each template
+ * keeps its current version plus the earlier ones in `history`, so a campaign
+ * can record exactly which text it was launched with.
+ */
+class TemplateStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || PathHelper.resolve('data', 'templates.json');
+    this.templates = null;
+  }
+
+  /**
+   * @returns {Array<object>} current versions, without history, most recently modified first.
+   */
+  list() {
+    return this._templates()
+      .map(({ history, ...template }) => ({ ...template, versions: history.length + 1 }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  get(templateId) {
+    return this._templates().find((template) => template.id === templateId) || null;
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {number} version - Omit for the current one.
+   * @returns {object|null} { id, version, name, body, variables, updatedAt }
+   */
+  getVersion(templateId, version) {
+    const template = this.get(templateId);
+    if (!template) return null;
+    if (version === undefined || Number(version) === template.version) {
+      const { history, createdAt, ...current } = template;
+      return current;
+    }
+    const earlier = template.history.find((entry) => entry.version === Number(version));
+    return earlier ? { id: template.id, ...earlier } : null;
+  }
+
+  /**
+   * @param {object} data - { name, body, variables }; variables default to the ones the body references.
+   */
+  create(data) {
+    const now = new Date().toISOString();
+    const template = {
+      id: `tpl_${randomUUID()}`,
+      ...this._normalize(data),
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      history: []
+    };
+    this._templates().push(template);
+    this._persist();
+    return template;
+  }
+
+  /**
+   * Saves a new version; the previous one moves to history. Unchanged content keeps the version.
+   * @returns {object|null} null when the template does not exist.
+   */
+  update(templateId, data) {
+    const template = this.get(templateId);
+    if (!template) return null;
+
+    const next = this._normalize({
+      name: data.name === undefined ? template.name : data.name,
+      body: data.body === undefined ? template.body : data.body,
+      // A new body without explicit variables re-derives them.
+      variables: data.variables === undefined && data.body === undefined ? template.variables : data.variables
+    });
+    const changed = VERSIONED_FIELDS.some((field) => JSON.stringify(next[field]) !== JSON.stringify(template[field]));
+    if (!changed) return template;
+
+    const { id, history, createdAt, ...previous } = template;
+    template.history = [...history, previous];
+    Object.assign(template, next, {
+      version: template.version + 1,
+      updatedAt: new Date().toISOString()
+    });
+    this._persist();
+    return template;
+  }
+
+  remove(templateId) {
+    const templates = this._templates();
+    const index = templates.findIndex((template) => template.id === templateId);
+    if (index === -1) {
+      return false;
+    }
+    templates.splice(index, 1);
+    this._persist();
+    return true;
+  }
+
+  _normalize(data) {
+    const name = String(data.name || '').trim();
+    const body = String(data.body || '');
+    if (!name) {
+      throw invalidTemplate('name is required');
+    }
+    if (!body.trim()) {
+      throw invalidTemplate('body is required');
+    }
+    if (data.variables !== undefined && !Array.isArray(data.variables)) {
+      throw invalidTemplate('variables must be an array of column names');
+    }
+    const variables = Array.isArray(data.variables)
+      ? [...new Set(data.variables.map((variable) => String(variable).trim().toLowerCase()).filter(Boolean))]
+      : extractVariables(body);
+    return { name, body, variables };
+  }
+
+  _templates() {
+    if (this.templates) return this.templates;
+
+    this.templates = [];
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.templates = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (err) {
+        logger.error(`Failed to load templates: ${err.message}`);
+      }
+    }
+    return this.templates;
+  }
+
+  _persist() {
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(this.templates, null, 2));
+  }
+}
+
+module.exports = TemplateStore;
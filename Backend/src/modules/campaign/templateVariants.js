@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 3;
+const DEFAULT_IDS = ['A', 'B', 'C'];
+
+function invalidVariants(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_VARIANTS';
+  return error;
+}
+
+/**
+ * Validates the A/B variants of a campaign.
+ * @param {Array<{id?: string, template: string, weight?: number}>} variants - ids default to A, B, C; weights to 1.
+ * @returns {Array<{id: string, template: string, weight: number}>} [] when the campaign has a single template.
+ */
+function normalizeVariants(variants) {
+  if (variants === undefined || variants === null || variants === '') return [];
+  if (!Array.isArray(variants)) {
+    throw invalidVariants('variants must be an array of { id, template, weight }');
+  }
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    throw invalidVariants(`Provide between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants`);
+  }
+
+  const ids = new Set();
+  return variants.map((variant, index) => {
+    const id = String(variant?.id || DEFAULT_IDS[index]).trim();
+    const template = String(variant?.template || '');
+    const weight = variant?.weight === undefined || variant?.weight === '' ? 1 : Number(variant.weight);
+    if (!/^[\w-]+$/.test(id)) {
+      throw invalidVariants(`variants[${index}].id may only contain letters, digits, "_" and "-"`);
+    }
+    if (ids.has(id)) {
+      throw invalidVariants(`Duplicate variant id: ${id}`);
+    }
+    if (!template.trim()) {
+      throw invalidVariants(`variants[${index}].template is required`);
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw invalidVariants(`variants[${index}].weight must be a number > 0`);
+    }
+    ids.add(id);
+    return { id, template, weight };
+  });
+}
+
+/**
+ * Picks a variant in proportion to the weights. The choice is derived from the
+ * seed (campaign and contact ids), so a resumed campaign keeps every contact
+ * on the variant it was first given, whatever the spreadsheet order.
+ * @param {Array} variants - Result of normalizeVariants().
+ * @param {string} seed
+ * @returns {object|null}
+ */
+function pickVariant(variants, seed) {
+  if (!variants || variants.length === 0) return null;
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha1').update(String(seed)).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+  let upper = 0;
+  return variants.find((variant) => {
+    upper += variant.weight;
+    return point < upper;
+  }) || variants[variants.length - 1];
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  normalizeVariants,
+  pickVariant
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const { phoneKey } = require('../utils/phone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Short stable key for a message template, so "same template" can be checked
+ * without storing the full text for every send.
+ * @param {string} template
+ * @returns {string}
+ */
+function templateKey(template) {
+  return crypto.createHash('sha1').update(String(template || '')).digest('hex').slice(0, 16);
+}
+
+/**
+ * ContactHistory
+ * Remembers every message sent to a phone number across campaigns, keyed by the
+ * normalized phone from phoneKey. Persisted in data/contact_history.json; each
+ * send is appended to contact_history.journal.jsonl and flush() folds the journal
+ * into the file, so a campaign does not rewrite the whole history per message.
+ */
+class ContactHistory {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath
+   * @param {number} options.retentionDays - Sends older than this are dropped on load.
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || PathHelper.resolve('data', 'contact_history.json');
+    this.journalPath = this.filePath.replace(/\.json$/, '') + '.journal.jsonl';
+    this.retentionDays = Number.isFinite(options.retentionDays) ? options.retentionDays : 365;
+    this.entries = null;
+    this.unflushed = false;
+  }
+
+  /**
+   * @param {string} phone
+   * @returns {Array<{campaignId: string, contactId: string, templateKey: string, sentAt: string}>} oldest first.
+   */
+  getSends(phone) {
+    const key = phoneKey(phone);
+    return key ? (this._entries()[key] || []) : [];
+  }
+
+  /**
+   * Records a message that reached the server. Only the journal is written;
+   * call flush() to rewrite the history file.
+   * @param {string} phone
+   * @param {object} send - { campaignId, contactId, template, sentAt }; contactId lets
+   *   a reply after a restart find its contact without scanning the campaign.
+   */
+  record(phone, { campaignId, contactId, template, sentAt = new Date().toISOString() }) {
+    const key = phoneKey(phone);
+    if (!key) return;
+
+    const send = { campaignId, contactId, templateKey: templateKey(template), sentAt };
+    this._add(this._entries(), key, send);
+    PathHelper.ensureDir(path.dirname(this.journalPath));
+    fs.appendFileSync(this.journalPath, `${JSON.stringify({ phone: key, ...send })}\n`);
+    this.unflushed = true;
+  }
+
+  /**
+   * Rewrites the history file with the journaled sends and clears the journal.
+   * CampaignManager calls it at its progress checkpoints.
+   */
+  flush() {
+    if (!this.unflushed) return;
+    this._persist();
+    fs.rmSync(this.journalPath, { force: true });
+    this.unflushed = false;
+  }
+
+  _add(entries, key, send) {
+    entries[key] = entries[key] || [];
+    entries[key].push(send);
+  }
+
+  _entries() {
+    if (this.entries) return this.entries;
+
+    this.entries = {};
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (err) {
+        logger.error(`Failed to load contact history: ${err.message}`);
+      }
+    }
+    this._replayJournal();
+    this._prune();
+    return this.entries;
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    Object.keys(this.entries).forEach((key) => {
+      const recent = this.entries[key].filter((send) => Date.parse(send.sentAt) >= cutoff);
+      if (recent.length > 0) {
+        this.entries[key] = recent;
+      } else {
+        delete this.entries[key];
+      }
+    });
+  }
+
+  // Sends recorded after the last flush(), e.g. before a crash.
+  _replayJournal() {
+    if (!fs.existsSync(this.journalPath)) return;
+    fs.readFileSync(this.journalPath, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const { phone, ...send } = JSON.parse(line);
+        // A crash between _persist() and removing the journal leaves sends already in the file.
+        const known = (this.entries[phone] || []).some((entry) => entry.sentAt === send.sentAt && entry.campaignId === send.campaignId);
+        if (!known) this._add(this.entries, phone, send);
+      } catch (err) {
+        // Last line cut short by a crash.
+      }
+    });
+    this.unflushed = true;
+  }
+
+  _persist() {
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+ContactHistory.templateKey = templateKey;
+
+module.exports = ContactHistory;
@@ -0,0 +1,70 @@
+const config = require('../../../config.json');
+const ContactHistory = require('./contactHistory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * FrequencyCap
+ * Rules checked against ContactHistory before a message goes out:
+ * at most maxMessages per number within periodHours, and optionally never
+ * the same template twice to the same number.
+ */
+class FrequencyCap {
+  /**
+   * @param {ContactHistory} history
+   * @param {object} overrides - Per-campaign settings merged over config.frequencyCap.
+   */
+  constructor(history, overrides = {}) {
+    const settings = { ...(config.frequencyCap || {}), ...overrides };
+    this.history = history;
+    this.enabled = Boolean(settings.enabled);
+    this.maxMessages = Number.isInteger(settings.maxMessages) && settings.maxMessages > 0 ? settings.maxMessages : 1;
+    this.periodHours = Number.isFinite(settings.periodHours) && settings.periodHours > 0 ? settings.periodHours : 72;
+    this.blockRepeatedTemplate = Boolean(settings.blockRepeatedTemplate);
+  }
+
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      maxMessages: this.maxMessages,
+      periodHours: this.periodHours,
+      blockRepeatedTemplate: this.blockRepeatedTemplate
+    };
+  }
+
+  /**
+   * @param {string} phone
+   * @param {string} template - Raw template the campaign would send.
+   * @param {Date} now
+   * @returns {{allowed: boolean, reason: string|null}}
+   */
+  check(phone, template, now = new Date()) {
+    if (!this.enabled) return { allowed: true, reason: null };
+
+    const sends = this.history.getSends(phone);
+
+    if (this.blockRepeatedTemplate) {
+      const key = ContactHistory.templateKey(template);
+      const previous = sends.find((send) => send.templateKey === key);
+      if (previous) {
+        return {
+          allowed: false,
+          reason: `Template already sent to this number on ${previous.sentAt} (campaign ${previous.campaignId}).`
+        };
+      }
+    }
+
+    const since = now.getTime() - this.periodHours * HOUR_MS;
+    const recent = sends.filter((send) => Date.parse(send.sentAt) > since);
+    if (recent.length >= this.maxMessages) {
+      return {
+        allowed: false,
+        reason: `Limit of ${this.maxMessages} message(s) per ${this.periodHours}h reached (last on ${recent[recent.length - 1].sentAt}).`
+      };
+    }
+
+    return { allowed: true, reason: null };
+  }
+}
+
+module.exports = FrequencyCap;
@@ -0,0 +1,47 @@
+const config = require('../../../config.json');
+
+/**
+ * Uppercases and strips accents, punctuation and extra spaces so "Sair!",
+ * " sair " and "SAÍR" all compare equal.
+ */
+function normalizeReply(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * OptOutPolicy
+ * Detects opt-out replies. A reply counts only when the whole message is one of
+ * the keywords, so sentences that merely contain "parar" do not unsubscribe anyone.
+ */
+class OptOutPolicy {
+  /**
+   * @param {object} overrides - Settings merged over config.optOut.
+   */
+  constructor(overrides = {}) {
+    const settings = { ...(config.optOut || {}), ...overrides };
+    const keywords = Array.isArray(settings.keywords) ? settings.keywords : ['SAIR', 'PARAR', 'STOP'];
+    this.keywords = keywords.map(normalizeReply).filter(Boolean);
+    this.sendConfirmation = Boolean(settings.sendConfirmation);
+    this.confirmationMessage = settings.confirmationMessage || '';
+  }
+
+  /**
+   * @param {string} text - Inbound message body.
+   * @returns {string|null} the matched keyword.
+   */
+  match(text) {
+    const normalized = normalizeReply(text);
+    if (!normalized) return null;
+    return this.keywords.find((keyword) => keyword === normalized) || null;
+  }
+}
+
+OptOutPolicy.normalizeReply = normalizeReply;
+
+module.exports = OptOutPolicy;
@@ -0,0 +1,143 @@
+const config = require('../../../config.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * SendWindow
+ * Decides whether messages may go out at a given instant: allowed hours,
+ * allowed weekdays (0 = Sunday) and blackout dates, evaluated in a timezone.
+ */
+class SendWindow {
+  /**
+   * @param {object} overrides - Per-campaign settings merged over config.sendWindow.
+   */
+  constructor(overrides = {}) {
+    const settings = { ...(config.sendWindow || {}), ...overrides };
+    this.enabled = Boolean(settings.enabled);
+    this.timezone = settings.timezone || 'America/Sao_Paulo';
+    this.startTime = settings.startTime || '08:00';
+    this.endTime = settings.endTime || '20:00';
+    this.weekdays = Array.isArray(settings.weekdays) ? settings.weekdays.map(Number) : [1, 2, 3, 4, 5];
+    this.blackoutDates = Array.isArray(settings.blackoutDates) ? settings.blackoutDates : [];
+
+    if (this.enabled && this.weekdays.length === 0) {
+      throw new Error('Send window needs at least one allowed weekday.');
+    }
+    this.startMinutes = this._toMinutes(this.startTime);
+    this.endMinutes = this._toMinutes(this.endTime);
+    if (this.endMinutes <= this.startMinutes) {
+      throw new Error(`Send window endTime (${this.endTime}) must be after startTime (${this.startTime}).`);
+    }
+    // Fails fast on an unknown timezone instead of at the first check.
+    this._formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+  }
+
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      timezone: this.timezone,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      weekdays: this.weekdays,
+      blackoutDates: this.blackoutDates
+    };
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {boolean} true when sending is allowed at that instant.
+   */
+  isOpen(date = new Date()) {
+    if (!this.enabled) return true;
+    const local = this._localParts(date);
+    const minutes = local.hour * 60 + local.minute;
+    return this._isSendingDay(local) && minutes >= this.startMinutes && minutes < this.endMinutes;
+  }
+
+  /**
+   * Returns the instant the window next opens (the given date itself when already open).
+   * @param {Date} date
+   * @returns {Date|null} null when no day in the next year is allowed.
+   */
+  nextOpening(date = new Date()) {
+    if (this.isOpen(date)) return date;
+
+    const local = this._localParts(date);
+    const startHour = Math.floor(this.startMinutes / 60);
+    const startMinute = this.startMinutes % 60;
+
+    for (let offset = 0; offset <= 366; offset += 1) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day) + offset * DAY_MS);
+      const candidate = this._fromLocal(
+        day.getUTCFullYear(),
+        day.getUTCMonth() + 1,
+        day.getUTCDate(),
+        startHour,
+        startMinute
+      );
+      if (candidate.getTime() >= date.getTime() && this.isOpen(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  _isSendingDay(local) {
+    const isoDate = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+    return this.weekdays.includes(local.weekday) && !this.blackoutDates.includes(isoDate);
+  }
+
+  _localParts(date) {
+    const parts = this._formatter.formatToParts(date).reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS[parts.weekday]
+    };
+  }
+
+  /**
+   * Converts a wall-clock time in this.timezone to a Date.
+   * Runs the offset correction twice so DST transitions settle on the right side.
+   */
+  _fromLocal(year, month, day, hour, minute) {
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = target;
+    for (let i = 0; i < 2; i += 1) {
+      const local = this._localParts(new Date(guess));
+      const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+      guess += target - asUtc;
+    }
+    return new Date(guess);
+  }
+
+  // "00:00" to "23:59", plus "24:00" for an endTime at the end of the day.
+  _toMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+      throw new Error(`Invalid send window time: ${value}. Expected HH:MM between 00:00 and 23:59 (or 24:00).`);
+    }
+    return minutes;
+  }
+}
+
+module.exports = SendWindow;
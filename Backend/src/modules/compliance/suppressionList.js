@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const PathHelper = require('../utils/pathHelper');
+const { sanitizePhone, phoneKey, isValidPhone } = require('../utils/phone');
+
+/**
+ * SuppressionList
+ * Numbers that opted out (or were added by an operator) and must never be
+ * messaged again. Keyed by the normalized phone, persisted in
+ * data/suppression_list.json.
+ */
+class SuppressionList {
+  constructor(options = {}) {
+    this.filePath = options.filePath || PathHelper.resolve('data', 'suppression_list.json');
+    this.entries = null;
+  }
+
+  list() {
+    return Object.values(this._entries())
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  get(phone) {
+    const key = phoneKey(phone);
+    return key ? (this._entries()[key] || null) : null;
+  }
+
+  has(phone) {
+    return Boolean(this.get(phone));
+  }
+
+  /**
+   * Adds a number. Existing entries are kept as they are.
+   * @param {string} phone
+   * @param {object} details - { source: 'keyword'|'manual'|'import', keyword, chipId, text, note, country }
+   *   (country: ISO code assumed when the number has no country code).
+   * @returns {{entry: object, created: boolean}}
+   */
+  add(phone, details = {}) {
+    if (!isValidPhone(phone, details.country)) {
+      const error = new Error(`Invalid phone number: ${phone}`);
+      error.code = 'INVALID_NUMBER';
+      throw error;
+    }
+
+    const key = sanitizePhone(phone, details.country);
+    const entries = this._entries();
+    if (entries[key]) {
+      return { entry: entries[key], created: false };
+    }
+
+    entries[key] = {
+      phone: key,
+      source: details.source || 'manual',
+      keyword: details.keyword || null,
+      chipId: details.chipId || null,
+      text: details.text || null,
+      note: details.note || null,
+      createdAt: new Date().toISOString()
+    };
+    this._persist();
+    return { entry: entries[key], created: true };
+  }
+
+  /**
+   * @returns {boolean} true when the number was on the list.
+   */
+  remove(phone) {
+    const key = phoneKey(phone);
+    const entries = this._entries();
+    if (!key || !entries[key]) {
+      return false;
+    }
+    delete entries[key];
+    this._persist();
+    return true;
+  }
+
+  /**
+   * Adds many numbers at once, writing the file a single time.
+   * @param {Array<string>} phones
+   * @param {object} details - Same as add().
+   * @returns {{added: number, existing: number, invalid: Array<string>}}
+   */
+  import(phones, details = {}) {
+    const entries = this._entries();
+    const createdAt = new Date().toISOString();
+    const result = { added: 0, existing: 0, invalid: [] };
+
+    phones.forEach((phone) => {
+      if (!isValidPhone(phone, details.country)) {
+        result.invalid.push(String(phone));
+        return;
+      }
+      const key = sanitizePhone(phone, details.country);
+      if (entries[key]) {
+        result.existing += 1;
+        return;
+      }
+      entries[key] = {
+        phone: key,
+        source: details.source || 'import',
+        keyword: null,
+        chipId: null,
+        text: null,
+        note: details.note || null,
+        createdAt
+      };
+      result.added += 1;
+    });
+
+    if (result.added > 0) {
+      this._persist();
+    }
+    return result;
+  }
+
+  _entries() {
+    if (this.entries) return this.entries;
+
+    this.entries = {};
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (err) {
+        logger.error(`Failed to load suppression list: ${err.message}`);
+      }
+    }
+    return this.entries;
+  }
+
+  _persist() {
+    PathHelper.ensureDir(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+module.exports = SuppressionList;
@@ -1,7 +1,8 @@
 const logger = require('../utils/logger');
 const { applyTemplate } = require('../campaign/templateEngine');
-const { formatCorrelationTag } = require('../utils/correlation');
+const { buildCorrelationId, formatCorrelationTag } = require('../utils/correlation');
 const ComplianceEngine = require('../compliance/engine');
+const { buildMessageContent } = require('./mediaMessage');
 
 class Dispatcher {
   constructor(loadBalancer) {
@@ -17,7 +18,11 @@ class Dispatcher {
    * @param {object} payload.variables - Variables to render
    * @param {object} payload.correlation - Correlation metadata
    * @param {object} payload.delayConfig - Delay override (ms)
-   * @param {boolean} payload.dryRun - If true, simulates sending.
+   * @param {object} payload.media - Optional attachment from createMedia(); the message becomes its caption.
+   * @param {boolean} payload.dryRun - If true, simulates sending (no READY wait, chip may be null).
+   * @param {boolean} payload.textSent - The text of a voice note already went out on an earlier
+   *   attempt, so only the audio is sent. When the audio fails after its text, the error
+   *   carries `textSent: true` for the caller to pass on the retry.
    */
   async dispatch({
     phone,
@@ -25,29 +30,38 @@ class Dispatcher {
     variables = {},
     correlation = {},
     delayConfig = {},
-    dryRun = false
+    media = null,
+    dryRun = false,
+    textSent = false
   }) {
     const correlationTag = formatCorrelationTag(correlation.correlationId);
 
-    // 1. Resolve Template + Spintax
-    const finalMessage = applyTemplate(messageTemplate, variables);
+    // 1. Resolve Template + Spintax (seeded, so a contact always gets the same variation)
+    const finalMessage = applyTemplate(messageTemplate, variables, {
+      seed: buildCorrelationId({ campaignId: correlation.campaignId, contactId: correlation.contactId }) || undefined
+    });
+    const content = buildMessageContent(finalMessage, media);
+    const messageType = media ? media.type : 'text';
     
     // 2. Select Chip (Load Balancing)
     const client = this.loadBalancer.getNextClient();
-    if (!client) {
-      throw new Error('No active sessions available for dispatch.');
+    if (!client && !dryRun) {
+      const error = new Error('No active sessions available for dispatch.');
+      error.code = 'NO_ACTIVE_SESSION';
+      throw error;
     }
 
-    if (client.waitUntilReady) {
+    if (client && client.waitUntilReady && !dryRun) {
       await client.waitUntilReady({ timeoutMs: 30000 });
     }
+    const chipId = client ? client.id : null;
 
     // 3. Calculate Delays (Anti-Ban)
     this.compliance.setDelayRange(delayConfig);
     const typingTime = this.compliance.getTypingDelay(finalMessage);
     const postSendDelay = this.compliance.getVariableDelay();
 
-    logger.info(`${correlationTag} [${client.id}] Dispatching to ${phone}... (Typing: ${typingTime}ms, Next Delay: ${postSendDelay}ms)`);
+    logger.info(`${correlationTag} [${chipId}] Dispatching ${messageType} to ${phone}... (Typing: ${typingTime}ms, Next Delay: ${postSendDelay}ms)`);
 
     let sendResult;
     if (!dryRun) {
@@ -55,20 +69,32 @@ class Dispatcher {
         await new Promise(r => setTimeout(r, typingTime));
         
         // REAL SENDING
-        sendResult = await client.sendMessage(phone, finalMessage, correlation);
+        let textDelivered = textSent;
+        if (messageType === 'audio' && finalMessage.trim() && !textSent) {
+          // Voice notes carry no caption, so the text goes out first on its own.
+          await client.sendMessage(phone, finalMessage, correlation);
+          textDelivered = true;
+        }
+        try {
+          sendResult = await client.sendMessage(phone, content, correlation);
+        } catch (error) {
+          if (messageType === 'audio' && textDelivered) error.textSent = true;
+          throw error;
+        }
         
         logger.info(`${correlationTag} [${client.id}] Sent to ${phone}: "${finalMessage}"`);
         if (client.enterCooldown) {
           await client.enterCooldown(postSendDelay, 'post_send_delay');
         }
     } else {
-        logger.info(`${correlationTag} [DRY-RUN] Would send: "${finalMessage}" via ${client.id}`);
+        logger.info(`${correlationTag} [DRY-RUN] Would send ${messageType}: "${finalMessage}" via ${chipId || 'no active chip'}`);
     }
 
     return {
       status: 'SERVER_ACK',
-      chip: client.id,
+      chip: chipId,
       message: finalMessage,
+      type: messageType,
       clientMessageId: correlation.clientMessageId,
       messageId: sendResult?.messageId,
       jid: sendResult?.jid,
@@ -0,0 +1,109 @@
+const path = require('path');
+
+const MESSAGE_TYPES = ['text', 'image', 'document', 'audio', 'video'];
+// Media types that must match the uploaded file's MIME family; documents accept anything.
+const MIME_FAMILIES = {
+  image: 'image/',
+  audio: 'audio/',
+  video: 'video/'
+};
+
+// Extensions of files sent from disk without an upload MIME type (per-contact attachments).
+const MIME_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip'
+};
+
+function invalidMedia(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MEDIA';
+  return error;
+}
+
+/**
+ * Picks the message type for an uploaded file: the requested one when it fits
+ * the MIME type, otherwise the one implied by the MIME family (document as fallback).
+ * @param {string} mimetype
+ * @param {string} requestedType - Optional, one of MESSAGE_TYPES except text.
+ * @returns {string}
+ */
+function resolveMediaType(mimetype, requestedType) {
+  const mime = String(mimetype || '').toLowerCase();
+  if (requestedType) {
+    if (!MESSAGE_TYPES.includes(requestedType) || requestedType === 'text') {
+      throw invalidMedia(`Invalid media type: ${requestedType}. Expected image, document, audio or video.`);
+    }
+    const family = MIME_FAMILIES[requestedType];
+    if (family && !mime.startsWith(family)) {
+      throw invalidMedia(`${requestedType} messages need a ${family}* file (got ${mime || 'unknown'}).`);
+    }
+    return requestedType;
+  }
+
+  const implied = Object.keys(MIME_FAMILIES).find((type) => mime.startsWith(MIME_FAMILIES[type]));
+  return implied || 'document';
+}
+
+/**
+ * Describes an uploaded file as campaign media.
+ * @param {object} file - { path, mimetype, originalname } as given by multer.
+ * @param {string} requestedType
+ * @returns {{type: string, path: string, mimetype: string, fileName: string}}
+ */
+function createMedia(file, requestedType) {
+  return {
+    type: resolveMediaType(file.mimetype, requestedType),
+    path: file.path,
+    mimetype: file.mimetype || 'application/octet-stream',
+    fileName: file.originalname || path.basename(file.path)
+  };
+}
+
+/**
+ * @param {string} fileName
+ * @returns {string} MIME type, application/octet-stream when unknown.
+ */
+function guessMimeType(fileName) {
+  return MIME_BY_EXTENSION[path.extname(String(fileName || '')).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Builds what WhatsAppClient/WhatsAppProvider.sendMessage receive: the plain text
+ * for text messages, or a typed payload with the rendered text as caption.
+ * @param {string} text - Rendered message.
+ * @param {object|null} media - Result of createMedia().
+ * @returns {string|{type: string, caption: string, media: object}}
+ */
+function buildMessageContent(text, media) {
+  if (!media) return text;
+  return {
+    type: media.type,
+    caption: text || '',
+    media: {
+      path: media.path,
+      mimetype: media.mimetype,
+      fileName: media.fileName
+    }
+  };
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  resolveMediaType,
+  createMedia,
+  guessMimeType,
+  buildMessageContent
+};
@@ -0,0 +1,100 @@
+const config = require('../../../config.json');
+
+const PERMANENT = 'PERMANENT';
+const TRANSIENT = 'TRANSIENT';
+
+// Error codes set by WhatsAppClient/Dispatcher when they throw.
+const CODE_CLASSIFICATION = {
+  NUMBER_NOT_REGISTERED: PERMANENT,
+  INVALID_NUMBER: PERMANENT,
+  COOLDOWN: TRANSIENT,
+  RATE_LIMIT: TRANSIENT,
+  NOT_READY: TRANSIENT,
+  NO_ACTIVE_SESSION: TRANSIENT
+};
+
+// Fallback for errors raised inside the provider (Baileys/Boom) without our codes.
+const PERMANENT_PATTERNS = [
+  /not registered on whatsapp/i,
+  /invalid phone/i,
+  /invalid jid/i
+];
+const TRANSIENT_PATTERNS = [
+  /cooldown/i,
+  /rate limit/i,
+  /rate-overlimit/i,
+  /not ready/i,
+  /did not reach ready/i,
+  /no active sessions/i,
+  /timed? ?out/i,
+  /connection (closed|lost|failure)/i,
+  /socket/i,
+  /not initialized/i,
+  /ECONNRESET|ETIMEDOUT|EPIPE|ENOTFOUND/
+];
+// Boom status codes Baileys uses for dropped connections and timeouts.
+const TRANSIENT_STATUS_CODES = new Set([408, 428, 429, 440, 500, 503, 515]);
+
+/**
+ * RetryPolicy
+ * Separates permanent failures (never retried) from transient ones, which are
+ * requeued with exponential backoff up to maxAttempts.
+ */
+class RetryPolicy {
+  /**
+   * @param {object} overrides - Per-campaign settings merged over config.retry.
+   */
+  constructor(overrides = {}) {
+    const settings = { ...(config.retry || {}), ...overrides };
+    this.maxAttempts = Number.isInteger(settings.maxAttempts) && settings.maxAttempts > 0 ? settings.maxAttempts : 3;
+    this.baseDelayMs = Number.isFinite(settings.baseDelayMs) ? settings.baseDelayMs : 60000;
+    this.backoffMultiplier = Number.isFinite(settings.backoffMultiplier) ? settings.backoffMultiplier : 2;
+    this.maxDelayMs = Number.isFinite(settings.maxDelayMs) ? settings.maxDelayMs : 30 * 60 * 1000;
+  }
+
+  /**
+   * @param {Error} error
+   * @returns {'PERMANENT'|'TRANSIENT'}
+   */
+  classify(error) {
+    if (error && error.code && CODE_CLASSIFICATION[error.code]) {
+      return CODE_CLASSIFICATION[error.code];
+    }
+
+    const message = String(error?.message || error || '');
+    if (PERMANENT_PATTERNS.some((pattern) => pattern.test(message))) {
+      return PERMANENT;
+    }
+
+    const statusCode = error?.output?.statusCode;
+    if (TRANSIENT_STATUS_CODES.has(statusCode) || TRANSIENT_PATTERNS.some((pattern) => pattern.test(message))) {
+      return TRANSIENT;
+    }
+
+    // Unknown errors are retried too; maxAttempts keeps them bounded.
+    return TRANSIENT;
+  }
+
+  /**
+   * @param {string} classification - Result of classify().
+   * @param {number} attempts - Attempts already made, including the failed one.
+   */
+  shouldRetry(classification, attempts) {
+    return classification === TRANSIENT && attempts < this.maxAttempts;
+  }
+
+  /**
+   * Backoff before the next attempt.
+   * @param {number} attempts - Attempts already made (1 after the first failure).
+   * @returns {number} delay in ms
+   */
+  getDelay(attempts) {
+    const exponent = Math.max(attempts - 1, 0);
+    return Math.min(Math.round(this.baseDelayMs * (this.backoffMultiplier ** exponent)), this.maxDelayMs);
+  }
+}
+
+RetryPolicy.PERMANENT = PERMANENT;
+RetryPolicy.TRANSIENT = TRANSIENT;
+
+module.exports = RetryPolicy;
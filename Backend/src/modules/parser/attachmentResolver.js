@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const config = require('../../../config.json');
+const PathHelper = require('../utils/pathHelper');
+const { guessMimeType } = require('../dispatch/mediaMessage');
+
+const MB = 1024 * 1024;
+// ZIP uploads are read into memory and may be compressed bombs, so both sides are capped.
+const ZIP_LIMITS = {
+  maxZipBytes: config.attachments?.maxZipBytes || 100 * MB,
+  maxEntries: config.attachments?.maxEntries || 5000,
+  maxEntryBytes: config.attachments?.maxEntryBytes || 100 * MB,
+  maxExtractedBytes: config.attachments?.maxExtractedBytes || 500 * MB
+};
+
+function zipTooLarge(message) {
+  const error = new Error(message);
+  error.code = 'ZIP_TOO_LARGE';
+  return error;
+}
+
+/**
+ * AttachmentResolver
+ * Finds the per-contact files named in the spreadsheet's attachment column
+ * (e.g. "arquivo") inside one directory: an extracted ZIP upload or the folder
+ * configured in config.attachments.folder. A name matches its relative path
+ * first, then its file name alone (case-insensitive) when that is unique.
+ */
+class AttachmentResolver {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+    this.byName = null;
+  }
+
+  /**
+   * Resolver for a campaign: its extracted ZIP when there is one, else the configured folder.
+   * @param {string} attachmentsDir - Directory from the campaign options, if any.
+   * @returns {AttachmentResolver|null} null when neither exists.
+   */
+  static forCampaign(attachmentsDir) {
+    const folder = config.attachments?.folder;
+    const candidates = [
+      attachmentsDir,
+      folder && (path.isAbsolute(folder) ? folder : PathHelper.resolve(folder))
+    ];
+    const dir = candidates.find((candidate) => candidate && fs.existsSync(candidate));
+    return dir ? new AttachmentResolver(dir) : null;
+  }
+
+  /**
+   * Extracts a ZIP upload into destDir, refusing entries that would land outside it.
+   * Sizes are counted while inflating, since the sizes a ZIP declares can lie. On any
+   * error destDir is removed, so nothing is left half extracted.
+   * @param {string} zipPath
+   * @param {string} destDir
+   * @param {object} limits - Overrides ZIP_LIMITS (maxZipBytes, maxEntries, maxEntryBytes, maxExtractedBytes).
+   * @returns {Promise<AttachmentResolver>}
+   */
+  static async fromZip(zipPath, destDir, limits = {}) {
+    const { maxZipBytes, maxEntries, maxEntryBytes, maxExtractedBytes } = { ...ZIP_LIMITS, ...limits };
+    const { size } = fs.statSync(zipPath);
+    if (size > maxZipBytes) {
+      throw zipTooLarge(`ZIP has ${size} bytes; the limit is ${maxZipBytes}.`);
+    }
+    const zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+    const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+    if (entries.length > maxEntries) {
+      throw zipTooLarge(`ZIP has ${entries.length} files; the limit is ${maxEntries}.`);
+    }
+
+    const root = path.resolve(destDir);
+    PathHelper.ensureDir(root);
+    let extracted = 0;
+    try {
+      for (const entry of entries) {
+        const target = path.resolve(root, entry.name);
+        if (!target.startsWith(root + path.sep)) {
+          throw new Error(`ZIP entry escapes the extraction folder: ${entry.name}`);
+        }
+        PathHelper.ensureDir(path.dirname(target));
+        let entryBytes = 0;
+        const counter = new Transform({
+          transform(chunk, encoding, callback) {
+            entryBytes += chunk.length;
+            extracted += chunk.length;
+            if (entryBytes > maxEntryBytes) {
+              callback(zipTooLarge(`${entry.name} extracts to more than ${maxEntryBytes} bytes.`));
+            } else if (extracted > maxExtractedBytes) {
+              callback(zipTooLarge(`ZIP extracts to more than ${maxExtractedBytes} bytes.`));
+            } else {
+              callback(null, chunk);
+            }
+          }
+        });
+        await pipeline(entry.nodeStream('nodebuffer'), counter, fs.createWriteStream(target));
+      }
+    } catch (error) {
+      fs.rmSync(root, { recursive: true, force: true });
+      throw error;
+    }
+    return new AttachmentResolver(root);
+  }
+
+  /**
+   * @param {string} name - Value of the attachment column.
+   * @returns {{path: string, fileName: string, mimetype: string}|null}
+   */
+  resolve(name) {
+    const relative = String(name || '').trim().replace(/\\/g, '/');
+    if (!relative) return null;
+
+    let filePath = path.resolve(this.baseDir, relative);
+    if (!filePath.startsWith(this.baseDir + path.sep) || !this._isFile(filePath)) {
+      const matches = this._index().get(path.basename(relative).toLowerCase()) || [];
+      filePath = matches.length === 1 ? matches[0] : null;
+    }
+    if (!filePath) return null;
+
+    const fileName = path.basename(filePath);
+    return { path: filePath, fileName, mimetype: guessMimeType(fileName) };
+  }
+
+  _isFile(filePath) {
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+  }
+
+  _index() {
+    if (this.byName) return this.byName;
+
+    this.byName = new Map();
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.isFile()) {
+          const key = entry.name.toLowerCase();
+          this.byName.set(key, [...(this.byName.get(key) || []), fullPath]);
+        }
+      });
+    };
+    walk(this.baseDir);
+    return this.byName;
+  }
+}
+
+module.exports = AttachmentResolver;
@@ -1,10 +1,179 @@
 const fs = require('fs');
 
-function parseCsv(content) {
-  const rows = [];
+const DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_ALIASES = { tab: '\t', '\\t': '\t' };
+// Enough lines to see past a title block; delimiter sniffing only reads this much.
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_ROWS = 50;
+
+// Windows-1252 bytes 0x80-0x9F (€, curly quotes, dashes...). Some Node builds
+// decode "windows-1252" as plain latin1, which maps them to control characters.
+const CP1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+
+function invalidCsvOptions(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CSV_OPTIONS';
+  return error;
+}
+
+/**
+ * Validates explicit CSV overrides (e.g. from an upload request).
+ * @param {object} options
+ * @param {string} options.delimiter - ",", ";", "|", "\t" or "tab"; empty means detect.
+ * @param {string} options.encoding - Any WHATWG label ("utf-8", "utf-16le", "windows-1252",
+ *   "latin1", "cp1252"...); empty means detect.
+ * @returns {{delimiter: string|undefined, encoding: string|undefined}}
+ */
+function normalizeCsvOptions({ delimiter, encoding } = {}) {
+  const result = { delimiter: undefined, encoding: undefined };
+  if (delimiter) {
+    const value = DELIMITER_ALIASES[String(delimiter).toLowerCase()] || String(delimiter);
+    if (value.length !== 1 || /["\r\n]/.test(value)) {
+      throw invalidCsvOptions(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}. Use one of , ; | or tab`);
+    }
+    result.delimiter = value;
+  }
+  if (encoding) {
+    try {
+      result.encoding = new TextDecoder(String(encoding).trim()).encoding;
+    } catch (err) {
+      throw invalidCsvOptions(`Unknown CSV encoding: ${encoding}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decodes a CSV file. A BOM decides first (UTF-8, UTF-16 LE/BE); otherwise
+ * UTF-16 is recognized by its zero bytes, valid UTF-8 is read as UTF-8 and
+ * anything else as Windows-1252 (what Excel pt-BR saves).
+ * @param {Buffer} buffer
+ * @param {string} encoding - Forces an encoding (see normalizeCsvOptions).
+ * @returns {{content: string, encoding: string}}
+ */
+function decodeCsv(buffer, encoding) {
+  const label = encoding || detectEncoding(buffer);
+  const decoder = createCsvDecoder(label);
+  return { content: decoder.write(buffer) + decoder.end(), encoding: label };
+}
+
+/**
+ * Guesses the encoding of a CSV file from its first bytes (see decodeCsv).
+ * @param {Buffer} buffer - The whole file or its beginning.
+ * @returns {string}
+ */
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return 'utf-16be';
+  }
+
+  // Mostly-ASCII UTF-16 has a zero in every other byte.
+  const sample = buffer.subarray(0, Math.min(buffer.length, 1024));
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, index) => {
+    if (byte !== 0) return;
+    if (index % 2 === 0) evenZeros += 1;
+    else oddZeros += 1;
+  });
+  const half = sample.length / 2;
+  if (half > 0 && oddZeros > half * 0.6 && evenZeros < half * 0.1) {
+    return 'utf-16le';
+  }
+  if (half > 0 && evenZeros > half * 0.6 && oddZeros < half * 0.1) {
+    return 'utf-16be';
+  }
+
+  try {
+    // Streaming mode, so a character cut at the end of a partial read is not an error.
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return 'utf-8';
+  } catch (err) {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Decodes a file chunk by chunk; characters split across chunks are kept whole.
+ * @param {string} encoding
+ * @returns {{write: function(Buffer): string, end: function(): string}}
+ */
+function createCsvDecoder(encoding) {
+  const decoder = new TextDecoder(encoding, { ignoreBOM: false });
+  const fix = decoder.encoding === 'windows-1252'
+    ? (text) => text.replace(/[\u0080-\u009f]/g, (char) => String.fromCharCode(CP1252_HIGH[char.charCodeAt(0) - 0x80]))
+    : (text) => text;
+  return {
+    write: (chunk) => fix(decoder.decode(chunk, { stream: true })),
+    end: () => fix(decoder.decode())
+  };
+}
+
+/**
+ * Picks the delimiter that splits the most rows into the same number of
+ * fields (more than one). Ties go to the order , ; tab |.
+ * @param {string} content
+ * @returns {string}
+ */
+function detectDelimiter(content) {
+  let sample = content.slice(0, SNIFF_BYTES);
+  if (content.length > SNIFF_BYTES) {
+    sample = sample.slice(0, sample.lastIndexOf('\n') + 1) || sample;
+  }
+
+  let best = { delimiter: DELIMITERS[0], rows: 0, fields: 0 };
+  DELIMITERS.forEach((delimiter) => {
+    const frequencies = new Map();
+    parseCsv(sample, { delimiter })
+      .slice(0, SNIFF_ROWS)
+      .filter((row) => row.length > 1)
+      .forEach((row) => frequencies.set(row.length, (frequencies.get(row.length) || 0) + 1));
+    frequencies.forEach((rows, fields) => {
+      if (rows > best.rows || (rows === best.rows && fields > best.fields)) {
+        best = { delimiter, rows, fields };
+      }
+    });
+  });
+  return best.delimiter;
+}
+
+/**
+ * @param {string} content
+ * @param {object} options
+ * @param {string} options.delimiter - Field separator (default ",").
+ * @returns {Array<string[]>}
+ */
+function parseCsv(content, options = {}) {
+  const tokenizer = createCsvTokenizer(options);
+  return tokenizer.push(content).concat(tokenizer.end());
+}
+
+/**
+ * Incremental CSV reader: text can be pushed in chunks of any size (a quoted
+ * field or a CRLF may be split between them) and each call returns the rows
+ * completed so far.
+ * @param {object} options
+ * @param {string} options.delimiter - Field separator (default ",").
+ * @returns {{push: function(string): Array<string[]>, end: function(): Array<string[]>}}
+ */
+function createCsvTokenizer({ delimiter = ',' } = {}) {
+  let rows = [];
   let row = [];
   let field = '';
   let inQuotes = false;
+  // A quote inside a quoted field: either an escaped quote or the closing one.
+  let quotePending = false;
+  // A row ended on "\r"; a "\n" right after belongs to it.
+  let skipLf = false;
 
   const pushField = () => {
     row.push(field);
@@ -16,71 +185,208 @@ function parseCsv(content) {
     row = [];
   };
 
-  const length = content.length;
-  for (let i = 0; i < length; i += 1) {
-    const char = content[i];
-    const next = content[i + 1];
+  const take = () => {
+    const completed = rows;
+    rows = [];
+    return completed;
+  };
 
-    if (inQuotes) {
-      if (char === '"') {
-        if (next === '"') {
-          field += '"';
-          i += 1;
-        } else {
+  const push = (text) => {
+    const length = text.length;
+    for (let i = 0; i < length; i += 1) {
+      const char = text[i];
+
+      if (skipLf) {
+        skipLf = false;
+        if (char === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
           inQuotes = false;
+        } else {
+          if (char === '"') {
+            quotePending = true;
+          } else {
+            field += char;
+          }
+          continue;
         }
-      } else {
-        field += char;
       }
-      continue;
-    }
 
-    if (char === '"') {
-      inQuotes = true;
-      continue;
-    }
+      if (char === '"') {
+        inQuotes = true;
+        continue;
+      }
 
-    if (char === ',') {
-      pushField();
-      continue;
+      if (char === delimiter) {
+        pushField();
+        continue;
+      }
+
+      if (char === '\n' || char === '\r') {
+        pushField();
+        pushRow();
+        skipLf = char === '\r';
+        continue;
+      }
+
+      field += char;
     }
+    return take();
+  };
 
-    if (char === '\n') {
+  const end = () => {
+    if (field.length > 0 || row.length > 0) {
       pushField();
       pushRow();
-      continue;
     }
+    return take();
+  };
+
+  return { push, end };
+}
+
+/**
+ * Reads a CSV file, detecting the encoding and delimiter unless given.
+ * @param {string} filePath
+ * @param {object} options - { delimiter, encoding }, see normalizeCsvOptions().
+ * @returns {{rows: Array<string[]>, delimiter: string, encoding: string}}
+ */
+function readCsv(filePath, options = {}) {
+  const { delimiter, encoding } = normalizeCsvOptions(options);
+  const decoded = decodeCsv(fs.readFileSync(filePath), encoding);
+  const content = stripBom(decoded.content);
+  const dialect = { delimiter: delimiter || detectDelimiter(content), encoding: decoded.encoding };
+  return { rows: parseCsv(content, dialect), ...dialect };
+}
 
-    if (char === '\r') {
-      if (next === '\n') {
-        i += 1;
+function readCsvFile(filePath, options = {}) {
+  return readCsv(filePath, options).rows;
+}
+
+/**
+ * Streaming counterpart of readCsv for large files: the encoding and delimiter
+ * are sniffed from the first SNIFF_BYTES (unless given) and rows are read
+ * chunk by chunk, so memory does not grow with the file. A head that looks like
+ * UTF-8 is confirmed against the whole file, as readCsv does.
+ * @param {string} filePath
+ * @param {object} options - { delimiter, encoding }, see normalizeCsvOptions().
+ * @returns {{rows: AsyncGenerator<string[]>, delimiter: string, encoding: string}}
+ */
+function streamCsv(filePath, options = {}) {
+  const { delimiter, encoding } = normalizeCsvOptions(options);
+  const head = readHead(filePath, SNIFF_BYTES);
+  let detectedEncoding = encoding || detectEncoding(head);
+  // Plain ASCII at the top says nothing about accented names further down.
+  if (!encoding && detectedEncoding === 'utf-8' && head.length === SNIFF_BYTES && !hasUtf8Bom(head) && !isUtf8File(filePath)) {
+    detectedEncoding = 'windows-1252';
+  }
+  let sample = stripBom(createCsvDecoder(detectedEncoding).write(head));
+  if (head.length === SNIFF_BYTES) {
+    // Only whole lines, so a row cut by the read does not skew the count.
+    sample = sample.slice(0, sample.lastIndexOf('\n') + 1) || sample;
+  }
+  const dialect = { delimiter: delimiter || detectDelimiter(sample), encoding: detectedEncoding };
+
+  async function* rows() {
+    const decoder = createCsvDecoder(dialect.encoding);
+    const tokenizer = createCsvTokenizer(dialect);
+    let started = false;
+    for await (const chunk of fs.createReadStream(filePath)) {
+      let text = decoder.write(chunk);
+      if (!started && text) {
+        text = stripBom(text);
+        started = true;
       }
-      pushField();
-      pushRow();
-      continue;
+      yield* tokenizer.push(text);
     }
+    yield* tokenizer.push(decoder.end());
+    yield* tokenizer.end();
+  }
+
+  return { rows: rows(), ...dialect };
+}
 
-    field += char;
+function readHead(filePath, bytes) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, bytes, 0));
+  } finally {
+    fs.closeSync(fd);
   }
+}
 
-  if (field.length > 0 || row.length > 0) {
-    pushField();
-    pushRow();
+function hasUtf8Bom(buffer) {
+  return buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+}
+
+/**
+ * Checks a whole file for invalid UTF-8, SNIFF_BYTES at a time.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isUtf8File(filePath) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  const buffer = Buffer.alloc(SNIFF_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, null)) > 0) {
+      try {
+        // Streaming mode, so a character cut at a chunk (or file) end is not an error.
+        decoder.decode(buffer.subarray(0, bytesRead), { stream: true });
+      } catch (err) {
+        return false;
+      }
+    }
+    return true;
+  } finally {
+    fs.closeSync(fd);
   }
+}
 
-  return rows;
+// TextDecoder drops a BOM matching the encoding; a forced one may leave it.
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
 }
 
-function readCsvFile(filePath) {
-  const raw = fs.readFileSync(filePath);
-  let content = raw.toString('utf8');
-  if (content.charCodeAt(0) === 0xfeff) {
-    content = content.slice(1);
+function escapeCsvField(value, delimiter) {
+  const text = value == null ? '' : String(value);
+  if (text.includes('"') || text.includes(delimiter) || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
   }
-  return parseCsv(content);
+  return text;
+}
+
+/**
+ * Serializes rows back to CSV, quoting fields the same way parseCsv reads them.
+ * @param {Array<Array>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatCsv(rows, delimiter = ',') {
+  return rows
+    .map((row) => row.map((value) => escapeCsvField(value, delimiter)).join(delimiter))
+    .join('\r\n');
 }
 
 module.exports = {
+  DELIMITERS,
+  createCsvTokenizer,
+  decodeCsv,
+  detectDelimiter,
+  detectEncoding,
+  normalizeCsvOptions,
   parseCsv,
-  readCsvFile
+  readCsv,
+  readCsvFile,
+  streamCsv,
+  formatCsv
 };
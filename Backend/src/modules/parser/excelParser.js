@@ -1,14 +1,46 @@
 const ExcelJS = require('exceljs');
 const logger = require('../utils/logger');
-const { readCsvFile } = require('./csvParser');
-const { sanitizePhone, isValidPhone } = require('../utils/phone');
+const { streamCsv } = require('./csvParser');
+const { parsePhone, describeExpectedFormat, DEFAULT_COUNTRY } = require('../utils/phone');
+const { normalizeCountry } = require('../utils/numberingPlans');
+
+// Title blocks above the table are usually a few lines; the header row is searched within these.
+const HEADER_SCAN_ROWS = 20;
+// Styles tell dates from plain numbers; hyperlinks keep their display text.
+const XLSX_STREAM_OPTIONS = { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit' };
+
+// What to do with rows repeating a phone number (compared in E.164).
+const DUPLICATE_STRATEGIES = ['keep_first', 'keep_last', 'merge'];
+
+function sheetNotFound(sheet, available) {
+  const error = new Error(`Sheet "${sheet}" not found. Available: ${available.map((entry) => entry.name).join(', ')}`);
+  error.code = 'SHEET_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Validates the duplicate strategy chosen for an upload.
+ * @param {string} strategy - "keep_first" (default), "keep_last" or "merge".
+ * @returns {string}
+ */
+function normalizeDuplicateStrategy(strategy) {
+  if (strategy === undefined || strategy === null || strategy === '') return 'keep_first';
+  const value = String(strategy).trim().toLowerCase();
+  if (!DUPLICATE_STRATEGIES.includes(value)) {
+    const error = new Error(`Invalid duplicates strategy: ${strategy}. Use one of ${DUPLICATE_STRATEGIES.join(', ')}`);
+    error.code = 'INVALID_DUPLICATE_STRATEGY';
+    throw error;
+  }
+  return value;
+}
 
 class ExcelParser {
   constructor() {
     this.requiredColumns = ['nome', 'telefone'];
     this.headerAliases = {
       nome: ['nome', 'name'],
-      telefone: ['telefone', 'phone', 'celular', 'whatsapp']
+      telefone: ['telefone', 'phone', 'celular', 'whatsapp'],
+      arquivo: ['arquivo', 'anexo', 'attachment']
     };
   }
 
@@ -16,188 +48,431 @@ class ExcelParser {
    * Parses an Excel or CSV file and retrieves valid contacts.
    * @param {string} filePath - Absolute path to the file.
    * @param {string} originalFilename - Original filename to detect extension.
-   * @returns {Promise<{contacts: Array, errors: Array}>}
+   * @param {object} options
+   * @param {AttachmentResolver} options.attachments - Resolves the optional "arquivo" column;
+   *   rows naming a file it cannot find are reported as errors.
+   * @param {string|number} options.sheet - Worksheet name or 1-based position. By default the
+   *   first sheet with a recognizable header row.
+   * @param {string} options.delimiter - CSV only; detected when omitted.
+   * @param {string} options.encoding - CSV only; detected when omitted.
+   * @param {string} options.duplicates - Rows repeating a phone number: "keep_first" (default),
+   *   "keep_last", or "merge" (one contact at the first row, empty columns filled from the later rows).
+   * @param {string} options.country - ISO code of the country assumed for numbers written without
+   *   a country code (see numberingPlans); config.phone.defaultCountry by default.
+   * @returns {Promise<{contacts: Array, errors: Array, duplicates: Array, columns: Array<string>, sheets: Array, sheet: string|null, headerRow: number, dialect: object|null}>}
+   *   columns are the header names as templates reference them (aliases resolved to
+   *   nome/telefone/arquivo); headerRow and the contacts' row numbers are the ones shown in Excel;
+   *   duplicates lists { phone, rows, kept } for each repeated number;
+   *   dialect is the CSV { delimiter, encoding } used (null for .xlsx).
    */
-  async parse(filePath, originalFilename) {
-    const workbook = new ExcelJS.Workbook();
+  async parse(filePath, originalFilename, options = {}) {
     const validContacts = [];
     const errors = [];
 
     try {
       logger.info(`Starting parser for: ${filePath}`);
+      const cursor = await this.open(filePath, originalFilename, options);
 
-      // Auto-detect format based on extension (check original name first)
-      const isCsv = (originalFilename && originalFilename.toLowerCase().endsWith('.csv')) || 
-                    filePath.toLowerCase().endsWith('.csv');
-
-      if (isCsv) {
-        const rows = readCsvFile(filePath);
-        if (rows.length === 0) {
-          throw new Error('CSV is empty or cannot be read.');
+      for await (const entry of cursor) {
+        if (entry.contact) {
+          validContacts.push(entry.contact);
+        } else {
+          errors.push(entry.error);
         }
+      }
 
-        const headerRow = rows[0];
-        const headerMap = this._mapHeaders(headerRow);
-        this._validateHeaders(headerMap, headerRow);
+      const repeated = cursor.duplicates.reduce((sum, group) => sum + group.rows.length - 1, 0);
+      logger.info(`Parsing complete. Processed: ${validContacts.length + errors.length + repeated}. Valid: ${validContacts.length}. Errors: ${errors.length}. Duplicates: ${repeated}.`);
+      return {
+        contacts: validContacts,
+        errors,
+        duplicates: cursor.duplicates,
+        columns: cursor.columns,
+        sheets: cursor.sheets,
+        sheet: cursor.sheet,
+        headerRow: cursor.headerRow,
+        dialect: cursor.dialect
+      };
 
-        let processedRows = 0;
-        rows.slice(1).forEach((row, index) => {
-          const rowNumber = index + 2;
-          try {
-            const rawName = this._getCsvValue(row, headerMap.nome);
-            const rawPhone = this._getCsvValue(row, headerMap.telefone);
+    } catch (error) {
+      logger.error(`Fatal Parser Error: ${error.message}`);
+      throw error;
+    }
+  }
 
-            if (!rawName && !rawPhone) {
-              return;
-            }
+  /**
+   * Opens a cursor over the contacts of an Excel or CSV file. Rows are read
+   * (ExcelJS streaming reader / incremental CSV tokenizer) and validated one at
+   * a time, so memory does not grow with the file. Iterate it with `for await`;
+   * each entry is { contact } or { error }, as the items of parse()'s contacts/errors.
+   * @param {string} filePath
+   * @param {string} originalFilename
+   * @param {object} options - As in parse().
+   * @returns {Promise<{columns: Array<string>, sheet: string|null, sheets: Array, duplicates: Array, headerRow: number, dialect: object|null, close: function(): Promise}>}
+   *   sheets and duplicates are only complete once the cursor has been read to the end;
+   *   close() releases the file when stopping early.
+   */
+  async open(filePath, originalFilename, options = {}) {
+    const strategy = normalizeDuplicateStrategy(options.duplicates);
+    const country = normalizeCountry(options.country, DEFAULT_COUNTRY);
+    // Keeping the last row (or merging into one) needs to know where each number last appears.
+    const lastRows = strategy === 'keep_first' ? null : await this._indexLastRows(filePath, originalFilename, { ...options, country });
+    const source = await this._openRows(filePath, originalFilename, options, this.requiredColumns);
+    const headerMap = this._mapHeaders(source.header.values);
+    const duplicates = [];
+    const entries = this._dedupeContacts(
+      this._readContacts(source.rows, headerMap, options.attachments, country),
+      { strategy, lastRows, duplicates }
+    );
 
-            const validation = this._validateRow(rawName, rawPhone);
-            if (validation.isValid) {
-              const variables = this._extractCsvVariables(row, headerMap, headerRow);
-              validContacts.push({
-                row: rowNumber,
-                name: rawName,
-                phone: validation.cleanPhone,
-                ...variables
-              });
-            } else {
-              errors.push({
-                row: rowNumber,
-                error: validation.error,
-                data: { name: rawName, phone: rawPhone }
-              });
-            }
+    return {
+      columns: Object.keys(headerMap),
+      sheet: source.sheet,
+      sheets: source.sheets,
+      duplicates,
+      headerRow: source.header.number,
+      dialect: source.dialect,
+      [Symbol.asyncIterator]: () => entries,
+      close: async () => {
+        await entries.return();
+      }
+    };
+  }
 
-            processedRows += 1;
-          } catch (rowError) {
-            errors.push({
-              row: rowNumber,
-              error: `Unexpected Parsing Error: ${rowError.message}`
-            });
-          }
-        });
+  /**
+   * Reads only the phone column of a spreadsheet (no name required), e.g. for
+   * importing a suppression list.
+   * @param {string} filePath
+   * @param {string} originalFilename
+   * @param {object} options - { sheet, delimiter, encoding }, as in parse().
+   * @returns {Promise<Array<string>>} raw phone values, empty cells skipped.
+   */
+  async readPhones(filePath, originalFilename, options = {}) {
+    const source = await this._openRows(filePath, originalFilename, options, ['telefone']);
+    const phoneIndex = this._mapHeaders(source.header.values).telefone;
+    const phones = [];
+    for await (const { values } of source.rows) {
+      const value = this._getValue(values, phoneIndex);
+      if (value) phones.push(value);
+    }
+    return phones;
+  }
 
-        logger.info(`Parsing complete. Processed: ${processedRows}. Valid: ${validContacts.length}. Errors: ${errors.length}.`);
-        return { contacts: validContacts, errors };
+  /**
+   * Lets one contact per phone number through; the other rows are reported in
+   * `duplicates` as { phone, rows, kept }. Invalid rows are never duplicates.
+   */
+  async *_dedupeContacts(entries, { strategy, lastRows, duplicates }) {
+    const groups = new Map();
+    // merge: contact being built for each repeated number, handed out at its last row.
+    const merging = new Map();
+
+    for await (const entry of entries) {
+      if (!entry.contact) {
+        yield entry;
+        continue;
       }
 
-      await workbook.xlsx.readFile(filePath);
-
-      const worksheet = workbook.getWorksheet(1); // Get first sheet
+      const { contact } = entry;
+      let group = groups.get(contact.phone);
+      if (!group) {
+        group = { phone: contact.phone, rows: [], kept: contact.row };
+        groups.set(contact.phone, group);
+      }
+      group.rows.push(contact.row);
+      if (group.rows.length === 2) duplicates.push(group);
 
-      if (!worksheet) {
-        throw new Error('Workbook is empty or cannot be read.');
+      if (strategy === 'keep_first') {
+        if (group.rows.length === 1) yield entry;
+        continue;
       }
 
-      // Map Headers
-      const headerRow = worksheet.getRow(1);
-      const columnMap = {};
-      const headersFound = [];
+      const isLast = lastRows.get(contact.phone) === contact.row;
+      if (strategy === 'keep_last') {
+        if (isLast) {
+          group.kept = contact.row;
+          yield entry;
+        }
+        continue;
+      }
 
-      headerRow.eachCell((cell, colNumber) => {
-        const headerValue = cell.value ? cell.value.toString().trim() : '';
-        if (headerValue) {
-          columnMap[headerValue] = colNumber;
-          headersFound.push(headerValue);
+      const merged = merging.get(contact.phone) || { ...contact };
+      Object.entries(contact).forEach(([key, value]) => {
+        if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+          merged[key] = value;
         }
       });
+      if (isLast) {
+        merging.delete(contact.phone);
+        yield { contact: merged };
+      } else {
+        merging.set(contact.phone, merged);
+      }
+    }
+  }
 
-      const normalizedMap = this._normalizeColumnMap(columnMap);
-      this._validateHeaders(normalizedMap, headersFound);
-
-      // Iterate Rows (Data starts at row 2)
-      let processedRows = 0;
-      worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber === 1) return; // Skip header
+  async _indexLastRows(filePath, originalFilename, options) {
+    const source = await this._openRows(filePath, originalFilename, options, this.requiredColumns);
+    const headerMap = this._mapHeaders(source.header.values);
+    const lastRows = new Map();
+    for await (const entry of this._readContacts(source.rows, headerMap, options.attachments, options.country)) {
+      if (entry.contact) lastRows.set(entry.contact.phone, entry.contact.row);
+    }
+    return lastRows;
+  }
 
-        try {
-          // Extract Data
-          const rawName = this._getCellValue(row, normalizedMap.nome);
-          const rawPhone = this._getCellValue(row, normalizedMap.telefone);
+  async *_readContacts(rows, headerMap, attachments, country) {
+    for await (const { number: rowNumber, values } of rows) {
+      const rawName = this._getValue(values, headerMap.nome);
+      const rawPhone = this._getValue(values, headerMap.telefone);
 
-          if (!rawName && !rawPhone) {
-             // Empty row, skip silently or log distinct debug
-             return; 
-          }
+      if (!rawName && !rawPhone) {
+        // Empty row, skip silently
+        continue;
+      }
 
-          // Validation
-          const validation = this._validateRow(rawName, rawPhone);
+      let entry;
+      try {
+        const validation = this._validateRow(rawName, rawPhone, country);
+        if (validation.isValid) {
+          // Optional dynamic variables (all other columns)
+          const variables = {};
+          Object.keys(headerMap).forEach((header) => {
+            if (!this.requiredColumns.includes(header)) {
+              variables[header] = this._getValue(values, headerMap[header]);
+            }
+          });
 
-          if (validation.isValid) {
-            // Extract optional dynamic variables (all other columns)
-            const variables = {};
-            Object.keys(normalizedMap).forEach(header => {
-              if (!this.requiredColumns.includes(header)) {
-                variables[header] = this._getCellValue(row, normalizedMap[header]);
+          const attachment = this._resolveAttachment(this._getValue(values, headerMap.arquivo), attachments);
+          entry = attachment.error
+            ? { error: { row: rowNumber, error: attachment.error, data: { name: rawName, phone: rawPhone } } }
+            : {
+              contact: {
+                row: rowNumber,
+                name: rawName,
+                phone: validation.cleanPhone,
+                ...variables,
+                ...(attachment.file ? { attachment: attachment.file } : {})
               }
-            });
-
-            validContacts.push({
-              row: rowNumber,
-              name: rawName,
-              phone: validation.cleanPhone,
-              ...variables
-            });
-          } else {
-            errors.push({
-              row: rowNumber,
-              error: validation.error,
-              data: { name: rawName, phone: rawPhone }
-            });
-          }
+            };
+        } else {
+          entry = { error: { row: rowNumber, error: validation.error, data: { name: rawName, phone: rawPhone } } };
+        }
+      } catch (rowError) {
+        entry = { error: { row: rowNumber, error: `Unexpected Parsing Error: ${rowError.message}` } };
+      }
+      yield entry;
+    }
+  }
 
-          processedRows++;
-        } catch (rowError) {
-          errors.push({
-            row: rowNumber,
-            error: `Unexpected Parsing Error: ${rowError.message}`
-          });
+  /**
+   * Locates the header row and returns the rows below it as a stream of
+   * { number, values } (number is the Excel row / CSV record, values the trimmed cells).
+   * @returns {Promise<{header: object, rows: AsyncGenerator, sheet: string|null, sheets: Array, dialect: object|null}>}
+   */
+  async _openRows(filePath, originalFilename, options, required) {
+    // Auto-detect format based on extension (check original name first)
+    const isCsv = (originalFilename && originalFilename.toLowerCase().endsWith('.csv')) ||
+                  filePath.toLowerCase().endsWith('.csv');
+
+    if (isCsv) {
+      const { rows, delimiter, encoding } = streamCsv(filePath, options);
+      const numbered = this._numberCsvRows(rows);
+      const { header, first } = await this._findHeader(numbered, required);
+      if (!first) {
+        await numbered.return();
+        throw new Error('CSV is empty or cannot be read.');
+      }
+      if (!header) {
+        await numbered.return();
+        throw this._missingColumns(required, first.values);
+      }
+      return { header, rows: numbered, sheet: null, sheets: [], dialect: { delimiter, encoding } };
+    }
+
+    return this._openWorksheetRows(filePath, options.sheet, required);
+  }
+
+  async *_numberCsvRows(rows) {
+    let number = 0;
+    for await (const values of rows) {
+      number += 1;
+      yield { number, values };
+    }
+  }
+
+  /**
+   * Streams the workbook until it reaches the sheet to read and its header row.
+   * Worksheets come in file order; the ones skipped are still read through so
+   * every sheet's row count can be listed.
+   * @param {string} filePath
+   * @param {string|number} sheet - Name or 1-based position; omitted means the first
+   *   sheet whose header row has all the required columns.
+   * @param {string[]} required - Canonical column names the header row must have.
+   */
+  async _openWorksheetRows(filePath, sheet, required) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, XLSX_STREAM_OPTIONS);
+    const worksheets = reader[Symbol.asyncIterator]();
+    const wanted = sheet !== undefined && sheet !== null && sheet !== '' ? String(sheet).trim() : null;
+    let sheets = null;
+    let target = null;
+    let firstRow = null;
+
+    try {
+      for (;;) {
+        const { value: worksheet, done } = await worksheets.next();
+        if (done) break;
+
+        if (!sheets) {
+          // workbook.xml (the sheet list) is read before the first worksheet is handed out.
+          sheets = ((reader.model && reader.model.sheets) || []).map((entry, index) => ({
+            index: index + 1,
+            name: entry.name,
+            rowCount: 0
+          }));
+          target = wanted === null ? null : this._matchSheet(sheets, wanted);
+          if (wanted !== null && !target) {
+            throw sheetNotFound(wanted, sheets);
+          }
         }
-      });
 
-      logger.info(`Parsing complete. Processed: ${processedRows}. Valid: ${validContacts.length}. Errors: ${errors.length}.`);
-      return { contacts: validContacts, errors };
+        const entry = this._sheetEntry(sheets, worksheet);
+        const rows = this._worksheetRows(worksheet, entry);
+        if (target && entry !== target) {
+          await this._drain(rows);
+          continue;
+        }
 
+        const { header, first } = await this._findHeader(rows, required);
+        if (header) {
+          return {
+            header,
+            rows: this._remainingRows(rows, worksheets, sheets),
+            sheet: entry.name,
+            sheets,
+            dialect: null
+          };
+        }
+        if (target) {
+          throw this._missingColumns(required, first ? first.values : []);
+        }
+        firstRow = firstRow || first || { values: [] };
+        await this._drain(rows);
+      }
     } catch (error) {
-      logger.error(`Fatal Parser Error: ${error.message}`);
+      await worksheets.return();
       throw error;
     }
-  }
 
-  _getCellValue(row, colNumber) {
-    if (!colNumber) return '';
-    const cell = row.getCell(colNumber);
-    // ExcelJS Text/Value handling
-    return cell.text ? cell.text.trim() : (cell.value ? cell.value.toString().trim() : '');
+    if (!sheets) {
+      throw new Error('Workbook is empty or cannot be read.');
+    }
+    // No sheet has the columns: report what the first one has.
+    throw this._missingColumns(required, firstRow ? firstRow.values : []);
   }
 
-  _getCsvValue(row, colIndex) {
-    if (!colIndex && colIndex !== 0) return '';
-    const value = row[colIndex] ?? '';
-    return String(value).trim();
+  async *_worksheetRows(worksheet, entry) {
+    for await (const row of worksheet) {
+      if (!row.hasValues) continue;
+      entry.rowCount += 1;
+      const values = [];
+      row.eachCell((cell, colNumber) => {
+        values[colNumber - 1] = this._getCellText(cell);
+      });
+      yield { number: row.number, values: Array.from(values, (value) => value || '') };
+    }
   }
 
-  _normalizeColumnMap(columnMap) {
-    const normalized = {};
-    Object.entries(columnMap).forEach(([header, colNumber]) => {
-      const key = this._resolveHeader(header);
-      if (key) {
-        normalized[key] = colNumber;
-      } else {
-        normalized[header] = colNumber;
+  /**
+   * Rows left in the selected sheet, then the other worksheets read through
+   * (only counted) so the sheet list is complete at the end.
+   */
+  async *_remainingRows(rows, worksheets, sheets) {
+    try {
+      yield* rows;
+      for (;;) {
+        const { value: worksheet, done } = await worksheets.next();
+        if (done) break;
+        await this._drain(this._worksheetRows(worksheet, this._sheetEntry(sheets, worksheet)));
       }
-    });
-    return normalized;
+    } finally {
+      await worksheets.return();
+    }
+  }
+
+  async _drain(rows) {
+    while (!(await rows.next()).done) {
+      // Read through; the rows are only counted.
+    }
+  }
+
+  /**
+   * Reads rows until one within the first HEADER_SCAN_ROWS holds all the required
+   * columns. The rows below it are left in the stream.
+   * @returns {Promise<{header: object|null, first: object|null}>} first is row 1, for error messages.
+   */
+  async _findHeader(rows, required) {
+    let first = null;
+    for (;;) {
+      const { value: row, done } = await rows.next();
+      if (done) return { header: null, first };
+      if (row.number === 1) first = row;
+      if (row.number > HEADER_SCAN_ROWS) return { header: null, first };
+      if (this._hasColumns(row.values, required)) return { header: row, first };
+    }
+  }
+
+  /**
+   * Sheet named `wanted` (case-insensitive), else the one at that 1-based position.
+   */
+  _matchSheet(sheets, wanted) {
+    return sheets.find((entry) => entry.name.toLowerCase() === wanted.toLowerCase())
+      || (/^\d+$/.test(wanted) ? sheets[Number(wanted) - 1] : undefined)
+      || null;
+  }
+
+  _sheetEntry(sheets, worksheet) {
+    let entry = sheets.find((candidate) => candidate.name === worksheet.name);
+    if (!entry) {
+      entry = { index: sheets.length + 1, name: worksheet.name || `Sheet${worksheet.id}`, rowCount: 0 };
+      sheets.push(entry);
+    }
+    return entry;
+  }
+
+  _missingColumns(required, headers) {
+    const found = headers.map((header) => String(header).trim()).filter(Boolean);
+    const missing = required.filter((column) => !this._hasColumns(found, [column]));
+    const error = new Error(`Missing required columns: ${missing.join(', ')}. Found: ${found.join(', ')}`);
+    error.code = 'MISSING_COLUMNS';
+    return error;
+  }
+
+  _hasColumns(headers, required) {
+    const resolved = headers.map((header) => this._resolveHeader(header));
+    return required.every((column) => resolved.includes(column));
+  }
+
+  _getCellText(cell) {
+    // ExcelJS Text/Value handling
+    return cell.text ? String(cell.text).trim() : (cell.value ? cell.value.toString().trim() : '');
+  }
+
+  _getValue(values, index) {
+    if (!index && index !== 0) return '';
+    const value = values[index] ?? '';
+    return String(value).trim();
   }
 
   _mapHeaders(headers) {
     const normalized = {};
     headers.forEach((header, index) => {
-      const key = this._resolveHeader(header);
+      const label = String(header ?? '').trim();
+      const key = this._resolveHeader(label);
       if (key) {
         normalized[key] = index;
-      } else if (header) {
-        normalized[header] = index;
+      } else if (label) {
+        normalized[label] = index;
       }
     });
     return normalized;
@@ -212,24 +487,20 @@ class ExcelParser {
     return match ? match[0] : null;
   }
 
-  _validateHeaders(columnMap, headersFound) {
-    const missingColumns = this.requiredColumns.filter(col => typeof columnMap[col] === 'undefined');
-    if (missingColumns.length > 0) {
-      throw new Error(`Missing required columns: ${missingColumns.join(', ')}. Found: ${headersFound.join(', ')}`);
+  /**
+   * An empty attachment cell means the row has no attachment; a name that
+   * cannot be found is an error, so it never surfaces mid-campaign.
+   */
+  _resolveAttachment(fileName, resolver) {
+    if (!fileName) return { file: null };
+    if (!resolver) {
+      return { error: `Attachment ${fileName} referenced but no ZIP or attachments folder is available` };
     }
+    const file = resolver.resolve(fileName);
+    return file ? { file } : { error: `Attachment not found: ${fileName}` };
   }
 
-  _extractCsvVariables(row, headerMap, headers) {
-    const variables = {};
-    Object.entries(headerMap).forEach(([key, index]) => {
-      if (this.requiredColumns.includes(key)) return;
-      const headerLabel = headers[index];
-      variables[headerLabel] = this._getCsvValue(row, index);
-    });
-    return variables;
-  }
-
-  _validateRow(name, phone) {
+  _validateRow(name, phone, country) {
     if (!name) {
       return { isValid: false, error: 'Missing Name' };
     }
@@ -237,13 +508,16 @@ class ExcelParser {
       return { isValid: false, error: 'Missing Phone' };
     }
 
-    const cleanPhone = sanitizePhone(phone);
-    if (!isValidPhone(cleanPhone)) {
-      return { isValid: false, error: `Invalid Phone Format: ${cleanPhone}. Expected 55DDD9XXXXXXXX` };
+    const parsed = parsePhone(phone, country);
+    if (!parsed.valid) {
+      return { isValid: false, error: `Invalid Phone Format: ${parsed.phone}. Expected ${describeExpectedFormat(country)}` };
     }
 
-    return { isValid: true, cleanPhone };
+    return { isValid: true, cleanPhone: parsed.phone };
   }
 }
 
+ExcelParser.DUPLICATE_STRATEGIES = DUPLICATE_STRATEGIES;
+ExcelParser.normalizeDuplicateStrategy = normalizeDuplicateStrategy;
+
 module.exports = ExcelParser;
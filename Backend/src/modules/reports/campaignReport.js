@@ -0,0 +1,183 @@
+const ExcelJS = require('exceljs');
+const { formatCsv } = require('../parser/csvParser');
+const { toE164 } = require('../utils/phone');
+
+const RESULT_COLUMNS = [
+  { header: 'Chip', key: 'chip', width: 18 },
+  { header: 'ID Mensagem WhatsApp', key: 'messageId', width: 28 },
+  { header: 'Status', key: 'status', width: 16 },
+  { header: 'Erro', key: 'error', width: 40 },
+  { header: 'Tentativas', key: 'attempts', width: 12 },
+  { header: 'Enviado em', key: 'sentAt', width: 24 },
+  { header: 'Entregue em', key: 'deliveredAt', width: 24 },
+  { header: 'Lido em', key: 'readAt', width: 24 },
+  { header: 'Respondeu em', key: 'repliedAt', width: 24 },
+  { header: 'Atualizado em', key: 'updatedAt', width: 24 }
+];
+
+// Only present in A/B campaigns.
+const VARIANT_COLUMN = { header: 'Variante', key: 'variantId', width: 10 };
+
+// Keys CampaignManager adds to the contact variables on top of the spreadsheet columns.
+const BUILT_IN_VARIABLES = new Set(['nome', 'telefone', 'row', 'name', 'phone']);
+
+const ERROR_COLUMNS = [
+  { header: 'Linha', key: 'row', width: 8 },
+  { header: 'Erro', key: 'error', width: 50 },
+  { header: 'Nome', key: 'name', width: 30 },
+  { header: 'Telefone', key: 'phone', width: 20 }
+];
+
+/**
+ * Lists the spreadsheet columns found on the contacts, in first-seen order.
+ */
+function collectVariableColumns(contacts) {
+  const columns = [];
+  contacts.forEach((contact) => {
+    Object.keys(contact.variables || {}).forEach((key) => {
+      if (!BUILT_IN_VARIABLES.has(key) && !columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Flattens a campaign record into report columns and rows: the original
+ * spreadsheet columns followed by the delivery outcome of each contact.
+ * @param {object} record - Campaign record from CampaignStore.
+ * @returns {{columns: Array, rows: Array, errors: Array}}
+ */
+function buildReportRows(record) {
+  const contacts = Object.values(record.contacts || {}).sort((a, b) => a.row - b.row);
+  const variableColumns = collectVariableColumns(contacts);
+
+  const columns = [
+    { header: 'Linha', key: 'row', width: 8 },
+    { header: 'Nome', key: 'name', width: 30 },
+    { header: 'Telefone', key: 'phone', width: 20 },
+    ...variableColumns.map((column) => ({ header: column, key: `var:${column}`, width: 20 })),
+    ...((record.variants || []).length > 0 ? [VARIANT_COLUMN] : []),
+    ...RESULT_COLUMNS
+  ];
+
+  const rows = contacts.map((contact) => {
+    const row = {
+      row: contact.row,
+      name: contact.name,
+      // Stored without the "+" (as in WhatsApp jids); the report shows E.164.
+      phone: toE164(contact.phone) || contact.phone,
+      variantId: contact.variantId || '',
+      chip: contact.chip || '',
+      messageId: contact.messageId || '',
+      status: contact.status,
+      error: contact.error || '',
+      attempts: (contact.attempts || []).length,
+      sentAt: contact.sentAt || '',
+      deliveredAt: contact.deliveredAt || '',
+      readAt: contact.readAt || '',
+      repliedAt: contact.repliedAt || '',
+      updatedAt: contact.updatedAt || ''
+    };
+    variableColumns.forEach((column) => {
+      row[`var:${column}`] = contact.variables?.[column] ?? '';
+    });
+    return row;
+  });
+
+  const errors = (record.parseErrors || []).map((parseError) => ({
+    row: parseError.row,
+    error: parseError.error,
+    name: parseError.data?.name || '',
+    phone: parseError.data?.phone || ''
+  }));
+
+  return { columns, rows, errors };
+}
+
+/**
+ * Builds the XLSX report: one sheet with the contact results and a separate
+ * sheet with the parser validation errors.
+ * @param {object} record
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsxBuffer(record) {
+  const { columns, rows, errors } = buildReportRows(record);
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const results = workbook.addWorksheet('Resultados');
+  results.columns = columns;
+  results.getRow(1).font = { bold: true };
+  rows.forEach((row) => results.addRow(row));
+
+  const validation = workbook.addWorksheet('Erros de Validação');
+  validation.columns = ERROR_COLUMNS;
+  validation.getRow(1).font = { bold: true };
+  errors.forEach((error) => validation.addRow(error));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Builds the CSV report. CSV has no sheets, so parser validation errors are
+ * appended as rows with status INVALID.
+ * @param {object} record
+ * @returns {string}
+ */
+function toCsv(record) {
+  const { columns, rows, errors } = buildReportRows(record);
+  const lines = [columns.map((column) => column.header)];
+  rows.forEach((row) => lines.push(columns.map((column) => row[column.key])));
+  errors.forEach((error) => {
+    lines.push(columns.map((column) => {
+      if (column.key === 'status') return 'INVALID';
+      return error[column.key] ?? '';
+    }));
+  });
+  return formatCsv(lines);
+}
+
+function rate(count, sent) {
+  return sent > 0 ? Math.round((count / sent) * 10000) / 10000 : 0;
+}
+
+/**
+ * Compares the A/B variants of a campaign. Counts come from the contact outcomes,
+ * which the message_status receipts move to DELIVERED/READ and replies mark as replied.
+ * @param {object} record - Campaign record from CampaignStore.
+ * @returns {Array<object>} one entry per variant; rates are fractions of sent.
+ */
+function compareVariants(record) {
+  const contacts = Object.values(record.contacts || {});
+  return (record.variants || []).map((variant) => {
+    const assigned = contacts.filter((contact) => contact.variantId === variant.id);
+    const count = (field) => assigned.filter((contact) => contact[field]).length;
+    const sent = count('sentAt');
+    const delivered = count('deliveredAt');
+    const read = count('readAt');
+    const replied = count('repliedAt');
+    return {
+      variantId: variant.id,
+      weight: variant.weight,
+      template: variant.template,
+      contacts: assigned.length,
+      sent,
+      delivered,
+      read,
+      replied,
+      failed: assigned.filter((contact) => contact.status === 'FAILED').length,
+      rates: {
+        delivered: rate(delivered, sent),
+        read: rate(read, sent),
+        replied: rate(replied, sent)
+      }
+    };
+  });
+}
+
+module.exports = {
+  buildReportRows,
+  compareVariants,
+  toXlsxBuffer,
+  toCsv
+};
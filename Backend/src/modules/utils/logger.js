@@ -2,6 +2,7 @@ const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
 const pathHelper = require('./pathHelper');
+const { maskPhones } = require('./phone');
 const config = require('../../../config.json');
 
 const logDir = pathHelper.getLogsDir();
@@ -10,8 +11,8 @@ const logDir = pathHelper.getLogsDir();
 // PII Masking Helper
 const maskPII = winston.format((info) => {
   if (typeof info.message === 'string') {
-    // Mask phone numbers (5511999998888 -> 55119****8888)
-    info.message = info.message.replace(/\b(55\d{2})(\d{4,5})(\d{4})\b/g, '$1****$3');
+    // Mask phone numbers of every known numbering plan (5511999998888 -> 5511****8888)
+    info.message = maskPhones(info.message);
   }
   return info;
 });
@@ -0,0 +1,140 @@
+/**
+ * Numbering plans the phone utilities know about, keyed by ISO 3166 country code.
+ * `pattern` validates the national significant number (what follows the country
+ * calling code); `trunkPrefix` is the digit dialled before it inside the country;
+ * `normalize` rewrites national habits into the form WhatsApp registers.
+ * `format` is shown in validation errors.
+ */
+const NUMBERING_PLANS = {
+  BR: {
+    country: 'BR',
+    name: 'Brazil',
+    callingCode: '55',
+    trunkPrefix: '0',
+    // DDD + 9 + 8 digits (mobile); 8-digit numbers are landlines and older mobile accounts.
+    pattern: /^[1-9]{2}(?:9\d{8}|[2-9]\d{7})$/,
+    format: '55DDD9XXXXXXXX',
+    example: '5511999998888'
+  },
+  PT: {
+    country: 'PT',
+    name: 'Portugal',
+    callingCode: '351',
+    trunkPrefix: null,
+    pattern: /^(?:9[1236]\d{7}|2\d{8})$/,
+    format: '351 + 9 digits (9XXXXXXXX)',
+    example: '351912345678'
+  },
+  AR: {
+    country: 'AR',
+    name: 'Argentina',
+    callingCode: '54',
+    trunkPrefix: '0',
+    // Mobiles carry a 9 after the country code; landlines are 10 digits.
+    pattern: /^9?[1-9]\d{9}$/,
+    format: '549 + area code + number (e.g. 5491123456789)',
+    example: '5491123456789',
+    normalize: normalizeArgentineNumber
+  },
+  US: {
+    country: 'US',
+    name: 'United States / Canada',
+    callingCode: '1',
+    trunkPrefix: '1',
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    format: '1 + area code + 7 digits (1NXXNXXXXXX)',
+    example: '12125551234'
+  },
+  ES: {
+    country: 'ES',
+    name: 'Spain',
+    callingCode: '34',
+    trunkPrefix: null,
+    pattern: /^[6-9]\d{8}$/,
+    format: '34 + 9 digits (6XXXXXXXX)',
+    example: '34612345678'
+  },
+  CL: {
+    country: 'CL',
+    name: 'Chile',
+    callingCode: '56',
+    trunkPrefix: null,
+    pattern: /^[2-9]\d{8}$/,
+    format: '56 + 9 digits (9XXXXXXXX)',
+    example: '56912345678'
+  },
+  CO: {
+    country: 'CO',
+    name: 'Colombia',
+    callingCode: '57',
+    trunkPrefix: null,
+    pattern: /^(?:3\d{9}|60\d{8})$/,
+    format: '57 + 10 digits (3XXXXXXXXX)',
+    example: '573001234567'
+  }
+};
+
+const DEFAULT_COUNTRY = 'BR';
+
+// Longest calling code first, so a 3-digit code is never read as a shorter one.
+const BY_CALLING_CODE = Object.values(NUMBERING_PLANS)
+  .sort((a, b) => b.callingCode.length - a.callingCode.length);
+
+/**
+ * At home, Argentine mobiles are dialled area code + 15 + number; abroad (and on
+ * WhatsApp) the 15 is dropped and a 9 goes before the area code.
+ * @param {string} digits - National number without the trunk prefix.
+ * @returns {string}
+ */
+function normalizeArgentineNumber(digits) {
+  if (digits.length !== 12 || digits.startsWith('9')) return digits;
+  // Area codes have 2 to 4 digits and the subscriber number fills the rest.
+  for (const areaLength of [2, 3, 4]) {
+    if (digits.substr(areaLength, 2) === '15') {
+      return `9${digits.slice(0, areaLength)}${digits.slice(areaLength + 2)}`;
+    }
+  }
+  return digits;
+}
+
+/**
+ * Validates a country chosen for a campaign or an upload.
+ * @param {string} country - ISO code ("BR", "pt"...); empty means the fallback.
+ * @param {string} fallback
+ * @returns {string}
+ */
+function normalizeCountry(country, fallback = DEFAULT_COUNTRY) {
+  if (country === undefined || country === null || country === '') return fallback;
+  const value = String(country).trim().toUpperCase();
+  if (!NUMBERING_PLANS[value]) {
+    const error = new Error(`Unsupported country: ${country}. Use one of ${Object.keys(NUMBERING_PLANS).join(', ')}`);
+    error.code = 'INVALID_COUNTRY';
+    throw error;
+  }
+  return value;
+}
+
+/**
+ * @param {string} country - ISO code; empty means DEFAULT_COUNTRY.
+ * @returns {object}
+ */
+function getNumberingPlan(country) {
+  return NUMBERING_PLANS[normalizeCountry(country)];
+}
+
+/**
+ * Finds the plan whose calling code starts an international number.
+ * @param {string} digits - Number with its country code, digits only.
+ * @returns {object|null}
+ */
+function findPlanByCallingCode(digits) {
+  return BY_CALLING_CODE.find((plan) => digits.startsWith(plan.callingCode)) || null;
+}
+
+module.exports = {
+  NUMBERING_PLANS,
+  DEFAULT_COUNTRY,
+  normalizeCountry,
+  getNumberingPlan,
+  findPlanByCallingCode
+};
@@ -1,23 +1,138 @@
-const DEFAULT_COUNTRY_CODE = '55';
+const config = require('../../../config.json');
+const {
+  normalizeCountry,
+  getNumberingPlan,
+  findPlanByCallingCode
+} = require('./numberingPlans');
 
-function sanitizePhone(input) {
-  const digits = String(input || '').replace(/\D/g, '');
-  if (!digits) return '';
+// Country assumed for numbers written without a country code (campaigns may pick another).
+const DEFAULT_COUNTRY = normalizeCountry(config.phone?.defaultCountry);
+const DEFAULT_COUNTRY_CODE = getNumberingPlan(DEFAULT_COUNTRY).callingCode;
+
+/**
+ * Reads a phone number as typed in a spreadsheet or received from WhatsApp.
+ * A leading "+" (or "00") means the country code is there; otherwise the number
+ * is tried with the default country's code, then as a national number of that
+ * country, then against the other countries' codes.
+ * @param {string} input
+ * @param {string} country - ISO code of the country assumed without a country code
+ *   (see numberingPlans); DEFAULT_COUNTRY when empty.
+ * @returns {{phone: string, country: string|null, valid: boolean}} phone is the E.164
+ *   number without the "+" (the form WhatsApp jids use), or the bare digits when invalid.
+ */
+function parsePhone(input, country) {
+  const text = String(input || '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (!digits) return { phone: '', country: null, valid: false };
+
+  const plan = planFor(country);
+  const candidates = [];
+  if (!text.startsWith('+')) {
+    if (digits.startsWith(plan.callingCode)) {
+      candidates.push([plan, digits.slice(plan.callingCode.length)]);
+    }
+    candidates.push([plan, digits]);
+  }
+  const international = digits.replace(/^00/, '');
+  const abroad = findPlanByCallingCode(international);
+  if (abroad) {
+    candidates.push([abroad, international.slice(abroad.callingCode.length)]);
+  }
+
+  for (const [candidate, national] of candidates) {
+    const number = nationalSignificantNumber(candidate, national);
+    if (candidate.pattern.test(number)) {
+      return { phone: `${candidate.callingCode}${number}`, country: candidate.country, valid: true };
+    }
+  }
+  return { phone: digits, country: null, valid: false };
+}
+
+// An empty country means the configured default, not the plans' own.
+function planFor(country) {
+  return getNumberingPlan(normalizeCountry(country, DEFAULT_COUNTRY));
+}
 
-  if ((digits.length === 10 || digits.length === 11) && !digits.startsWith(DEFAULT_COUNTRY_CODE)) {
-    return `${DEFAULT_COUNTRY_CODE}${digits}`;
+function nationalSignificantNumber(plan, digits) {
+  let number = digits;
+  if (plan.trunkPrefix && number.startsWith(plan.trunkPrefix)) {
+    number = number.slice(plan.trunkPrefix.length);
   }
+  return plan.normalize ? plan.normalize(number) : number;
+}
+
+/**
+ * Normalizes a number as typed (spreadsheets, the suppression list form).
+ * Numbers already stored or received from WhatsApp go through phoneKey instead.
+ */
+function sanitizePhone(input, country) {
+  return parsePhone(input, country).phone;
+}
+
+/**
+ * Key for a number that already carries its country code: a stored contact
+ * phone or a WhatsApp jid. Reading those as typed input would let the default
+ * country claim them (56912345678 is a Chilean mobile, but also looks like a
+ * Brazilian DDD 56 number), so the calling code is matched first; anything that
+ * is not a valid international number falls back to sanitizePhone.
+ * @param {string} phone
+ * @returns {string} E.164 without the "+".
+ */
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return '';
+  const international = parsePhone(`+${digits}`);
+  return international.valid ? international.phone : sanitizePhone(phone);
+}
+
+function isValidPhone(input, country) {
+  return parsePhone(input, country).valid;
+}
+
+/**
+ * @param {string} phone - A normalized number (see phoneKey).
+ * @returns {string} "+5511999998888", or '' when the number is invalid.
+ */
+function toE164(phone) {
+  const key = phoneKey(phone);
+  return isValidPhone(`+${key}`) ? `+${key}` : '';
+}
 
-  return digits;
+/**
+ * The format shown when a number does not match the country's plan.
+ * @param {string} country
+ * @returns {string} e.g. "55DDD9XXXXXXXX (Brazil)"
+ */
+function describeExpectedFormat(country) {
+  const plan = planFor(country);
+  return `${plan.format} (${plan.name})`;
 }
 
-function isValidPhone(input) {
-  const clean = sanitizePhone(input);
-  return /^55\d{10,11}$/.test(clean);
+/**
+ * Masks the phone numbers found in a text (5511999998888 -> 5511****8888):
+ * the country code and two more digits stay, as do the last four.
+ * Only digit runs that are valid numbers of a known plan are touched.
+ * @param {string} text
+ * @returns {string}
+ */
+function maskPhones(text) {
+  return text.replace(/\+?\b\d{10,15}\b/g, (match) => {
+    const digits = match.replace('+', '');
+    const plan = findPlanByCallingCode(digits);
+    if (!plan || !plan.pattern.test(digits.slice(plan.callingCode.length))) return match;
+    const kept = plan.callingCode.length + 2;
+    return `${match.startsWith('+') ? '+' : ''}${digits.slice(0, kept)}****${digits.slice(-4)}`;
+  });
 }
 
 module.exports = {
+  parsePhone,
   sanitizePhone,
+  phoneKey,
   isValidPhone,
+  toE164,
+  describeExpectedFormat,
+  maskPhones,
+  DEFAULT_COUNTRY,
   DEFAULT_COUNTRY_CODE
 };
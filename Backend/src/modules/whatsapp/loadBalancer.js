@@ -22,6 +22,18 @@ class LoadBalancer {
     logger.info(`LoadBalancer: Registered client [${client.id}].`);
   }
 
+  /**
+   * Returns an independent copy sharing the same sessions and round-robin position.
+   * Used by previews to learn which chip would be picked without advancing this balancer.
+   * @returns {LoadBalancer}
+   */
+  snapshot() {
+    const copy = new LoadBalancer(this.sessionManager);
+    copy.clients = [...this.clients];
+    copy.currentIndex = this.currentIndex;
+    return copy;
+  }
+
   _getActiveClients() {
     if (this.sessionManager && this.sessionManager.getActiveSessions) {
       return this.sessionManager.getActiveSessions();
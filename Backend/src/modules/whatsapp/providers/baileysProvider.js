@@ -7,6 +7,7 @@ const {
   jidNormalizedUser
 } = require('@whiskeysockets/baileys');
 
+const path = require('path');
 const pathHelper = require('../../utils/pathHelper');
 const WhatsAppProvider = require('./whatsAppProvider');
 
@@ -66,6 +67,17 @@ class BaileysProvider extends WhatsAppProvider {
         }
       });
     });
+
+    this.socket.ev.on('messages.upsert', ({ messages, type }) => {
+      // 'append' carries history sync; only live messages are handled.
+      if (type !== 'notify') return;
+      messages.forEach((message) => {
+        const inbound = this._toInboundMessage(message);
+        if (inbound) {
+          this.emit('message.received', inbound);
+        }
+      });
+    });
   }
 
   getDisconnectReason() {
@@ -87,7 +99,7 @@ class BaileysProvider extends WhatsAppProvider {
     if (!this.socket) {
       throw new Error('Provider not initialized');
     }
-    return this.socket.sendMessage(jid, { text: message });
+    return this.socket.sendMessage(jid, this._buildContent(message));
   }
 
   getPhoneNumber() {
@@ -117,11 +129,79 @@ class BaileysProvider extends WhatsAppProvider {
   _normalizeNumber(rawNumber) {
     const digits = String(rawNumber || '').replace(/\D/g, '');
     if (!digits) {
-      throw new Error('Invalid phone number');
+      const error = new Error('Invalid phone number');
+      error.code = 'INVALID_NUMBER';
+      throw error;
     }
     return digits;
   }
 
+  /**
+   * Flattens an incoming Baileys message. Returns null for our own messages,
+   * groups, broadcasts and messages without text.
+   */
+  _toInboundMessage(message) {
+    const key = message?.key;
+    if (!key || key.fromMe || !key.remoteJid) return null;
+    if (!key.remoteJid.endsWith('@s.whatsapp.net') && !key.remoteJid.endsWith('@lid')) return null;
+
+    const content = message.message || {};
+    const text = content.conversation
+      || content.extendedTextMessage?.text
+      || content.imageMessage?.caption
+      || content.videoMessage?.caption
+      || content.documentMessage?.caption
+      || content.buttonsResponseMessage?.selectedDisplayText
+      || content.listResponseMessage?.title
+      || '';
+    if (!text) return null;
+
+    // LID chats carry the phone-number jid separately when WhatsApp shares it.
+    const phoneJid = key.remoteJid.endsWith('@lid') ? (key.remoteJidAlt || key.senderPn || null) : key.remoteJid;
+    const jid = jidNormalizedUser(phoneJid || key.remoteJid);
+    const timestamp = Number(message.messageTimestamp);
+
+    return {
+      messageId: key.id,
+      jid,
+      phone: phoneJid ? jid.split('@')[0] : null,
+      text,
+      pushName: message.pushName || null,
+      timestamp: Number.isFinite(timestamp) && timestamp > 0 ? timestamp * 1000 : Date.now()
+    };
+  }
+
+  /**
+   * Maps the provider-neutral message payload to Baileys content. Media is read
+   * from disk by Baileys through { url: localPath }.
+   */
+  _buildContent(message) {
+    if (typeof message === 'string') {
+      return { text: message };
+    }
+
+    const { type, caption, media = {} } = message;
+    const source = { url: media.path };
+    const text = caption || undefined;
+    switch (type) {
+      case 'image':
+        return { image: source, caption: text, mimetype: media.mimetype };
+      case 'video':
+        return { video: source, caption: text, mimetype: media.mimetype };
+      case 'audio':
+        return { audio: source, mimetype: media.mimetype, ptt: true };
+      case 'document':
+        return {
+          document: source,
+          caption: text,
+          mimetype: media.mimetype || 'application/octet-stream',
+          fileName: media.fileName || path.basename(media.path || 'arquivo')
+        };
+      default:
+        return { text: caption || '' };
+    }
+  }
+
   _mapReceiptStatus(status) {
     const mapping = {
       1: 'SENT',
@@ -14,6 +14,12 @@ class WhatsAppProvider extends EventEmitter {
     throw new Error('validateNumber() not implemented');
   }
 
+  /**
+   * @param {string} jid
+   * @param {string|object} message - Plain text, or a typed payload
+   *   { type: 'image'|'document'|'audio'|'video', caption, media: { path, mimetype, fileName } }.
+   *   Audio is sent as a voice note and has no caption.
+   */
   async sendMessage() {
     throw new Error('sendMessage() not implemented');
   }
@@ -15,6 +15,19 @@ const STATES = {
   ERROR: 'ERROR'
 };
 
+// Sends remembered per chip to link receipts and replies. A chip sends at most
+// maxMessagesPerDay, so this covers weeks; older replies are linked through the contact history.
+const TRACKED_SENDS = 10000;
+
+// Map.set that moves the key to the end and drops the oldest entries past the limit.
+function remember(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > TRACKED_SENDS) {
+    map.delete(map.keys().next().value);
+  }
+}
+
 class WhatsAppClient extends EventEmitter {
   constructor(id, options = {}) {
     super();
@@ -23,10 +36,13 @@ class WhatsAppClient extends EventEmitter {
     this.lastStatusChangeAt = Date.now();
     this.lastQr = null;
     this.cooldownUntil = null;
+    this.cooldownTimer = null;
     this.sendHistory = [];
     this.reconnectAttempts = 0;
     this.idleTimer = null;
     this.messageTracker = new Map();
+    // jid -> id of the last message we sent there, to link replies to it.
+    this.lastOutboundByJid = new Map();
 
     this.complianceConfig = {
       maxMessagesPerHour: config.compliance.maxMessagesPerHour || 50,
@@ -87,6 +103,17 @@ class WhatsAppClient extends EventEmitter {
       };
       this.emit('message_status', payload);
     });
+
+    this.provider.on('message.received', (message) => {
+      logger.info(`[${this.id}] Message received from ${message.phone || message.jid}.`);
+      const outboundId = this.lastOutboundByJid.get(message.jid);
+      const tracked = outboundId ? this.messageTracker.get(outboundId) : null;
+      this.emit('message_received', {
+        ...message,
+        chipId: this.id,
+        inReplyTo: tracked ? { ...tracked, messageId: outboundId } : null
+      });
+    });
   }
 
   _handleReconnect(reason) {
@@ -198,6 +225,7 @@ class WhatsAppClient extends EventEmitter {
 
     if (this.status !== STATES.READY) {
       const error = new Error(`Client ${this.id} is not ready (Status: ${this.status})`);
+      error.code = 'NOT_READY';
       logger.warn(`[${this.id}] Send blocked: ${error.message}`);
       throw error;
     }
@@ -212,19 +240,22 @@ class WhatsAppClient extends EventEmitter {
       const { jid, exists } = await this.provider.validateNumber(rawNumber);
       if (!exists) {
         this._transition(STATES.ERROR, 'number_not_registered');
-        throw new Error(`Number ${rawNumber} is not registered on WhatsApp`);
+        const error = new Error(`Number ${rawNumber} is not registered on WhatsApp`);
+        error.code = 'NUMBER_NOT_REGISTERED';
+        throw error;
       }
 
       const result = await this.provider.sendMessage(jid, message);
       const messageId = result?.key?.id || result?.key?.id;
       const remoteJid = result?.key?.remoteJid || jid;
       if (messageId) {
-        this.messageTracker.set(messageId, {
+        remember(this.messageTracker, messageId, {
           ...correlation,
           phone: rawNumber,
           jid: remoteJid,
           sentAt: Date.now()
         });
+        remember(this.lastOutboundByJid, remoteJid, messageId);
         this.emit('message_status', {
           ...correlation,
           messageId,
@@ -262,7 +293,9 @@ class WhatsAppClient extends EventEmitter {
       const remaining = this.cooldownUntil - now;
       this._transition(STATES.COOLDOWN, 'cooldown_active');
       logger.warn(`[${this.id}] Cooldown active for ${remaining}ms. Blocking send.`);
-      throw new Error(`Cooldown active (${remaining}ms remaining)`);
+      const error = new Error(`Cooldown active (${remaining}ms remaining)`);
+      error.code = 'COOLDOWN';
+      throw error;
     }
     this.cooldownUntil = null;
     if (this.status === STATES.COOLDOWN) {
@@ -283,14 +316,18 @@ class WhatsAppClient extends EventEmitter {
       const oldest = this.sendHistory.filter((ts) => ts >= hourWindow)[0];
       const nextAllowed = oldest + 60 * 60 * 1000;
       this._setCooldownUntil(nextAllowed, 'rate_limit_hour');
-      throw new Error('Hourly rate limit reached');
+      const error = new Error('Hourly rate limit reached');
+      error.code = 'RATE_LIMIT';
+      throw error;
     }
 
     if (dailyCount >= this.complianceConfig.maxMessagesPerDay) {
       const oldest = this.sendHistory[0];
       const nextAllowed = oldest + 24 * 60 * 60 * 1000;
       this._setCooldownUntil(nextAllowed, 'rate_limit_day');
-      throw new Error('Daily rate limit reached');
+      const error = new Error('Daily rate limit reached');
+      error.code = 'RATE_LIMIT';
+      throw error;
     }
   }
 
@@ -299,6 +336,19 @@ class WhatsAppClient extends EventEmitter {
     this.cooldownUntil = timestamp + jitter;
     this._transition(STATES.COOLDOWN, reason);
     logger.warn(`[${this.id}] Cooldown engaged until ${new Date(this.cooldownUntil).toISOString()} (${reason}).`);
+
+    // The load balancer skips chips in COOLDOWN, so no send would bring this one back.
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = setTimeout(() => {
+      this.cooldownTimer = null;
+      if (this.status === STATES.COOLDOWN) {
+        this.cooldownUntil = null;
+        this._transition(STATES.READY, 'cooldown_complete');
+        this._scheduleIdle();
+      }
+    }, Math.max(this.cooldownUntil - Date.now(), 0));
+    // Not a reason to keep the process alive.
+    this.cooldownTimer.unref();
   }
 
   _registerSend() {
@@ -7,15 +7,34 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+const config = require('../../config.json');
 const logger = require('../modules/utils/logger');
 const CampaignManager = require('../modules/campaign/campaignManager');
+const CampaignScheduler = require('../modules/campaign/campaignScheduler');
+const FollowUpScheduler = require('../modules/campaign/followUpScheduler');
+const TemplateStore = require('../modules/campaign/templateStore');
+const { normalizeVariants } = require('../modules/campaign/templateVariants');
+const { describeSpintax } = require('../modules/campaign/templateEngine');
+const SendWindow = require('../modules/compliance/sendWindow');
+const campaignReport = require('../modules/reports/campaignReport');
 const PathHelper = require('../modules/utils/pathHelper');
 const { createCampaignId } = require('../modules/utils/correlation');
+const { createMedia } = require('../modules/dispatch/mediaMessage');
+const AttachmentResolver = require('../modules/parser/attachmentResolver');
+const ExcelParser = require('../modules/parser/excelParser');
+const { normalizeCsvOptions } = require('../modules/parser/csvParser');
+const { normalizeCountry } = require('../modules/utils/numberingPlans');
+const { DEFAULT_COUNTRY } = require('../modules/utils/phone');
+
+// Parser errors caused by the uploaded spreadsheet, answered with 400 instead of 500.
+const UPLOAD_ERROR_CODES = ['SHEET_NOT_FOUND', 'MISSING_COLUMNS'];
 
 // --- SINGLETONS ---
 // In a real app, we might use dependency injection, but here we instantiate singletons.
 // const sessionManager = new SessionManager(); // Removed unused instance
 const campaignManager = new CampaignManager(); 
+const campaignScheduler = new CampaignScheduler(campaignManager);
+const templateStore = new TemplateStore();
 // Note: CampaignManager internally creates its own SessionManager. 
 // For this simple architecture, we will share instances or rely on file-system state.
 // Ideally, CampaignManager should accept a sessionManager instance.
@@ -51,31 +70,115 @@ class ApiServer {
   setupRoutes() {
         // GET /api/status - System Health & Stats
     this.app.get('/api/status', (req, res) => {
-        const state = campaignManager.loadState();
-        const messageStatus = state.messageStatus || {};
-
-        const sentStatuses = new Set(['SERVER_ACK', 'SENT', 'DELIVERED', 'READ', 'PLAYED']);
-        const deliveredStatuses = new Set(['DELIVERED', 'READ', 'PLAYED']);
-
-        const totalSent = Object.values(messageStatus)
-          .filter((msg) => sentStatuses.has(msg.status)).length;
-
-        const delivered = Object.values(messageStatus)
-          .filter((msg) => deliveredStatuses.has(msg.status)).length;
+        const campaigns = campaignManager.store.list();
+        const totalSent = campaigns.reduce((sum, c) => sum + (c.counters?.sent || 0), 0);
+        const delivered = campaigns.reduce((sum, c) => sum + (c.counters?.delivered || 0), 0);
 
         const deliveryRate = totalSent
           ? Number(((delivered / totalSent) * 100).toFixed(1))
           : 0;
 
+        const active = campaignManager.getActiveCampaign();
+        const activeState = active ? campaignManager.loadState(active.campaignId) : null;
+
         res.json({
-            active_campaigns: campaignManager.isPaused ? 0 : (fs.existsSync(campaignManager.stateFile) ? 1 : 0),
+            active_campaigns: active && !campaignManager.isPaused ? 1 : 0,
             total_sent: totalSent,
             delivery_rate: deliveryRate,
-            queue_current: 0,
-            queue_total: 0
+            queue_current: activeState ? activeState.counters.total - activeState.counters.remaining : 0,
+            queue_total: activeState ? activeState.counters.total : 0
         });
     });
 
+    // GET /api/campaigns - Campaign history (newest first)
+    this.app.get('/api/campaigns', (req, res) => {
+        res.json(campaignManager.store.list());
+    });
+
+    // GET /api/campaigns/:id - Full campaign record with per-contact outcomes
+    this.app.get('/api/campaigns/:id', (req, res) => {
+        const record = campaignManager.store.load(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+        }
+        res.json(record);
+    });
+
+    // GET /api/campaigns/:id/replies - Inbound replies linked to the campaign
+    this.app.get('/api/campaigns/:id/replies', (req, res) => {
+        if (!campaignManager.loadState(req.params.id)) {
+            return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+        }
+        res.json(campaignManager.replyStore.list(req.params.id));
+    });
+
+    // GET /api/campaigns/:id/follow-ups - Follow-up steps scheduled, sent or cancelled per contact
+    this.app.get('/api/campaigns/:id/follow-ups', (req, res) => {
+        if (!campaignManager.loadState(req.params.id)) {
+            return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+        }
+        res.json(campaignManager.followUps.list(req.params.id));
+    });
+
+    // GET /api/campaigns/:id/variants - A/B comparison: sent, delivered, read and replied per variant
+    this.app.get('/api/campaigns/:id/variants', (req, res) => {
+        const record = campaignManager.loadState(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+        }
+        if (!(record.variants || []).length) {
+            return res.status(400).json({ error: `Campaign ${req.params.id} has no A/B variants` });
+        }
+        res.json({ campaignId: record.campaignId, variants: campaignReport.compareVariants(campaignManager.store.load(req.params.id)) });
+    });
+
+    // GET /api/campaigns/:id/contacts/:contactId/message - The text a contact received (?step=2+ for follow-ups)
+    this.app.get('/api/campaigns/:id/contacts/:contactId/message', (req, res) => {
+        const step = req.query.step === undefined ? 1 : Number(req.query.step);
+        if (!Number.isInteger(step) || step < 1) {
+            return res.status(400).json({ error: 'step must be an integer >= 1' });
+        }
+        const rendered = campaignManager.renderContactMessage(req.params.id, req.params.contactId, step);
+        if (!rendered) {
+            return res.status(404).json({ error: `No step ${step} for contact ${req.params.contactId} in campaign ${req.params.id}` });
+        }
+        res.json(rendered);
+    });
+
+    // GET /api/replies/uncorrelated - Inbound messages not linked to any campaign
+    this.app.get('/api/replies/uncorrelated', (req, res) => {
+        res.json(campaignManager.replyStore.list());
+    });
+
+    // GET /api/campaigns/:id/report?format=xlsx|csv - Per-contact results export
+    this.app.get('/api/campaigns/:id/report', async (req, res) => {
+        const record = campaignManager.store.load(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `Campaign ${req.params.id} not found` });
+        }
+
+        const format = String(req.query.format || 'xlsx').toLowerCase();
+        if (!['xlsx', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be xlsx or csv' });
+        }
+
+        try {
+            const filename = `relatorio_${record.campaignId}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            if (format === 'csv') {
+                // BOM so Excel opens accented characters as UTF-8.
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                return res.send('\ufeff' + campaignReport.toCsv(record));
+            }
+            const buffer = await campaignReport.toXlsxBuffer(record);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(Buffer.from(buffer));
+        } catch (error) {
+            logger.error(`Report export failed: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
 
     // GET /api/sessions - List Chips
     this.app.get('/api/sessions', async (req, res) => {
@@ -165,27 +268,137 @@ class ApiServer {
         }
     });
 
-    // POST /api/campaign/start - Start Dispatch
-    this.app.post('/api/campaign/start', this.upload.single('file'), async (req, res) => {
+    // POST /api/campaign/start - Start Dispatch (or schedule it when scheduledAt is given)
+    // Optional `sheet` (name or 1-based position) picks the worksheet of an .xlsx upload;
+    // `delimiter` and `encoding` override the detected CSV dialect.
+    // `duplicates` (keep_first, keep_last, merge) decides which row a repeated phone number keeps.
+    // `country` (ISO code, e.g. BR, PT, AR) is assumed for numbers written without a country code.
+    // Optional `media` upload (image, document, audio, video); `mediaType` overrides the type implied by its MIME type.
+    // Optional `attachments` ZIP with the per-contact files named in the spreadsheet's "arquivo" column.
+    const campaignUploads = this.upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'media', maxCount: 1 },
+        { name: 'attachments', maxCount: 1 }
+    ]);
+    this.app.post('/api/campaign/start', campaignUploads, async (req, res) => {
+        const file = req.files?.file?.[0];
+        const mediaFile = req.files?.media?.[0];
+        const attachmentsFile = req.files?.attachments?.[0];
+        let attachmentsDir;
+        // Uploads stay on disk only for a campaign that starts or is scheduled.
+        const discardUploads = () => {
+            [file, mediaFile, attachmentsFile].filter(Boolean).forEach((upload) => fs.unlink(upload.path, () => {}));
+            if (attachmentsDir) {
+                fs.rm(attachmentsDir, { recursive: true, force: true }, () => {});
+            }
+        };
         try {
-            const { message, delayMin, delayMax } = req.body;
-            const file = req.file;
+            const { delayMin, delayMax, scheduledAt, mediaType } = req.body;
 
-            if (!file) throw new Error('No file uploaded');
+            if (!file) {
+                discardUploads();
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            const resolved = this.resolveMessage(req.body);
+            if (!resolved) {
+                discardUploads();
+                return res.status(404).json({ error: `Template ${req.body.templateId} not found` });
+            }
+            const { message, templateRef } = resolved;
+
+            let sendWindow;
+            let frequencyCap;
+            let followUps;
+            let variants;
+            let csvOptions;
+            let duplicates;
+            let country;
+            let media = null;
+            try {
+                sendWindow = this.parseSendWindow(req.body.sendWindow);
+                csvOptions = normalizeCsvOptions(req.body);
+                duplicates = ExcelParser.normalizeDuplicateStrategy(req.body.duplicates);
+                country = normalizeCountry(req.body.country, DEFAULT_COUNTRY);
+                frequencyCap = this.parseJsonField(req.body.frequencyCap, 'frequencyCap');
+                followUps = FollowUpScheduler.normalizeFollowUps(this.parseJsonField(req.body.followUps, 'followUps'));
+                variants = normalizeVariants(this.parseJsonField(req.body.variants, 'variants'));
+                if (mediaFile) {
+                    media = createMedia(mediaFile, mediaType || undefined);
+                } else if (mediaType && mediaType !== 'text') {
+                    throw new Error(`A ${mediaType} message needs a media file`);
+                }
+            } catch (e) {
+                discardUploads();
+                return res.status(400).json({ error: e.message });
+            }
+            if (!media && !attachmentsFile && variants.length === 0 && !String(message || '').trim()) {
+                discardUploads();
+                return res.status(400).json({ error: 'message is required for text campaigns' });
+            }
 
-            // Move file to permanent location if needed, or parse directly
-            logger.info(`API: Starting campaign with ${file.originalname}`);
             const campaignId = createCampaignId();
+            if (attachmentsFile) {
+                try {
+                    const resolver = await AttachmentResolver.fromZip(
+                        attachmentsFile.path,
+                        PathHelper.resolve('data', 'uploads', `attachments_${campaignId}`)
+                    );
+                    attachmentsDir = resolver.baseDir;
+                } catch (e) {
+                    discardUploads();
+                    return res.status(400).json({ error: `Invalid attachments ZIP: ${e.message}` });
+                } finally {
+                    fs.unlink(attachmentsFile.path, () => {});
+                }
+            }
             const delayMinMs = Number.isFinite(Number(delayMin)) ? Number(delayMin) * 1000 : undefined;
             const delayMaxMs = Number.isFinite(Number(delayMax)) ? Number(delayMax) * 1000 : undefined;
+            const options = {
+              campaignId,
+              delayMin: delayMinMs,
+              delayMax: delayMaxMs,
+              sendWindow,
+              frequencyCap,
+              followUps,
+              variants,
+              media,
+              attachmentsDir,
+              templateRef,
+              sheet: req.body.sheet || undefined,
+              ...csvOptions,
+              duplicates,
+              country
+            };
+
+            if (scheduledAt) {
+                const startAt = new Date(scheduledAt);
+                if (Number.isNaN(startAt.getTime()) || startAt.getTime() <= Date.now()) {
+                    discardUploads();
+                    return res.status(400).json({ error: 'scheduledAt must be a valid future date/time' });
+                }
+                logger.info(`API: Scheduling campaign with ${file.originalname} for ${startAt.toISOString()}`);
+                const entry = campaignScheduler.schedule({
+                    scheduledAt: startAt,
+                    excelPath: file.path,
+                    messageTemplate: message,
+                    originalFilename: file.originalname,
+                    options
+                });
+                return res.json({ success: true, message: 'Campaign scheduled', campaignId, scheduledAt: entry.scheduledAt });
+            }
+
+            if (campaignManager.runPromise) {
+                discardUploads();
+                return res.status(409).json({ error: 'Another campaign is still running. Pause or cancel it first.' });
+            }
+
+            // Move file to permanent location if needed, or parse directly
+            logger.info(`API: Starting campaign with ${file.originalname}`);
 
             // Async start (Fire and Forget)
             campaignManager.initialize().then(() => {
-                return campaignManager.startCampaign(file.path, message, file.originalname, {
-                  campaignId,
-                  delayMin: delayMinMs,
-                  delayMax: delayMaxMs
-                });
+                return campaignManager.startCampaign(file.path, message, file.originalname, options);
             }).catch(err => {
                 logger.error(`Campaign Background Error: ${err.message}`);
                 this.io.emit('log', `[ERROR] Campaign Failed: ${err.message}`);
@@ -194,9 +407,437 @@ class ApiServer {
             res.json({ success: true, message: 'Campaign started in background', campaignId });
 
         } catch (e) {
+            discardUploads();
             res.status(500).json({ error: e.message });
         }
     });
+
+    // POST /api/campaign/preview - Dry-run of the first N contacts (nothing is sent)
+    const previewUploads = this.upload.fields([{ name: 'file', maxCount: 1 }, { name: 'attachments', maxCount: 1 }]);
+    this.app.post('/api/campaign/preview', previewUploads, async (req, res) => {
+        const file = req.files?.file?.[0];
+        const attachmentsFile = req.files?.attachments?.[0];
+        let attachmentsDir;
+        try {
+            const { delayMin, delayMax, limit } = req.body;
+            if (!file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            const resolved = this.resolveMessage(req.body);
+            if (!resolved) {
+                return res.status(404).json({ error: `Template ${req.body.templateId} not found` });
+            }
+            const { message } = resolved;
+
+            if (attachmentsFile) {
+                attachmentsDir = `${attachmentsFile.path}_extracted`;
+                try {
+                    await AttachmentResolver.fromZip(attachmentsFile.path, attachmentsDir);
+                } catch (e) {
+                    return res.status(400).json({ error: `Invalid attachments ZIP: ${e.message}` });
+                }
+            }
+
+            let variants;
+            let csvOptions;
+            let duplicates;
+            let country;
+            try {
+                variants = normalizeVariants(this.parseJsonField(req.body.variants, 'variants'));
+                csvOptions = normalizeCsvOptions(req.body);
+                duplicates = ExcelParser.normalizeDuplicateStrategy(req.body.duplicates);
+                country = normalizeCountry(req.body.country, DEFAULT_COUNTRY);
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+
+            const previewLimit = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 50);
+            const result = await campaignManager.previewCampaign(file.path, message, file.originalname, {
+                limit: previewLimit,
+                delayMin: Number.isFinite(Number(delayMin)) ? Number(delayMin) * 1000 : undefined,
+                delayMax: Number.isFinite(Number(delayMax)) ? Number(delayMax) * 1000 : undefined,
+                attachmentsDir,
+                variants,
+                sheet: req.body.sheet || undefined,
+                ...csvOptions,
+                duplicates,
+                country
+            });
+            res.json(result);
+        } catch (e) {
+            res.status(UPLOAD_ERROR_CODES.includes(e.code) ? 400 : 500).json({ error: e.message });
+        } finally {
+            [file, attachmentsFile].filter(Boolean).forEach((upload) => fs.unlink(upload.path, () => {}));
+            if (attachmentsDir) {
+                fs.rm(attachmentsDir, { recursive: true, force: true }, () => {});
+            }
+        }
+    });
+
+    // POST /api/campaign/lint - Checks the templates against the spreadsheet; the wizard blocks launch when valid is false
+    this.app.post('/api/campaign/lint', previewUploads, async (req, res) => {
+        const file = req.files?.file?.[0];
+        const attachmentsFile = req.files?.attachments?.[0];
+        let attachmentsDir;
+        try {
+            if (!file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            const resolved = this.resolveMessage(req.body);
+            if (!resolved) {
+                return res.status(404).json({ error: `Template ${req.body.templateId} not found` });
+            }
+
+            let variants;
+            let followUps;
+            let csvOptions;
+            let duplicates;
+            let country;
+            try {
+                variants = normalizeVariants(this.parseJsonField(req.body.variants, 'variants'));
+                followUps = FollowUpScheduler.normalizeFollowUps(this.parseJsonField(req.body.followUps, 'followUps'));
+                csvOptions = normalizeCsvOptions(req.body);
+                duplicates = ExcelParser.normalizeDuplicateStrategy(req.body.duplicates);
+                country = normalizeCountry(req.body.country, DEFAULT_COUNTRY);
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+
+            // Rows whose attachment cannot be found are parse errors, not lint findings.
+            if (attachmentsFile) {
+                attachmentsDir = `${attachmentsFile.path}_extracted`;
+                try {
+                    await AttachmentResolver.fromZip(attachmentsFile.path, attachmentsDir);
+                } catch (e) {
+                    return res.status(400).json({ error: `Invalid attachments ZIP: ${e.message}` });
+                }
+            }
+
+            const result = await campaignManager.lintCampaign(file.path, resolved.message, file.originalname, {
+                attachmentsDir,
+                variants,
+                followUps,
+                sheet: req.body.sheet || undefined,
+                ...csvOptions,
+                duplicates,
+                country
+            });
+            res.json(result);
+        } catch (e) {
+            res.status(UPLOAD_ERROR_CODES.includes(e.code) ? 400 : 500).json({ error: e.message });
+        } finally {
+            [file, attachmentsFile].filter(Boolean).forEach((upload) => fs.unlink(upload.path, () => {}));
+            if (attachmentsDir) {
+                fs.rm(attachmentsDir, { recursive: true, force: true }, () => {});
+            }
+        }
+    });
+
+    // GET /api/schedules - Scheduled campaigns (soonest first)
+    this.app.get('/api/schedules', (req, res) => {
+        res.json(campaignScheduler.list());
+    });
+
+    // PUT /api/schedules/:id - Move a pending campaign to another date/time
+    this.app.put('/api/schedules/:id', (req, res) => {
+        const { id } = req.params;
+        const { scheduledAt } = req.body || {};
+        if (!campaignScheduler.get(id)) {
+            return res.status(404).json({ error: `Scheduled campaign ${id} not found` });
+        }
+        const startAt = new Date(scheduledAt);
+        if (!scheduledAt || Number.isNaN(startAt.getTime()) || startAt.getTime() <= Date.now()) {
+            return res.status(400).json({ error: 'scheduledAt must be a valid future date/time' });
+        }
+        try {
+            res.json({ success: true, schedule: campaignScheduler.reschedule(id, startAt) });
+        } catch (e) {
+            res.status(409).json({ error: e.message });
+        }
+    });
+
+    // DELETE /api/schedules/:id - Cancel a pending campaign
+    this.app.delete('/api/schedules/:id', (req, res) => {
+        const { id } = req.params;
+        if (!campaignScheduler.get(id)) {
+            return res.status(404).json({ error: `Scheduled campaign ${id} not found` });
+        }
+        try {
+            res.json({ success: true, schedule: campaignScheduler.cancel(id) });
+        } catch (e) {
+            res.status(409).json({ error: e.message });
+        }
+    });
+
+    // POST /api/campaign/:id/pause - Stop the send loop after the contact in flight
+    this.app.post('/api/campaign/:id/pause', (req, res) => {
+        const { id } = req.params;
+        if (!campaignManager.getActiveCampaign(id)) {
+            return res.status(404).json({ error: `Campaign ${id} is not active` });
+        }
+        try {
+            const result = campaignManager.pauseCampaign(id);
+            this.io.emit('log', `[SYSTEM] Campaign ${id} paused`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            res.status(409).json({ error: e.message });
+        }
+    });
+
+    // POST /api/campaign/:id/resume - Continue from the rows not yet processed
+    // (paused campaigns, or campaigns interrupted by a restart)
+    this.app.post('/api/campaign/:id/resume', (req, res) => {
+        const { id } = req.params;
+        if (!campaignManager.getActiveCampaign(id) && !campaignManager.store.has(id)) {
+            return res.status(404).json({ error: `Campaign ${id} not found` });
+        }
+        if (!campaignManager.isResumable(id)) {
+            return res.status(409).json({ error: `Campaign ${id} is not paused or interrupted` });
+        }
+        if (!campaignManager.getActiveCampaign(id) && campaignManager.runPromise) {
+            return res.status(409).json({ error: 'Another campaign is still running. Pause or cancel it first.' });
+        }
+
+        // Async resume (Fire and Forget), same as /api/campaign/start
+        campaignManager.resumeCampaign(id).catch(err => {
+            logger.error(`Campaign Resume Error: ${err.message}`);
+            this.io.emit('log', `[ERROR] Campaign Resume Failed: ${err.message}`);
+        });
+
+        res.json({ success: true, campaignId: id, status: 'RUNNING' });
+    });
+
+    // GET /api/campaign/interrupted - Campaigns a restart stopped mid-run
+    this.app.get('/api/campaign/interrupted', (req, res) => {
+        res.json(campaignManager.getInterruptedCampaigns());
+    });
+
+    // POST /api/campaign/:id/cancel - Stop the campaign for good
+    this.app.post('/api/campaign/:id/cancel', (req, res) => {
+        const { id } = req.params;
+        if (!campaignManager.getActiveCampaign(id) && !campaignManager.store.has(id)) {
+            return res.status(404).json({ error: `Campaign ${id} not found` });
+        }
+        try {
+            const result = campaignManager.cancelCampaign(id);
+            this.io.emit('log', `[SYSTEM] Campaign ${id} cancelled`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            res.status(409).json({ error: e.message });
+        }
+    });
+
+    // GET /api/suppression - Numbers that must never be messaged (opt-outs)
+    this.app.get('/api/suppression', (req, res) => {
+        res.json(campaignManager.suppressionList.list());
+    });
+
+    // POST /api/suppression - Add a number manually
+    this.app.post('/api/suppression', (req, res) => {
+        const { phone, note } = req.body || {};
+        if (!phone) {
+            return res.status(400).json({ error: 'phone is required' });
+        }
+        try {
+            const { entry, created } = campaignManager.suppressionList.add(phone, { source: 'manual', note, country: req.body.country });
+            res.status(created ? 201 : 200).json(entry);
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        }
+    });
+
+    // POST /api/suppression/import - Bulk add from a CSV/XLSX (telefone column) or a JSON list
+    this.app.post('/api/suppression/import', this.upload.single('file'), async (req, res) => {
+        const file = req.file;
+        try {
+            let phones = Array.isArray(req.body?.phones) ? req.body.phones : null;
+            if (file) {
+                phones = await campaignManager.parser.readPhones(file.path, file.originalname, {
+                    sheet: req.body?.sheet,
+                    ...normalizeCsvOptions(req.body)
+                });
+            }
+            if (!phones) {
+                return res.status(400).json({ error: 'Upload a file or send a phones array' });
+            }
+            const result = campaignManager.suppressionList.import(phones, { note: req.body?.note, country: req.body?.country });
+            logger.info(`API: Suppression import added ${result.added}, existing ${result.existing}, invalid ${result.invalid.length}`);
+            res.json(result);
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        } finally {
+            if (file) {
+                fs.unlink(file.path, () => {});
+            }
+        }
+    });
+
+    // DELETE /api/suppression/:phone - Allow a number again
+    this.app.delete('/api/suppression/:phone', (req, res) => {
+        if (!campaignManager.suppressionList.remove(req.params.phone)) {
+            return res.status(404).json({ error: `${req.params.phone} is not on the suppression list` });
+        }
+        res.json({ success: true });
+    });
+
+    // GET /api/templates - Saved message templates (current versions)
+    this.app.get('/api/templates', (req, res) => {
+        res.json(templateStore.list());
+    });
+
+    // GET /api/templates/:id - One template with its earlier versions
+    this.app.get('/api/templates/:id', (req, res) => {
+        const template = templateStore.get(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: `Template ${req.params.id} not found` });
+        }
+        res.json(template);
+    });
+
+    // POST /api/templates - Save a template { name, body, variables? }
+    this.app.post('/api/templates', (req, res) => {
+        try {
+            res.status(201).json(templateStore.create(req.body || {}));
+        } catch (e) {
+            res.status(e.code === 'INVALID_TEMPLATE' ? 400 : 500).json({ error: e.message });
+        }
+    });
+
+    // PUT /api/templates/:id - Save a new version (partial)
+    this.app.put('/api/templates/:id', (req, res) => {
+        try {
+            const template = templateStore.update(req.params.id, req.body || {});
+            if (!template) {
+                return res.status(404).json({ error: `Template ${req.params.id} not found` });
+            }
+            res.json(template);
+        } catch (e) {
+            res.status(e.code === 'INVALID_TEMPLATE' ? 400 : 500).json({ error: e.message });
+        }
+    });
+
+    // DELETE /api/templates/:id
+    this.app.delete('/api/templates/:id', (req, res) => {
+        if (!templateStore.remove(req.params.id)) {
+            return res.status(404).json({ error: `Template ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+    });
+
+    // POST /api/spintax/stats - Number of spintax combinations and a sample of distinct variations
+    // Body: { message } or { templateId, templateVersion }, optional limit (1-100) and seed.
+    this.app.post('/api/spintax/stats', (req, res) => {
+        const resolved = this.resolveMessage(req.body || {});
+        if (!resolved) {
+            return res.status(404).json({ error: `Template ${req.body.templateId} not found` });
+        }
+        if (!String(resolved.message || '').trim()) {
+            return res.status(400).json({ error: 'message is required' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 10, 1), 100);
+        res.json(describeSpintax(resolved.message, { limit, seed: req.body.seed }));
+    });
+
+    // GET /api/auto-replies - Auto-reply rules
+    this.app.get('/api/auto-replies', (req, res) => {
+        res.json(campaignManager.autoReplyEngine.list());
+    });
+
+    // POST /api/auto-replies - Create a rule
+    this.app.post('/api/auto-replies', (req, res) => {
+        try {
+            res.status(201).json(campaignManager.autoReplyEngine.create(req.body || {}));
+        } catch (e) {
+            res.status(e.code === 'INVALID_RULE' ? 400 : 500).json({ error: e.message });
+        }
+    });
+
+    // PUT /api/auto-replies/:id - Update a rule (partial)
+    this.app.put('/api/auto-replies/:id', (req, res) => {
+        try {
+            const rule = campaignManager.autoReplyEngine.update(req.params.id, req.body || {});
+            if (!rule) {
+                return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+            }
+            res.json(rule);
+        } catch (e) {
+            res.status(e.code === 'INVALID_RULE' ? 400 : 500).json({ error: e.message });
+        }
+    });
+
+    // DELETE /api/auto-replies/:id
+    this.app.delete('/api/auto-replies/:id', (req, res) => {
+        if (!campaignManager.autoReplyEngine.remove(req.params.id)) {
+            return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+    });
+  }
+
+  recoverInterruptedCampaigns() {
+    const interrupted = campaignManager.recoverInterruptedCampaigns();
+    if (interrupted.length === 0) return;
+
+    logger.warn(`${interrupted.length} interrupted campaign(s) found. Resume via POST /api/campaign/:id/resume.`);
+    this.io.emit('campaign_interrupted', interrupted);
+
+    const campaignConfig = config.campaign || {};
+    if (!campaignConfig.autoResume) return;
+
+    campaignManager.autoResumeInterrupted({ timeoutMs: campaignConfig.autoResumeTimeoutMs })
+      .then((resumed) => {
+        if (resumed) {
+          this.io.emit('log', `[SYSTEM] Campaign ${resumed.campaignId} auto-resumed after restart`);
+        }
+      })
+      .catch((err) => {
+        logger.error(`Auto-resume Error: ${err.message}`);
+        this.io.emit('log', `[ERROR] Auto-resume Failed: ${err.message}`);
+      });
+  }
+
+  /**
+   * Parses the optional per-campaign send window (JSON string in multipart bodies).
+   * Throws when the window is malformed so the route can answer 400.
+   */
+  parseSendWindow(raw) {
+    const sendWindow = this.parseJsonField(raw, 'sendWindow');
+    if (!sendWindow) return undefined;
+    // Validates hours, weekdays and timezone up front.
+    new SendWindow(sendWindow);
+    return sendWindow;
+  }
+
+  /**
+   * Picks the campaign message: the saved template named by templateId (at
+   * templateVersion, or its current version) or the raw `message` field.
+   * @returns {{message: string, templateRef: object|undefined}|null} null when the template does not exist.
+   */
+  resolveMessage(body) {
+    if (!body.templateId) {
+      return { message: body.message, templateRef: undefined };
+    }
+    const saved = templateStore.getVersion(body.templateId, body.templateVersion || undefined);
+    if (!saved) return null;
+    return {
+      message: saved.body,
+      templateRef: { id: saved.id, name: saved.name, version: saved.version }
+    };
+  }
+
+  /**
+   * Reads an optional object field that multipart bodies carry as a JSON string.
+   */
+  parseJsonField(raw, name) {
+    if (!raw) return undefined;
+    if (typeof raw !== 'string') return raw;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`${name} must be valid JSON`);
+    }
   }
 
   setupSocket() {
@@ -255,6 +896,14 @@ class ApiServer {
                 this.attachClientListeners(client);
             });
         }
+
+        // Re-arm campaigns scheduled before the restart
+        campaignScheduler.load();
+        // ...and the follow-up steps still waiting for their contacts
+        campaignManager.followUps.load();
+
+        // Offer (or auto-resume) campaigns the previous process left mid-run
+        this.recoverInterruptedCampaigns();
     });
 
     // Global Error Handlers to prevent crash loops
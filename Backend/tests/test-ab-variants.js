@@ -0,0 +1,148 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ReplyStore = require('../src/modules/campaign/replyStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const { normalizeVariants, pickVariant } = require('../src/modules/campaign/templateVariants');
+const { compareVariants, buildReportRows } = require('../src/modules/reports/campaignReport');
+
+class MockProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.count = 0;
+  }
+  async initialize() {}
+  async validateNumber(number) {
+    return { jid: `${number}@s.whatsapp.net`, exists: true };
+  }
+  async sendMessage(jid) {
+    this.count += 1;
+    return { key: { id: `wa_${this.count}`, remoteJid: jid } };
+  }
+  getPhoneNumber() {
+    return '5511900000000';
+  }
+  getDisplayName() {
+    return 'Mock';
+  }
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+(async () => {
+  console.log('--- A/B VARIANTS TEST ---');
+
+  // Validation.
+  assert.deepStrictEqual(normalizeVariants(undefined), []);
+  assert.throws(() => normalizeVariants([{ template: 'Oi' }]), /between 2 and 3 variants/);
+  assert.throws(() => normalizeVariants([{ template: 'Oi' }, { template: ' ' }]), /template is required/);
+  assert.throws(() => normalizeVariants([{ template: 'Oi', weight: 0 }, { template: 'Olá' }]), /weight must be a number > 0/);
+  assert.throws(() => normalizeVariants([{ id: 'X', template: 'Oi' }, { id: 'X', template: 'Olá' }]), /Duplicate variant id/);
+  const variants = normalizeVariants([
+    { template: 'Oi {nome}, temos uma oferta', weight: 3 },
+    { template: 'Olá {nome}! Oferta exclusiva', weight: 1 }
+  ]);
+  assert.deepStrictEqual(variants.map((variant) => variant.id), ['A', 'B']);
+
+  // The split follows the weights and is stable per seed.
+  const picks = { A: 0, B: 0 };
+  for (let i = 0; i < 2000; i++) {
+    picks[pickVariant(variants, `cmp_split:row_${i}`).id] += 1;
+  }
+  assert.ok(picks.A > 1350 && picks.A < 1650, `Expected ~75% on A, got ${picks.A}/2000`);
+  assert.strictEqual(pickVariant(variants, 'cmp_split:row_7').id, pickVariant(variants, 'cmp_split:row_7').id);
+
+  // Campaign: each contact gets its variant's template, tagged in correlation and messageStatus.
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ab-variants-'));
+  const csvPath = path.join(tmpDir, 'contatos.csv');
+  const lines = ['Nome,Telefone'];
+  for (let i = 0; i < 20; i++) {
+    lines.push(`Contato ${i},55119${String(10000000 + i)}`);
+  }
+  fs.writeFileSync(csvPath, lines.join('\n'));
+
+  const provider = new MockProvider();
+  const client = new WhatsAppClient('chip_mock', { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.replyStore = new ReplyStore(path.join(tmpDir, 'replies'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  const dispatched = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone, messageTemplate, correlation }) => {
+      dispatched.push({ phone, messageTemplate, correlation });
+      const { messageId, jid } = await client.sendMessage(phone, messageTemplate, correlation);
+      return { status: 'SERVER_ACK', chip: client.id, messageId, jid };
+    }
+  };
+  manager.registerSessionClient(client);
+
+  await manager.startCampaign(csvPath, 'não usado', 'contatos.csv', { campaignId: 'cmp_ab', variants });
+
+  let record = manager.store.load('cmp_ab');
+  assert.deepStrictEqual(record.variants, variants);
+  assert.strictEqual(dispatched.length, 20);
+  dispatched.forEach(({ messageTemplate, correlation }) => {
+    const outcome = record.contacts[correlation.contactId];
+    assert.ok(['A', 'B'].includes(correlation.variantId));
+    assert.strictEqual(outcome.variantId, correlation.variantId);
+    assert.strictEqual(messageTemplate, variants.find((variant) => variant.id === correlation.variantId).template);
+    assert.strictEqual(record.messageStatus[correlation.clientMessageId].variantId, correlation.variantId);
+  });
+  const onA = dispatched.filter(({ correlation }) => correlation.variantId === 'A');
+  const onB = dispatched.filter(({ correlation }) => correlation.variantId === 'B');
+  assert.ok(onA.length > 0 && onB.length > 0, 'Both variants should be used on 20 contacts');
+
+  // Receipts and replies arrive through the chip's message_status / message_received events.
+  const receipt = (entry, status) => provider.emit('message.status', { messageId: `wa_${dispatched.indexOf(entry) + 1}`, status });
+  onA.forEach((entry) => receipt(entry, 'DELIVERED'));
+  receipt(onA[0], 'READ');
+  receipt(onB[0], 'DELIVERED');
+  provider.emit('message.received', {
+    messageId: 'in_1',
+    jid: `${onB[0].phone}@s.whatsapp.net`,
+    phone: onB[0].phone,
+    text: 'Quero saber mais',
+    timestamp: Date.now()
+  });
+  await tick();
+
+  record = manager.store.load('cmp_ab');
+  const comparison = compareVariants(record);
+  const [a, b] = comparison;
+  assert.strictEqual(a.variantId, 'A');
+  assert.strictEqual(a.weight, 3);
+  assert.strictEqual(a.sent, onA.length);
+  assert.strictEqual(a.delivered, onA.length);
+  assert.strictEqual(a.read, 1);
+  assert.strictEqual(a.replied, 0);
+  assert.strictEqual(a.rates.delivered, 1);
+  assert.strictEqual(b.sent, onB.length);
+  assert.strictEqual(b.delivered, 1);
+  assert.strictEqual(b.read, 0);
+  assert.strictEqual(b.replied, 1);
+  assert.strictEqual(b.rates.replied, Math.round((1 / onB.length) * 10000) / 10000);
+
+  // Reports gain a Variante column only for A/B campaigns.
+  const report = buildReportRows(record);
+  assert.ok(report.columns.some((column) => column.header === 'Variante'));
+  assert.ok(report.rows.every((row) => ['A', 'B'].includes(row.variantId)));
+  assert.ok(!buildReportRows({ ...record, variants: [] }).columns.some((column) => column.header === 'Variante'));
+
+  client.removeAllListeners();
+  clearTimeout(client.idleTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ A/B variants ok.');
+})().catch((error) => {
+  console.error('A/B variants test failed:', error);
+  process.exit(1);
+});
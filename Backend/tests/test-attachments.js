@@ -0,0 +1,112 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const AttachmentResolver = require('../src/modules/parser/attachmentResolver');
+
+(async () => {
+  console.log('--- ATTACHMENTS TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+  // ZIP upload: files in subfolders resolve by relative path or by unique file name.
+  const zip = new JSZip();
+  zip.file('boletos/boleto_maria.pdf', '%PDF-1.4 maria');
+  zip.file('boletos/boleto_joao.pdf', '%PDF-1.4 joao');
+  const zipPath = path.join(tmpDir, 'anexos.zip');
+  fs.writeFileSync(zipPath, await zip.generateAsync({ type: 'nodebuffer' }));
+
+  const attachmentsDir = path.join(tmpDir, 'extracted');
+  const resolver = await AttachmentResolver.fromZip(zipPath, attachmentsDir);
+  assert.ok(fs.existsSync(path.join(attachmentsDir, 'boletos', 'boleto_maria.pdf')));
+  assert.strictEqual(resolver.resolve('boletos/boleto_maria.pdf').fileName, 'boleto_maria.pdf');
+  assert.deepStrictEqual(resolver.resolve('BOLETO_JOAO.PDF'), {
+    path: path.join(attachmentsDir, 'boletos', 'boleto_joao.pdf'),
+    fileName: 'boleto_joao.pdf',
+    mimetype: 'application/pdf'
+  });
+  assert.strictEqual(resolver.resolve('boleto_ana.pdf'), null);
+  assert.strictEqual(resolver.resolve('../anexos.zip'), null, 'Names must not reach outside the folder');
+
+  const evil = new JSZip();
+  evil.file('../../escaped.txt', 'nope');
+  const evilPath = path.join(tmpDir, 'evil.zip');
+  fs.writeFileSync(evilPath, await evil.generateAsync({ type: 'nodebuffer' }));
+  await AttachmentResolver.fromZip(evilPath, path.join(tmpDir, 'evil'));
+  assert.ok(fs.existsSync(path.join(tmpDir, 'evil', 'escaped.txt')), 'Entries outside the folder are kept inside it');
+  assert.ok(!fs.existsSync(path.join(os.tmpdir(), 'escaped.txt')));
+
+  // Size limits: the archive, the file count, each file and the extracted total.
+  const bomb = new JSZip();
+  bomb.file('a.txt', 'a'.repeat(4096));
+  bomb.file('b.txt', 'b'.repeat(4096));
+  const bombPath = path.join(tmpDir, 'bomb.zip');
+  fs.writeFileSync(bombPath, await bomb.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+  const tooLarge = (error) => error.code === 'ZIP_TOO_LARGE';
+  await assert.rejects(AttachmentResolver.fromZip(bombPath, path.join(tmpDir, 'bomb'), { maxZipBytes: 100 }), tooLarge);
+  await assert.rejects(AttachmentResolver.fromZip(bombPath, path.join(tmpDir, 'bomb'), { maxEntries: 1 }), tooLarge);
+  await assert.rejects(AttachmentResolver.fromZip(bombPath, path.join(tmpDir, 'bomb'), { maxEntryBytes: 4000 }), /a\.txt extracts to more than 4000 bytes/);
+  await assert.rejects(AttachmentResolver.fromZip(bombPath, path.join(tmpDir, 'bomb'), { maxExtractedBytes: 6000 }), /ZIP extracts to more than 6000 bytes/);
+  assert.ok(!fs.existsSync(path.join(tmpDir, 'bomb')), 'A rejected ZIP leaves nothing extracted');
+  await AttachmentResolver.fromZip(bombPath, path.join(tmpDir, 'bomb'), { maxEntryBytes: 4096, maxExtractedBytes: 8192 });
+  assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'bomb', 'b.txt'), 'utf8'), 'b'.repeat(4096));
+
+  // Spreadsheet: the "arquivo" column names each contact's file; a missing one is a row error.
+  const csvPath = path.join(tmpDir, 'contatos.csv');
+  fs.writeFileSync(csvPath, [
+    'Nome,Telefone,Arquivo',
+    'Maria,11999998888,boleto_maria.pdf',
+    'João,5511987654321,boletos/boleto_joao.pdf',
+    'Ana,5511912345678,boleto_ana.pdf',
+    'Pedro,5511911112222,'
+  ].join('\n'));
+
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(fs.mkdtempSync(path.join(tmpDir, 'campaigns-')));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone, messageTemplate, variables, media }) => {
+      sent.push({ phone, messageTemplate, variables, media });
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: `wa_${sent.length}`, type: media ? media.type : 'text' };
+    }
+  };
+
+  await manager.startCampaign(csvPath, 'Segue seu boleto, {nome}', 'contatos.csv', {
+    campaignId: 'cmp_attachments',
+    attachmentsDir
+  });
+
+  assert.strictEqual(sent.length, 3);
+  assert.strictEqual(sent[0].media.type, 'document');
+  assert.strictEqual(sent[0].media.fileName, 'boleto_maria.pdf');
+  assert.strictEqual(sent[0].media.mimetype, 'application/pdf');
+  assert.strictEqual(sent[1].media.fileName, 'boleto_joao.pdf');
+  assert.strictEqual(sent[2].media, null, 'An empty cell falls back to a plain text message');
+  assert.ok(!('attachment' in sent[0].variables), 'The attachment is not a template variable');
+
+  const record = manager.store.load('cmp_attachments');
+  assert.strictEqual(record.parseErrors.length, 1);
+  assert.strictEqual(record.parseErrors[0].row, 4);
+  assert.ok(/Attachment not found: boleto_ana\.pdf/.test(record.parseErrors[0].error));
+  assert.strictEqual(record.contacts.row_2.attachment, 'boleto_maria.pdf');
+
+  // Preview shows which file each contact would get; without a folder the column is an error.
+  const preview = await manager.previewCampaign(csvPath, 'Oi {nome}', 'contatos.csv', { attachmentsDir });
+  assert.strictEqual(preview.contacts[0].type, 'document');
+  assert.strictEqual(preview.contacts[0].attachment, 'boleto_maria.pdf');
+  assert.strictEqual(preview.contacts[2].attachment, null);
+
+  const withoutFolder = await manager.parser.parse(csvPath, 'contatos.csv');
+  assert.strictEqual(withoutFolder.contacts.length, 1, 'Only the row without a file is valid without a folder');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Attachments ok.');
+})().catch((error) => {
+  console.error('Attachments test failed:', error);
+  process.exit(1);
+});
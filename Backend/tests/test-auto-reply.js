@@ -0,0 +1,140 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ReplyStore = require('../src/modules/campaign/replyStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const SuppressionList = require('../src/modules/compliance/suppressionList');
+const AutoReplyEngine = require('../src/modules/automation/autoReplyEngine');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+class MockProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+  async initialize() {}
+  async validateNumber(number) {
+    return { jid: `${number}@s.whatsapp.net`, exists: true };
+  }
+  async sendMessage(jid, text) {
+    this.sent.push({ jid, text });
+    return { key: { id: `wa_${this.sent.length}`, remoteJid: jid } };
+  }
+  getPhoneNumber() {
+    return '5511900000000';
+  }
+  getDisplayName() {
+    return 'Mock';
+  }
+}
+
+(async () => {
+  console.log('--- AUTO-REPLY TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoreply-'));
+  const rulesPath = path.join(tmpDir, 'auto_reply_rules.json');
+
+  // Rule validation and persistence.
+  const engine = new AutoReplyEngine({ filePath: rulesPath });
+  assert.throws(() => engine.create({ trigger: 'keyword', keywords: [], response: 'x' }), /at least one keyword/);
+  assert.throws(() => engine.create({ trigger: 'regex', pattern: '(', response: 'x' }), /Invalid pattern/);
+  assert.throws(() => engine.create({ trigger: 'first_reply', scope: 'chip', response: 'x' }), /scopeId is required/);
+
+  const boleto = engine.create({
+    name: 'Boleto',
+    trigger: 'keyword',
+    keywords: ['1', 'boleto'],
+    matchMode: 'contains',
+    response: 'Olá {nome}, segue o boleto da {Empresa}.',
+    cooldownMinutes: 60
+  });
+  const campaignGreeting = engine.create({
+    name: 'Primeira resposta',
+    trigger: 'first_reply',
+    scope: 'campaign',
+    scopeId: 'cmp_auto',
+    response: 'Obrigado pelo retorno, {nome}!',
+    cooldownMinutes: 0
+  });
+  engine.create({ name: 'Preço', trigger: 'regex', pattern: 'quanto (custa|sai)', scope: 'chip', scopeId: 'chip_other', response: 'x' });
+  assert.strictEqual(new AutoReplyEngine({ filePath: rulesPath }).list().length, 3);
+  assert.strictEqual(engine.update(boleto.id, { enabled: true }).name, 'Boleto');
+  assert.strictEqual(engine.update('rule_missing', {}), null);
+
+  // Matching: scope priority and cooldown.
+  assert.strictEqual(engine.match({ phone: '5511999990000', text: 'quero o BOLETO' }).id, boleto.id);
+  assert.strictEqual(engine.match({ phone: '5511999990000', text: 'quanto custa?' }, { chipId: 'chip_mock' }), null);
+  assert.strictEqual(engine.match({ phone: '5511999990000', text: 'boleto' }, { campaignId: 'cmp_auto', isFirstReply: true }).id, campaignGreeting.id);
+  engine.markReplied(boleto, '5511999990000');
+  assert.strictEqual(engine.match({ phone: '5511999990000', text: 'boleto' }), null, 'Cooldown should block a second answer');
+
+  // End to end: replies to a campaign get answered with the contact's variables.
+  const provider = new MockProvider();
+  const client = new WhatsAppClient('chip_mock', { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.replyStore = new ReplyStore(path.join(tmpDir, 'replies'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.suppressionList = new SuppressionList({ filePath: path.join(tmpDir, 'suppression_list.json') });
+  manager.autoReplyEngine = new AutoReplyEngine({ filePath: rulesPath });
+  manager.dispatcher = {
+    dispatch: async ({ phone, correlation }) => {
+      const { messageId, jid } = await client.sendMessage(phone, 'Oi', correlation);
+      return { status: 'SERVER_ACK', chip: client.id, messageId, jid };
+    }
+  };
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+  manager.registerSessionClient(client);
+
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_auto' });
+  provider.sent.length = 0;
+
+  const reply = (text, id) => provider.emit('message.received', {
+    messageId: id,
+    jid: '5511987654321@s.whatsapp.net',
+    phone: '5511987654321',
+    text,
+    timestamp: Date.now()
+  });
+
+  reply('Oi, tudo bem?', 'in_1');
+  await tick();
+  await tick();
+  assert.deepStrictEqual(provider.sent.map((m) => m.text), ['Obrigado pelo retorno, João!'], 'First reply rule scoped to the campaign');
+
+  reply('1', 'in_2');
+  await tick();
+  await tick();
+  assert.strictEqual(provider.sent[1].text, 'Olá João, segue o boleto da Globex.');
+
+  reply('boleto', 'in_3');
+  await tick();
+  await tick();
+  assert.strictEqual(provider.sent.length, 2, 'Per-contact cooldown should hold the second boleto answer');
+
+  // Opt-out replies are never auto-answered.
+  reply('SAIR', 'in_4');
+  await tick();
+  await tick();
+  assert.strictEqual(provider.sent.length, 2);
+  assert.strictEqual(events.filter(({ event }) => event === 'auto_reply_sent').length, 2);
+
+  clearTimeout(client.idleTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Auto-reply ok.');
+})().catch((error) => {
+  console.error('Auto-reply test failed:', error);
+  process.exit(1);
+});
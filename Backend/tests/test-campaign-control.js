@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+function buildManager() {
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-control-')) });
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+  return { manager, events };
+}
+
+(async () => {
+  console.log('--- CAMPAIGN CONTROL TEST ---');
+
+  // 1. Pause after the first contact, then resume the remaining rows.
+  const { manager, events } = buildManager();
+  const sentRows = [];
+  manager.dispatcher = {
+    dispatch: async ({ correlation }) => {
+      sentRows.push(correlation.contactId);
+      if (sentRows.length === 1) {
+        manager.pauseCampaign(correlation.campaignId);
+      }
+      return { status: 'SERVER_ACK' };
+    }
+  };
+
+  const first = await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_control' });
+  assert.strictEqual(first.status, 'PAUSED');
+  assert.deepStrictEqual(sentRows, ['row_2']);
+  assert.ok(events.some(({ event }) => event === 'campaign_paused'));
+
+  const resumed = await manager.resumeCampaign('cmp_control');
+  assert.strictEqual(resumed.status, 'FINISHED');
+  assert.deepStrictEqual(sentRows, ['row_2', 'row_3'], 'Resume should only send the remaining row');
+  assert.ok(events.some(({ event }) => event === 'campaign_resumed'));
+  assert.strictEqual(manager.getActiveCampaign('cmp_control'), null);
+
+  // 2. Cancel a paused campaign.
+  const second = buildManager();
+  second.manager.dispatcher = {
+    dispatch: async ({ correlation }) => {
+      second.manager.pauseCampaign(correlation.campaignId);
+      return { status: 'SERVER_ACK' };
+    }
+  };
+  await second.manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_cancel' });
+  const cancelled = second.manager.cancelCampaign('cmp_cancel');
+  assert.strictEqual(cancelled.status, 'CANCELLED');
+  assert.strictEqual(second.manager.loadState('cmp_cancel').status, 'CANCELLED');
+  assert.ok(second.events.some(({ event }) => event === 'campaign_cancelled'));
+  await assert.rejects(() => second.manager.resumeCampaign('cmp_cancel'));
+
+  // 3. A run that throws is marked FAILED and frees the manager for the next campaign.
+  const third = buildManager();
+  third.manager.parser = {
+    open: async () => {
+      throw new Error('Spreadsheet is corrupted');
+    }
+  };
+  await assert.rejects(
+    () => third.manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_broken' }),
+    /Spreadsheet is corrupted/
+  );
+  const broken = third.manager.store.load('cmp_broken');
+  assert.strictEqual(broken.status, 'FAILED');
+  assert.strictEqual(broken.error, 'Spreadsheet is corrupted');
+  assert.ok(broken.finishedAt);
+  assert.strictEqual(third.manager.getActiveCampaign(), null);
+  assert.ok(third.events.some(({ event, payload }) => event === 'campaign_failed' && payload.campaignId === 'cmp_broken'));
+  assert.strictEqual(third.manager.isResumable('cmp_broken'), false);
+
+  [manager, second.manager, third.manager].forEach(({ store }) => {
+    fs.rmSync(store.baseDir, { recursive: true, force: true });
+  });
+
+  console.log('✅ Campaign control ok.');
+})().catch((error) => {
+  console.error('Campaign control test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const LoadBalancer = require('../src/modules/whatsapp/loadBalancer');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- CAMPAIGN PREVIEW TEST ---');
+
+  let sendCalls = 0;
+  const buildClient = (id) => ({
+    id,
+    isReady: () => true,
+    sendMessage: async () => { sendCalls += 1; }
+  });
+
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-preview-')) });
+  manager.loadBalancer = new LoadBalancer();
+  manager.loadBalancer.addClient(buildClient('chip_1'));
+  manager.loadBalancer.addClient(buildClient('chip_2'));
+
+  const preview = await manager.previewCampaign(fixturePath, 'Oi {nome} da {empresa}', 'contacts.csv', {
+    limit: 5,
+    delayMin: 1000,
+    delayMax: 2000
+  });
+
+  assert.strictEqual(preview.totalContacts, 2);
+  assert.strictEqual(preview.contacts.length, 2);
+  assert.strictEqual(preview.errors.length, 1);
+  assert.strictEqual(preview.contacts[0].message, 'Oi Maria, Clara da Acme');
+  assert.deepStrictEqual(preview.contacts.map((c) => c.chip), ['chip_1', 'chip_2']);
+  preview.contacts.forEach(({ delays }) => {
+    assert.ok(delays.wait >= 1000 && delays.wait <= 2000, `Unexpected wait ${delays.wait}`);
+    assert.ok(delays.typing > 0);
+  });
+
+  assert.strictEqual(sendCalls, 0, 'Preview must never send');
+  assert.strictEqual(manager.loadBalancer.getNextClient().id, 'chip_1', 'Preview must not advance the live round-robin');
+
+  // Without connected chips the preview still renders messages.
+  manager.loadBalancer = new LoadBalancer();
+  const offline = await manager.previewCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { limit: 1 });
+  assert.strictEqual(offline.contacts.length, 1);
+  assert.strictEqual(offline.contacts[0].chip, null);
+
+  console.log('✅ Campaign preview ok.');
+})().catch((error) => {
+  console.error('Campaign preview test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+function writeCrashedRecord(store, campaignId) {
+  const record = store.createRecord({
+    campaignId,
+    sourceFile: { path: fixturePath, originalFilename: 'contacts.csv' },
+    template: 'Oi {nome}'
+  });
+  record.status = 'RUNNING';
+  record.options = { campaignId, delayMin: 1000, delayMax: 2000 };
+  // Row 2 went out before the crash.
+  record.contacts = {
+    row_2: { row: 2, name: 'Maria, Clara', phone: '5511999998888', status: 'SERVER_ACK', attempts: [] }
+  };
+  store.save(record);
+}
+
+function buildManager(store, sent) {
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-recovery-')) });
+  manager.store = store;
+  manager.dispatcher = {
+    dispatch: async ({ phone, delayConfig }) => {
+      sent.push({ phone, delayConfig });
+      return { status: 'SERVER_ACK' };
+    }
+  };
+  return manager;
+}
+
+(async () => {
+  console.log('--- CAMPAIGN RECOVERY TEST ---');
+  const store = new CampaignStore(fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-')));
+
+  // 1. Manual resume of an interrupted campaign.
+  writeCrashedRecord(store, 'cmp_crashed');
+  const sent = [];
+  const manager = buildManager(store, sent);
+
+  const interrupted = manager.recoverInterruptedCampaigns();
+  assert.deepStrictEqual(interrupted.map((c) => c.campaignId), ['cmp_crashed']);
+  assert.strictEqual(store.load('cmp_crashed').status, 'INTERRUPTED');
+  assert.strictEqual(manager.isResumable('cmp_crashed'), true);
+
+  const result = await manager.resumeCampaign('cmp_crashed');
+  assert.strictEqual(result.status, 'FINISHED');
+  assert.deepStrictEqual(sent.map((s) => s.phone), ['5511987654321'], 'Only the unprocessed row is sent');
+  assert.strictEqual(sent[0].delayConfig.minDelay, 1000, 'Stored options are reused');
+  assert.deepStrictEqual(manager.getInterruptedCampaigns(), []);
+  await assert.rejects(() => manager.resumeCampaign('cmp_crashed'), /FINISHED/);
+
+  // 2. Auto-resume waits for READY sessions first.
+  writeCrashedRecord(store, 'cmp_auto');
+  const autoSent = [];
+  const autoManager = buildManager(store, autoSent);
+  let waitedForReady = false;
+  autoManager.sessionManager = {
+    waitForReady: async () => { waitedForReady = true; return [{ id: 'chip_1' }]; },
+    loadSessions: async () => {},
+    getAllSessions: () => []
+  };
+  autoManager.initialize = async () => {};
+
+  autoManager.recoverInterruptedCampaigns();
+  const resumed = await autoManager.autoResumeInterrupted({ timeoutMs: 10 });
+  assert.strictEqual(resumed.campaignId, 'cmp_auto');
+  assert.ok(waitedForReady);
+  await autoManager.runPromise;
+  assert.strictEqual(store.load('cmp_auto').status, 'FINISHED');
+  assert.strictEqual(autoSent.length, 1);
+
+  // 3. Interrupted campaigns can also be discarded.
+  writeCrashedRecord(store, 'cmp_discard');
+  const discard = buildManager(store, []);
+  discard.recoverInterruptedCampaigns();
+  assert.strictEqual(discard.cancelCampaign('cmp_discard').status, 'CANCELLED');
+  assert.strictEqual(store.load('cmp_discard').status, 'CANCELLED');
+
+  fs.rmSync(store.baseDir, { recursive: true, force: true });
+  console.log('✅ Campaign recovery ok.');
+})().catch((error) => {
+  console.error('Campaign recovery test failed:', error);
+  process.exit(1);
+});
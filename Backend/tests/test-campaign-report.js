@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const campaignReport = require('../src/modules/reports/campaignReport');
+const { parseCsv } = require('../src/modules/parser/csvParser');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- CAMPAIGN REPORT TEST ---');
+
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-report-')) });
+  manager.store = new CampaignStore(baseDir);
+
+  let calls = 0;
+  manager.dispatcher = {
+    dispatch: async () => {
+      calls += 1;
+      if (calls === 2) {
+        const error = new Error('Number 5511987654321 is not registered on WhatsApp');
+        error.code = 'NUMBER_NOT_REGISTERED';
+        throw error;
+      }
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: 'wa_1' };
+    }
+  };
+
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_report' });
+
+  const client = new (require('events'))();
+  client.id = 'mock_chip_1';
+  manager.registerSessionClient(client);
+  const record = manager.store.load('cmp_report');
+  client.emit('message_status', {
+    campaignId: 'cmp_report',
+    contactId: 'row_2',
+    clientMessageId: record.contacts.row_2.clientMessageId,
+    status: 'DELIVERED'
+  });
+
+  const stored = manager.store.load('cmp_report');
+  assert.ok(stored.contacts.row_2.deliveredAt, 'Delivery receipts should be timestamped');
+
+  // XLSX: results sheet plus a separate sheet for validation errors.
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await campaignReport.toXlsxBuffer(stored));
+  const results = workbook.getWorksheet('Resultados');
+  const headers = results.getRow(1).values.slice(1);
+  assert.ok(headers.includes('Empresa') && headers.includes('Observacao'), 'Original columns should be kept');
+  assert.ok(headers.includes('ID Mensagem WhatsApp') && headers.includes('Entregue em'));
+  assert.strictEqual(results.rowCount, 3);
+
+  const column = (name) => headers.indexOf(name) + 1;
+  const first = results.getRow(2);
+  assert.strictEqual(first.getCell(column('Telefone')).value, '+5511999998888');
+  assert.strictEqual(first.getCell(column('Empresa')).value, 'Acme');
+  assert.strictEqual(first.getCell(column('Chip')).value, 'mock_chip_1');
+  assert.strictEqual(first.getCell(column('ID Mensagem WhatsApp')).value, 'wa_1');
+  assert.strictEqual(first.getCell(column('Status')).value, 'DELIVERED');
+
+  const second = results.getRow(3);
+  assert.strictEqual(second.getCell(column('Status')).value, 'FAILED');
+  assert.ok(/not registered/.test(second.getCell(column('Erro')).value));
+
+  const validation = workbook.getWorksheet('Erros de Validação');
+  assert.strictEqual(validation.rowCount, 2);
+  assert.strictEqual(validation.getRow(2).getCell(1).value, 4);
+  assert.strictEqual(validation.getRow(2).getCell(2).value, 'Missing Name');
+
+  // CSV: same columns, validation errors appended as INVALID rows.
+  const csvRows = parseCsv(campaignReport.toCsv(stored));
+  assert.deepStrictEqual(csvRows[0], headers);
+  assert.strictEqual(csvRows.length, 4);
+  assert.strictEqual(csvRows[1][headers.indexOf('Observacao')], 'Cliente "VIP" com vírgula');
+  assert.strictEqual(csvRows[3][headers.indexOf('Status')], 'INVALID');
+  assert.strictEqual(csvRows[3][headers.indexOf('Erro')], 'Missing Name');
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+  console.log('✅ Campaign report ok.');
+})().catch((error) => {
+  console.error('Campaign report test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- CAMPAIGN STORE TEST ---');
+
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-store-')) });
+  manager.store = new CampaignStore(baseDir);
+
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone }) => {
+      sent.push(phone);
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: `wa_${sent.length}` };
+    }
+  };
+
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_first', delayMin: 1000 });
+  await manager.startCampaign(fixturePath, 'Olá {nome}', 'contacts.csv', { campaignId: 'cmp_second' });
+
+  // The second campaign must not inherit the processedRows of the first one.
+  assert.strictEqual(sent.length, 4, 'Each campaign should send to every valid row');
+
+  const first = manager.store.load('cmp_first');
+  assert.strictEqual(first.status, 'FINISHED');
+  assert.strictEqual(first.template, 'Oi {nome}');
+  assert.strictEqual(first.sourceFile.originalFilename, 'contacts.csv');
+  assert.strictEqual(first.delayConfig.minDelay, 1000);
+  assert.deepStrictEqual(first.counters, {
+    total: 2,
+    sent: 2,
+    delivered: 0,
+    read: 0,
+    failed: 0,
+    invalid: 1,
+    retrying: 0,
+    skipped: 0,
+    replied: 0,
+    remaining: 0
+  });
+  assert.strictEqual(first.contacts.row_2.chip, 'mock_chip_1');
+  assert.strictEqual(first.contacts.row_2.variables.Empresa, 'Acme');
+
+  // Late receipts update the stored outcome of a finished campaign.
+  const client = new (require('events'))();
+  client.id = 'mock_chip_1';
+  manager.registerSessionClient(client);
+  const clientMessageId = first.contacts.row_2.clientMessageId;
+  client.emit('message_status', { campaignId: 'cmp_first', contactId: 'row_2', clientMessageId, status: 'READ' });
+  client.emit('message_status', { campaignId: 'cmp_first', contactId: 'row_2', clientMessageId, status: 'DELIVERED' });
+  const updated = manager.store.load('cmp_first');
+  assert.strictEqual(updated.contacts.row_2.status, 'READ', 'Receipts must not move the status backwards');
+  assert.strictEqual(updated.counters.read, 1);
+
+  const history = manager.store.list();
+  assert.deepStrictEqual(history.map((c) => c.campaignId).sort(), ['cmp_first', 'cmp_second']);
+  assert.ok(!('contacts' in history[0]), 'History summaries should not carry per-contact data');
+
+  // Finished campaigns are saved and dropped from memory past a few; running ones stay.
+  const cache = new CampaignStore(fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-cache-')));
+  const running = cache.createRecord({ campaignId: 'cmp_running' });
+  running.status = 'RUNNING';
+  cache.save(running);
+  for (let i = 0; i < 12; i += 1) {
+    const record = cache.createRecord({ campaignId: `cmp_done_${i}` });
+    record.status = 'FINISHED';
+    cache.save(record);
+    // A receipt after the run, as the manager records it: in memory plus the progress log.
+    record.counters.read = i + 1;
+    cache.contacts(record.campaignId).set('row_2', { row: 2, status: 'READ', attempts: [] });
+    cache.appendProgress(record.campaignId, { counters: record.counters });
+  }
+  assert.ok(cache.records.size <= 9);
+  assert.ok(cache.contactBooks.size <= 9);
+  assert.strictEqual(cache.open('cmp_running'), running);
+  const reopened = cache.load('cmp_done_0');
+  assert.strictEqual(reopened.counters.read, 1);
+  assert.strictEqual(reopened.contacts.row_2.status, 'READ', 'Closing writes the contact buckets');
+  fs.rmSync(cache.baseDir, { recursive: true, force: true });
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+  console.log('✅ Campaign store ok.');
+})().catch((error) => {
+  console.error('Campaign store test failed:', error);
+  process.exit(1);
+});
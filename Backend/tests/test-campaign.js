@@ -1,6 +1,7 @@
 const CampaignManager = require('../src/modules/campaign/campaignManager');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const ExcelJS = require('exceljs');
 
 async function createMockExcel(filepath) {
@@ -29,7 +30,7 @@ async function runDay4Validation() {
 
     // 2. Init Manager
     console.log('[2/5] nitializing Manager...');
-    const manager = new CampaignManager();
+    const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-')) });
     
     // 3. Mock Internals
     console.log('[3/5] Mocking Dependencies...');
@@ -50,15 +51,12 @@ async function runDay4Validation() {
 
     // 4. Run Campaign
     console.log('[4/5] Starting Campaign...');
-    // Clear previous state if any
-    if (fs.existsSync(manager.stateFile)) fs.unlinkSync(manager.stateFile);
-    
-    await manager.startCampaign(mockExcelPath, mockTemplate);
+    const { campaignId } = await manager.startCampaign(mockExcelPath, mockTemplate);
     
     // 5. Verify
     console.log('[5/5] Verifying State...');
-    if (fs.existsSync(manager.stateFile)) {
-        const state = JSON.parse(fs.readFileSync(manager.stateFile, 'utf8'));
+    if (manager.store.has(campaignId)) {
+        const state = manager.store.load(campaignId);
         console.log('   -> Final State:', JSON.stringify(state));
         if (state.processedRows && state.processedRows.length > 0) {
             console.log('✅ CHECKPOINT PASSED: Campaign ran successfully.');
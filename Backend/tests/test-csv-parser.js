@@ -1,18 +1,15 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-codex/execute-correction-plan-with-best-practices-2skxaa
-const { readCsvFile } = require('../src/modules/parser/csvParser');
-
-async function runCsvTest() {
-  console.log('--- CSV PARSER TEST ---');
-  const csvPath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
-
-  const rows = readCsvFile(csvPath);
-  const result = {
-    contacts: rows.slice(1).filter((row) => row[0] && row[1]),
-    errors: rows.slice(1).filter((row) => !row[0] || !row[1])
-  };
-=======
 const ExcelParser = require('../src/modules/parser/excelParser');
+const {
+  decodeCsv,
+  detectDelimiter,
+  normalizeCsvOptions,
+  parseCsv,
+  readCsv
+} = require('../src/modules/parser/csvParser');
 
 async function runCsvTest() {
   console.log('--- CSV PARSER TEST ---');
@@ -33,13 +30,65 @@ async function runCsvTest() {
   }
 
   const [first] = result.contacts;
- codex/execute-correction-plan-with-best-practices-2skxaa
-  if (first[0] !== 'Maria, Clara' || first[1] !== '11999998888') {
-=======
-  if (!first.name.includes('Maria') || first.phone !== '5511999998888') {
+  if (first.name !== 'Maria, Clara' || first.phone !== '5511999998888') {
     console.error('FAIL: CSV parsing did not normalize values correctly.');
     process.exit(1);
   }
+  assert.deepStrictEqual(result.dialect, { delimiter: ',', encoding: 'utf-8' });
+
+  // Delimiter sniffing: pt-BR Excel uses ";" and decimal commas inside values.
+  assert.strictEqual(detectDelimiter('Nome;Telefone;Valor\nJoão;11999998888;1.234,50\nAna;11987654321;10,00\n'), ';');
+  assert.strictEqual(detectDelimiter('Nome\tTelefone\nJoão\t11999998888\n'), '\t');
+  assert.strictEqual(detectDelimiter('Nome|Telefone|Obs\nJoão|11999998888|a, b; c\n'), '|');
+  assert.strictEqual(detectDelimiter('"Silva; João",11999998888\nAna,11987654321\n'), ',', 'Quoted delimiters do not count');
+  assert.strictEqual(detectDelimiter('telefone\n11999998888\n'), ',');
+  assert.deepStrictEqual(parseCsv('a;"b;c"\n', { delimiter: ';' }), [['a', 'b;c']]);
+
+  // Encodings: BOMs first, then UTF-16 zero bytes, valid UTF-8, else Windows-1252.
+  const text = 'Nome;Telefone\nJoão;11999998888\n';
+  const cp1252 = Buffer.from(text, 'latin1');
+  assert.deepStrictEqual(decodeCsv(cp1252), { content: text, encoding: 'windows-1252' });
+  assert.strictEqual(decodeCsv(Buffer.from([0x93, 0x61, 0x94, 0x20, 0x96, 0x20, 0x80])).content, '\u201ca\u201d \u2013 \u20ac');
+  assert.deepStrictEqual(decodeCsv(Buffer.from(text, 'utf8')), { content: text, encoding: 'utf-8' });
+  assert.deepStrictEqual(decodeCsv(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)])), { content: text, encoding: 'utf-8' });
+  const utf16le = Buffer.from(text, 'utf16le');
+  assert.deepStrictEqual(decodeCsv(Buffer.concat([Buffer.from([0xff, 0xfe]), utf16le])), { content: text, encoding: 'utf-16le' });
+  assert.deepStrictEqual(decodeCsv(utf16le), { content: text, encoding: 'utf-16le' });
+  const utf16be = Buffer.from(utf16le).swap16();
+  assert.deepStrictEqual(decodeCsv(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be])), { content: text, encoding: 'utf-16be' });
+  assert.strictEqual(decodeCsv(Buffer.from('€', 'utf8'), 'windows-1252').content, 'â‚¬', 'An explicit encoding is not second-guessed');
+
+  // Overrides from the upload request.
+  assert.deepStrictEqual(normalizeCsvOptions({ delimiter: 'tab', encoding: 'latin1' }), { delimiter: '\t', encoding: 'windows-1252' });
+  assert.deepStrictEqual(normalizeCsvOptions({}), { delimiter: undefined, encoding: undefined });
+  assert.throws(() => normalizeCsvOptions({ delimiter: ';;' }), (error) => error.code === 'INVALID_CSV_OPTIONS');
+  assert.throws(() => normalizeCsvOptions({ encoding: 'klingon' }), (error) => error.code === 'INVALID_CSV_OPTIONS');
+
+  // End to end: an Excel pt-BR export (";" + Windows-1252) parses into the right columns.
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-parser-'));
+  const exportPath = path.join(tmpDir, 'excel_ptbr.csv');
+  fs.writeFileSync(exportPath, Buffer.from('Nome;Telefone;Cidade\r\nJoão Conceição;11999998888;São Paulo\r\n', 'latin1'));
+  const exported = await parser.parse(exportPath, 'excel_ptbr.csv');
+  assert.deepStrictEqual(exported.dialect, { delimiter: ';', encoding: 'windows-1252' });
+  assert.strictEqual(exported.contacts[0].name, 'João Conceição');
+  assert.strictEqual(exported.contacts[0].Cidade, 'São Paulo');
+
+  const forced = readCsv(exportPath, { delimiter: ',', encoding: 'windows-1252' });
+  assert.deepStrictEqual(forced.rows[0], ['Nome;Telefone;Cidade']);
+  const utf16Path = path.join(tmpDir, 'unicode.csv');
+  fs.writeFileSync(utf16Path, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Nome\tTelefone\nJoão\t11999998888\n', 'utf16le')]));
+  assert.deepStrictEqual(await parser.readPhones(utf16Path, 'unicode.csv'), ['11999998888']);
+
+  // A campaign's country decides how numbers without a country code are read.
+  const portuguesePath = path.join(tmpDir, 'lisboa.csv');
+  fs.writeFileSync(portuguesePath, 'nome,telefone\nRita,912 345 678\nBruno,+55 11 99999-8888\nCarla,12345\n');
+  const portuguese = await parser.parse(portuguesePath, 'lisboa.csv', { country: 'PT' });
+  assert.deepStrictEqual(portuguese.contacts.map((contact) => contact.phone), ['351912345678', '5511999998888']);
+  assert.strictEqual(portuguese.errors[0].error, 'Invalid Phone Format: 12345. Expected 351 + 9 digits (9XXXXXXXX) (Portugal)');
+  const brazilian = await parser.parse(portuguesePath, 'lisboa.csv');
+  assert.strictEqual(brazilian.errors[0].error, 'Invalid Phone Format: 912345678. Expected 55DDD9XXXXXXXX (Brazil)');
+  await assert.rejects(parser.parse(portuguesePath, 'lisboa.csv', { country: 'ZZ' }), (error) => error.code === 'INVALID_COUNTRY');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
 
   console.log('✅ CSV parser ok.');
 }
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ExcelParser = require('../src/modules/parser/excelParser');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const FollowUpScheduler = require('../src/modules/campaign/followUpScheduler');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+
+(async () => {
+  console.log('--- DUPLICATES TEST ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+  const csvPath = path.join(tmpDir, 'leads.csv');
+  // Ana's number is written three ways; the invalid row 6 is an error, not a duplicate.
+  fs.writeFileSync(csvPath, [
+    'nome,telefone,empresa,cidade',
+    'Ana,11999998888,,Santos',
+    'Bia,11987654321,Globex,',
+    'Ana Souza,(11) 99999-8888,Acme,',
+    'Ana S.,+55 11 99999 8888,Initech,Campinas',
+    ',11999998888,Umbrella,',
+    'Bia,11 98765-4321,,Recife'
+  ].join('\n'));
+
+  const parser = new ExcelParser();
+  const summarize = (result) => result.contacts.map((c) => [c.row, c.name, c.empresa, c.cidade]);
+
+  const first = await parser.parse(csvPath, 'leads.csv');
+  assert.deepStrictEqual(summarize(first), [[2, 'Ana', '', 'Santos'], [3, 'Bia', 'Globex', '']]);
+  assert.deepStrictEqual(first.duplicates, [
+    { phone: '5511999998888', rows: [2, 4, 5], kept: 2 },
+    { phone: '5511987654321', rows: [3, 7], kept: 3 }
+  ]);
+  assert.deepStrictEqual(first.errors.map((error) => error.row), [6]);
+
+  const last = await parser.parse(csvPath, 'leads.csv', { duplicates: 'keep_last' });
+  assert.deepStrictEqual(summarize(last), [[5, 'Ana S.', 'Initech', 'Campinas'], [7, 'Bia', '', 'Recife']]);
+  assert.deepStrictEqual(last.duplicates.map((group) => group.kept), [5, 7]);
+
+  // merge: one contact at the first row; empty columns are filled from the later rows.
+  // It is handed out once its last row has been read.
+  const merged = await parser.parse(csvPath, 'leads.csv', { duplicates: 'merge' });
+  assert.deepStrictEqual(summarize(merged), [[2, 'Ana', 'Acme', 'Santos'], [3, 'Bia', 'Globex', 'Recife']]);
+  assert.deepStrictEqual(merged.duplicates.map((group) => [group.rows, group.kept]), [[[2, 4, 5], 2], [[3, 7], 3]]);
+
+  assert.strictEqual(ExcelParser.normalizeDuplicateStrategy(' Merge '), 'merge');
+  assert.strictEqual(ExcelParser.normalizeDuplicateStrategy(undefined), 'keep_first');
+  assert.throws(() => ExcelParser.normalizeDuplicateStrategy('keep_all'), (error) => error.code === 'INVALID_DUPLICATE_STRATEGY');
+  await assert.rejects(parser.parse(csvPath, 'leads.csv', { duplicates: 'random' }), /Invalid duplicates strategy/);
+
+  // Same in worksheets.
+  const xlsxPath = path.join(tmpDir, 'leads.xlsx');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.addRow(['Nome', 'Celular']);
+  sheet.addRow(['Caio', '21912345678']);
+  sheet.addRow(['Caio', '(21) 91234-5678']);
+  await workbook.xlsx.writeFile(xlsxPath);
+  const xlsx = await parser.parse(xlsxPath, 'leads.xlsx', { duplicates: 'keep_last' });
+  assert.deepStrictEqual(xlsx.contacts.map((c) => c.row), [3]);
+  assert.deepStrictEqual(xlsx.duplicates, [{ phone: '5521912345678', rows: [2, 3], kept: 3 }]);
+
+  // A campaign messages each number once and keeps the report on its record.
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.followUps = new FollowUpScheduler(manager, { filePath: path.join(tmpDir, 'follow_ups.json') });
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone, variables }) => {
+      sent.push([phone, variables.empresa]);
+      return { status: 'SERVER_ACK', chip: 'chip_1' };
+    }
+  };
+  const result = await manager.startCampaign(csvPath, 'Oi {nome}', 'leads.csv', {
+    campaignId: 'cmp_dupes',
+    delayMin: 1,
+    delayMax: 2,
+    duplicates: 'merge'
+  });
+  manager.followUps.stop();
+  assert.strictEqual(result.status, 'FINISHED');
+  assert.deepStrictEqual(sent, [['5511999998888', 'Acme'], ['5511987654321', 'Globex']]);
+  const record = manager.store.load('cmp_dupes');
+  assert.strictEqual(record.counters.total, 2);
+  assert.deepStrictEqual(record.duplicates.map((group) => group.rows), [[2, 4, 5], [3, 7]]);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Duplicates ok.');
+})().catch((error) => {
+  console.error('Duplicates test failed:', error);
+  process.exit(1);
+});
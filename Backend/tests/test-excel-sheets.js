@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ExcelParser = require('../src/modules/parser/excelParser');
+
+(async () => {
+  console.log('--- EXCEL SHEETS TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-sheets-'));
+  const xlsxPath = path.join(tmpDir, 'crm_export.xlsx');
+
+  // CRM export: a summary sheet first, then the contacts below a title block.
+  const workbook = new ExcelJS.Workbook();
+  const summary = workbook.addWorksheet('Resumo');
+  summary.addRow(['Total de clientes', 3]);
+  const clients = workbook.addWorksheet('Clientes');
+  clients.addRow(['Relatório de clientes']);
+  clients.addRow([]);
+  clients.addRow(['Gerado em', '05/03/2026']);
+  clients.addRow(['Name', 'Celular', 'Empresa']);
+  clients.addRow(['Ana', '11999998888', 'Acme']);
+  clients.addRow(['Bia', '123', 'Globex']);
+  clients.addRow(['Caio', '11987654321', 'Initech']);
+  const other = workbook.addWorksheet('Outros');
+  other.addRow(['nome', 'telefone']);
+  other.addRow(['Duda', '11912345678']);
+  await workbook.xlsx.writeFile(xlsxPath);
+
+  const parser = new ExcelParser();
+
+  // Default: the first sheet with a recognizable header row.
+  const result = await parser.parse(xlsxPath, 'crm_export.xlsx');
+  assert.strictEqual(result.sheet, 'Clientes');
+  assert.strictEqual(result.headerRow, 4);
+  assert.deepStrictEqual(result.sheets.map((sheet) => [sheet.index, sheet.name]), [[1, 'Resumo'], [2, 'Clientes'], [3, 'Outros']]);
+  assert.deepStrictEqual(result.columns, ['nome', 'telefone', 'Empresa']);
+  // Row numbers are the ones shown in Excel.
+  assert.deepStrictEqual(result.contacts.map((contact) => [contact.row, contact.name]), [[5, 'Ana'], [7, 'Caio']]);
+  assert.deepStrictEqual(result.errors.map((error) => error.row), [6]);
+
+  // By name (case-insensitive) or 1-based position.
+  assert.deepStrictEqual((await parser.parse(xlsxPath, 'crm_export.xlsx', { sheet: 'outros' })).contacts.map((c) => [c.row, c.name]), [[2, 'Duda']]);
+  assert.strictEqual((await parser.parse(xlsxPath, 'crm_export.xlsx', { sheet: 3 })).sheet, 'Outros');
+  assert.strictEqual((await parser.parse(xlsxPath, 'crm_export.xlsx', { sheet: '2' })).headerRow, 4);
+  await assert.rejects(parser.parse(xlsxPath, 'crm_export.xlsx', { sheet: 'Leads' }), (error) => {
+    return error.code === 'SHEET_NOT_FOUND' && /Available: Resumo, Clientes, Outros/.test(error.message);
+  });
+  await assert.rejects(parser.parse(xlsxPath, 'crm_export.xlsx', { sheet: 'Resumo' }), (error) => error.code === 'MISSING_COLUMNS' && /Missing required columns/.test(error.message));
+
+  assert.deepStrictEqual(await parser.readPhones(xlsxPath, 'crm_export.xlsx'), ['11999998888', '123', '11987654321']);
+  assert.deepStrictEqual(await parser.readPhones(xlsxPath, 'crm_export.xlsx', { sheet: 'Outros' }), ['11912345678']);
+
+  // CSV exports with a title line above the header.
+  const csvPath = path.join(tmpDir, 'export.csv');
+  fs.writeFileSync(csvPath, 'Relatório de clientes\n\nNome,Telefone\nAna,11999998888\n,\nBia,11987654321\n');
+  const csv = await parser.parse(csvPath, 'export.csv');
+  assert.strictEqual(csv.headerRow, 3);
+  assert.strictEqual(csv.sheet, null);
+  assert.deepStrictEqual(csv.contacts.map((contact) => [contact.row, contact.name]), [[4, 'Ana'], [6, 'Bia']]);
+  assert.deepStrictEqual(await parser.readPhones(csvPath, 'export.csv'), ['11999998888', '11987654321']);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Excel sheets ok.');
+})().catch((error) => {
+  console.error('Excel sheets test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,221 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ReplyStore = require('../src/modules/campaign/replyStore');
+const FollowUpScheduler = require('../src/modules/campaign/followUpScheduler');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const SuppressionList = require('../src/modules/compliance/suppressionList');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+const HOUR_MS = 60 * 60 * 1000;
+
+class MockProvider extends EventEmitter {
+  constructor(prefix) {
+    super();
+    this.prefix = prefix;
+    this.sent = [];
+  }
+  async initialize() {}
+  async validateNumber(number) {
+    return { jid: `${number}@s.whatsapp.net`, exists: true };
+  }
+  async sendMessage(jid, message) {
+    this.sent.push({ jid, message });
+    return { key: { id: `${this.prefix}_${this.sent.length}`, remoteJid: jid } };
+  }
+  getPhoneNumber() {
+    return '5511900000000';
+  }
+  getDisplayName() {
+    return 'Mock';
+  }
+}
+
+function buildClient(id) {
+  const provider = new MockProvider(id);
+  const client = new WhatsAppClient(id, { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+  client.enterCooldown = async () => {};
+  return { client, provider };
+}
+
+// Moves every pending step into the past so the next batch sends it.
+function makeDue(scheduler) {
+  scheduler.list().filter((entry) => entry.status === 'PENDING').forEach((entry) => {
+    scheduler._postpone(entry, Date.now() - 1000);
+  });
+}
+
+(async () => {
+  console.log('--- FOLLOW-UPS TEST ---');
+
+  // Step validation.
+  assert.deepStrictEqual(FollowUpScheduler.normalizeFollowUps(undefined), []);
+  assert.throws(() => FollowUpScheduler.normalizeFollowUps({ delayHours: 24 }), /must be an array/);
+  assert.throws(() => FollowUpScheduler.normalizeFollowUps([{ delayHours: 0, message: 'Oi' }]), /delayHours must be a number > 0/);
+  assert.throws(() => FollowUpScheduler.normalizeFollowUps([
+    { delayHours: 72, message: 'A' },
+    { delayHours: 24, message: 'B' }
+  ]), /greater than the previous step/);
+  assert.throws(() => FollowUpScheduler.normalizeFollowUps([{ delayHours: 24, message: ' ' }]), /message is required/);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'follow-ups-'));
+  const followUpsPath = path.join(tmpDir, 'follow_ups.json');
+  const chipA = buildClient('chip_a');
+  const chipB = buildClient('chip_b');
+
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.replyStore = new ReplyStore(path.join(tmpDir, 'replies'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.suppressionList = new SuppressionList({ filePath: path.join(tmpDir, 'suppression_list.json') });
+  manager.followUps = new FollowUpScheduler(manager, { filePath: followUpsPath });
+  manager.sessionManager.sessions.set('chip_a', chipA.client);
+  manager.sessionManager.sessions.set('chip_b', chipB.client);
+  // Step 1 alternates chips, like the round-robin would.
+  const chips = [chipA.client, chipB.client];
+  let sends = 0;
+  manager.dispatcher = {
+    dispatch: async ({ phone, correlation }) => {
+      const client = chips[sends++ % chips.length];
+      const { messageId, jid } = await client.sendMessage(phone, 'Oi', correlation);
+      return { status: 'SERVER_ACK', chip: client.id, messageId, jid };
+    }
+  };
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+
+  const followUps = FollowUpScheduler.normalizeFollowUps([
+    { delayHours: 24, message: 'Lembrete, {nome}' },
+    { delayHours: 72, message: 'Última chance, {nome}' }
+  ]);
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', {
+    campaignId: 'cmp_sequence',
+    delayMin: 0,
+    delayMax: 0,
+    followUps
+  });
+
+  // Step 1 went out; step 2 is queued 24h later for each contact, on its own chip.
+  let record = manager.store.load('cmp_sequence');
+  assert.strictEqual(record.contacts.row_2.step, 1);
+  const scheduled = manager.followUps.list('cmp_sequence');
+  assert.strictEqual(scheduled.length, 2);
+  const maria = scheduled.find((entry) => entry.contactId === 'row_2');
+  const joao = scheduled.find((entry) => entry.contactId === 'row_3');
+  assert.strictEqual(maria.step, 2);
+  assert.strictEqual(maria.totalSteps, 3);
+  assert.strictEqual(maria.chipId, 'chip_a');
+  assert.strictEqual(joao.chipId, 'chip_b');
+  assert.strictEqual(Date.parse(maria.dueAt) - Date.parse(record.contacts.row_2.sentAt), 24 * HOUR_MS);
+  assert.strictEqual(events.filter(({ event }) => event === 'follow_up_scheduled').length, 2);
+  // Scheduling appends to the journal instead of rewriting follow_ups.json.
+  const journalPath = path.join(tmpDir, 'follow_ups.journal.jsonl');
+  assert.ok(!fs.existsSync(followUpsPath));
+  assert.strictEqual(fs.readFileSync(journalPath, 'utf8').trim().split('\n').length, 2);
+
+  // A reply cancels the rest of that contact's sequence.
+  await manager._handleInboundMessage(chipA.client, {
+    messageId: 'in_1',
+    jid: '5511999998888@s.whatsapp.net',
+    phone: '5511999998888',
+    text: 'Já vi, obrigada',
+    timestamp: Date.now()
+  });
+  assert.strictEqual(manager.followUps.list('cmp_sequence').find((entry) => entry.contactId === 'row_2').status, 'CANCELLED');
+  assert.strictEqual(events.find(({ event }) => event === 'follow_up_cancelled').payload.reason, 'replied');
+
+  // Pending steps survive a restart.
+  manager.followUps.stop();
+  manager.followUps = new FollowUpScheduler(manager, { filePath: followUpsPath });
+  const restored = manager.followUps.load();
+  assert.strictEqual(restored.length, 1);
+  assert.strictEqual(restored[0].contactId, 'row_3');
+  // Loading compacts the journal into the file and drops the cancelled step.
+  assert.ok(!fs.existsSync(journalPath));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(followUpsPath, 'utf8')).map((entry) => entry.contactId), ['row_3']);
+  assert.strictEqual(manager.followUps.list().length, 1);
+
+  // Step 2 goes out from chip_b, the chip that sent João's step 1, and queues step 3.
+  makeDue(manager.followUps);
+  await manager.followUps._processDue();
+  assert.strictEqual(chipA.provider.sent.length, 1, 'chip_a only sent step 1');
+  assert.strictEqual(chipB.provider.sent.length, 2);
+  assert.strictEqual(chipB.provider.sent[1].message, 'Lembrete, João');
+
+  record = manager.store.load('cmp_sequence');
+  assert.strictEqual(record.contacts.row_3.step, 2);
+  const stepTwo = manager.followUps.list('cmp_sequence').find((entry) => entry.step === 2 && entry.contactId === 'row_3');
+  assert.strictEqual(stepTwo.status, 'SENT');
+  assert.strictEqual(record.messageStatus[stepTwo.clientMessageId].step, 2);
+  const stepThree = manager.followUps.list('cmp_sequence').find((entry) => entry.step === 3);
+  assert.strictEqual(stepThree.status, 'PENDING');
+  assert.strictEqual(Date.parse(stepThree.dueAt) - Date.parse(record.contacts.row_3.sentAt), 72 * HOUR_MS);
+
+  // A chip that is not READY postpones the step instead of switching chips.
+  chipB.client._transition('DISCONNECTED', 'test');
+  makeDue(manager.followUps);
+  await manager.followUps._processDue();
+  assert.strictEqual(stepThree.status, 'PENDING');
+  assert.ok(Date.parse(stepThree.dueAt) > Date.now());
+  assert.strictEqual(chipB.provider.sent.length, 2);
+
+  chipB.client._transition('AUTHENTICATING', 'test');
+  chipB.client._transition('CONNECTED', 'test');
+  chipB.client._transition('READY', 'test');
+  makeDue(manager.followUps);
+  await manager.followUps._processDue();
+  assert.strictEqual(stepThree.status, 'SENT');
+  assert.strictEqual(chipB.provider.sent[2].message, 'Última chance, João');
+  assert.strictEqual(manager.followUps.list().filter((entry) => entry.status === 'PENDING').length, 0, 'The sequence is over');
+
+  // Many steps: one journal line each, the file is only rewritten at compaction,
+  // and finished steps do not come back.
+  const bulk = new FollowUpScheduler(manager, { filePath: path.join(tmpDir, 'bulk', 'follow_ups.json') });
+  const bulkJournal = path.join(tmpDir, 'bulk', 'follow_ups.journal.jsonl');
+  const bulkState = {
+    campaignId: 'cmp_bulk',
+    options: { followUps },
+    contacts: {}
+  };
+  for (let index = 0; index < 1500; index += 1) {
+    bulkState.contacts[`row_${index}`] = {
+      phone: `55119${String(index).padStart(8, '0')}`,
+      chip: 'chip_a',
+      step: 1,
+      sentAt: new Date(Date.now() - index * 1000).toISOString()
+    };
+  }
+  const realGetContact = manager._getContact;
+  manager._getContact = (state, contactId) => state.contacts[contactId];
+  Object.keys(bulkState.contacts).forEach((contactId) => bulk.scheduleNext(bulkState, contactId));
+  manager._getContact = realGetContact;
+  assert.strictEqual(JSON.parse(fs.readFileSync(bulk.filePath, 'utf8')).length, 1000, 'Compacted once at 1000 lines');
+  assert.strictEqual(fs.readFileSync(bulkJournal, 'utf8').trim().split('\n').length, 500);
+  const first = bulk.queue.peek();
+  assert.strictEqual(first.contactId, 'row_1499', 'The earliest step is armed first');
+  assert.strictEqual(bulk.cancelCampaign('cmp_bulk'), 1500);
+  assert.strictEqual(bulk.queue.peek(), null);
+  bulk.stop();
+  bulk.load();
+  assert.deepStrictEqual(bulk.list(), []);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(bulk.filePath, 'utf8')), []);
+
+  manager.followUps.stop();
+  [chipA.client, chipB.client].forEach((client) => {
+    client.removeAllListeners();
+    clearTimeout(client.idleTimer);
+  });
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Follow-ups ok.');
+})().catch((error) => {
+  console.error('Follow-ups test failed:', error);
+  process.exit(1);
+});
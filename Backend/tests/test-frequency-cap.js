@@ -0,0 +1,95 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const FrequencyCap = require('../src/modules/compliance/frequencyCap');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+const HOUR_MS = 60 * 60 * 1000;
+
+(async () => {
+  console.log('--- FREQUENCY CAP TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frequency-'));
+  const historyPath = path.join(tmpDir, 'contact_history.json');
+
+  // Rules on their own: history is keyed by the normalized phone.
+  const history = new ContactHistory({ filePath: historyPath });
+  history.record('(11) 99999-8888', {
+    campaignId: 'cmp_old',
+    template: 'Oi {nome}',
+    sentAt: new Date(Date.now() - 100 * HOUR_MS).toISOString()
+  });
+  assert.strictEqual(history.getSends('5511999998888').length, 1);
+
+  const perPeriod = new FrequencyCap(history, { enabled: true, maxMessages: 1, periodHours: 72 });
+  assert.strictEqual(perPeriod.check('5511999998888', 'Outro texto').allowed, true, 'Sends older than the period do not count');
+  const shortWindow = new FrequencyCap(history, { enabled: true, maxMessages: 1, periodHours: 120 });
+  assert.strictEqual(shortWindow.check('5511999998888', 'Outro texto').allowed, false);
+
+  const sameTemplate = new FrequencyCap(history, { enabled: true, periodHours: 1, blockRepeatedTemplate: true });
+  const repeated = sameTemplate.check('5511999998888', 'Oi {nome}');
+  assert.strictEqual(repeated.allowed, false);
+  assert.ok(/cmp_old/.test(repeated.reason));
+  assert.strictEqual(sameTemplate.check('5511999998888', 'Olá {nome}').allowed, true);
+
+  const disabled = new FrequencyCap(history, { enabled: false, blockRepeatedTemplate: true });
+  assert.strictEqual(disabled.check('5511999998888', 'Oi {nome}').allowed, true);
+
+  // Spanish and Chilean numbers are looked up under the key they were recorded with.
+  history.record('34912345678', { campaignId: 'cmp_es', template: 'Hola' });
+  assert.strictEqual(history.getSends('+34 912 345 678').length, 1);
+  assert.strictEqual(history.getSends('5534912345678').length, 0);
+
+  // Sends go to the journal; flush() folds it into the history file.
+  assert.ok(fs.existsSync(path.join(tmpDir, 'contact_history.journal.jsonl')));
+  assert.strictEqual(new ContactHistory({ filePath: historyPath }).getSends('34912345678').length, 1, 'Journaled sends survive a crash');
+  history.flush();
+  assert.ok(!fs.existsSync(path.join(tmpDir, 'contact_history.journal.jsonl')));
+  assert.strictEqual(JSON.parse(fs.readFileSync(historyPath, 'utf8'))['34912345678'].length, 1);
+
+  // Persisted history survives a restart.
+  assert.strictEqual(new ContactHistory({ filePath: historyPath }).getSends('11999998888').length, 1);
+
+  // Campaign: a number contacted by the previous campaign is skipped, not dispatched.
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(fs.mkdtempSync(path.join(tmpDir, 'campaigns-')));
+  manager.contactHistory = new ContactHistory({ filePath: historyPath });
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone }) => {
+      sent.push(phone);
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: `wa_${sent.length}` };
+    }
+  };
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+
+  const frequencyCap = { enabled: true, maxMessages: 1, periodHours: 72 };
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_a', frequencyCap });
+  assert.strictEqual(sent.length, 2, 'History older than the period should not block the first campaign');
+
+  await manager.startCampaign(fixturePath, 'Olá de novo {nome}', 'contacts.csv', { campaignId: 'cmp_b', frequencyCap });
+  assert.strictEqual(sent.length, 2, 'Numbers contacted within 72h must not be dispatched again');
+
+  const record = manager.store.load('cmp_b');
+  assert.strictEqual(record.status, 'FINISHED');
+  assert.strictEqual(record.counters.skipped, 2);
+  assert.strictEqual(record.counters.sent, 0);
+  assert.strictEqual(record.contacts.row_2.status, 'SKIPPED_FREQUENCY_CAP');
+  assert.ok(/72h/.test(record.contacts.row_2.error));
+  assert.deepStrictEqual(record.frequencyCap, { enabled: true, maxMessages: 1, periodHours: 72, blockRepeatedTemplate: false });
+
+  const skippedEvents = events.filter(({ event, payload }) => event === 'message_status' && payload.status === 'SKIPPED_FREQUENCY_CAP');
+  assert.strictEqual(skippedEvents.length, 2);
+  assert.strictEqual(skippedEvents[0].payload.campaignId, 'cmp_b');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Frequency cap ok.');
+})().catch((error) => {
+  console.error('Frequency cap test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const Dispatcher = require('../src/modules/dispatch/dispatcher');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const { resolveMediaType, createMedia, buildMessageContent } = require('../src/modules/dispatch/mediaMessage');
+
+(async () => {
+  console.log('--- MEDIA MESSAGE TEST ---');
+
+  // Type resolution from the upload.
+  assert.strictEqual(resolveMediaType('image/jpeg'), 'image');
+  assert.strictEqual(resolveMediaType('video/mp4'), 'video');
+  assert.strictEqual(resolveMediaType('audio/ogg'), 'audio');
+  assert.strictEqual(resolveMediaType('application/pdf'), 'document');
+  assert.strictEqual(resolveMediaType('image/png', 'document'), 'document', 'Any file may go as a document');
+  assert.throws(() => resolveMediaType('application/pdf', 'image'), /image messages need an? image\/\* file/);
+  assert.throws(() => resolveMediaType('image/png', 'sticker'), /Invalid media type/);
+
+  const invoice = createMedia({ path: '/tmp/upload_1', mimetype: 'application/pdf', originalname: 'fatura.pdf' });
+  assert.deepStrictEqual(invoice, { type: 'document', path: '/tmp/upload_1', mimetype: 'application/pdf', fileName: 'fatura.pdf' });
+  assert.strictEqual(buildMessageContent('Olá', null), 'Olá');
+  assert.deepStrictEqual(buildMessageContent('Segue sua fatura', invoice), {
+    type: 'document',
+    caption: 'Segue sua fatura',
+    media: { path: '/tmp/upload_1', mimetype: 'application/pdf', fileName: 'fatura.pdf' }
+  });
+
+  // The typed payload travels unchanged from the Dispatcher to the provider.
+  class MockProvider extends EventEmitter {
+    constructor() {
+      super();
+      this.sent = [];
+    }
+    async initialize() {}
+    async validateNumber(number) {
+      return { jid: `${number}@s.whatsapp.net`, exists: true };
+    }
+    async sendMessage(jid, message) {
+      this.sent.push(message);
+      return { key: { id: `wa_${this.sent.length}`, remoteJid: jid } };
+    }
+    getPhoneNumber() {
+      return '5511900000000';
+    }
+    getDisplayName() {
+      return 'Mock';
+    }
+  }
+  const provider = new MockProvider();
+  const client = new WhatsAppClient('chip_mock', { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+  client.enterCooldown = async () => {};
+
+  const dispatcher = new Dispatcher({ getNextClient: () => client });
+  const delayConfig = { minDelay: 0, maxDelay: 0 };
+
+  const result = await dispatcher.dispatch({
+    phone: '5511999998888',
+    messageTemplate: 'Oi {nome}',
+    variables: { nome: 'Ana' },
+    delayConfig,
+    media: invoice
+  });
+  assert.strictEqual(result.type, 'document');
+  assert.deepStrictEqual(provider.sent[0], buildMessageContent('Oi Ana', invoice));
+
+  // Voice notes have no caption: the text is sent first as its own message.
+  const voice = createMedia({ path: '/tmp/upload_2', mimetype: 'audio/ogg', originalname: 'recado.ogg' });
+  await dispatcher.dispatch({ phone: '5511999998888', messageTemplate: 'Oi', delayConfig, media: voice });
+  assert.strictEqual(provider.sent[1], 'Oi');
+  assert.strictEqual(provider.sent[2].type, 'audio');
+
+  // The audio failing after its text: the error says so, and the retry skips the text.
+  const flakySent = [];
+  let audioAttempts = 0;
+  const flaky = new Dispatcher({
+    getNextClient: () => ({
+      id: 'chip_flaky',
+      sendMessage: async (phone, message) => {
+        if (message.type === 'audio' && (audioAttempts += 1) === 1) throw new Error('Timed Out');
+        flakySent.push(message);
+        return { messageId: `wa_${flakySent.length}` };
+      }
+    })
+  });
+  await assert.rejects(
+    flaky.dispatch({ phone: '5511999998888', messageTemplate: 'Oi', delayConfig, media: voice }),
+    (error) => error.textSent === true
+  );
+  await flaky.dispatch({ phone: '5511999998888', messageTemplate: 'Oi', delayConfig, media: voice, textSent: true });
+  assert.deepStrictEqual(flakySent.map((message) => message.type || message), ['Oi', 'audio'], 'The retry sends only the audio');
+
+  const preview = await dispatcher.dispatch({ phone: '5511999998888', messageTemplate: 'Oi', delayConfig, media: voice, dryRun: true });
+  assert.strictEqual(preview.type, 'audio');
+  assert.strictEqual(provider.sent.length, 3, 'Dry-run must not send');
+
+  clearTimeout(client.idleTimer);
+  console.log('✅ Media message ok.');
+})().catch((error) => {
+  console.error('Media message test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ReplyStore = require('../src/modules/campaign/replyStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const SuppressionList = require('../src/modules/compliance/suppressionList');
+const OptOutPolicy = require('../src/modules/compliance/optOutPolicy');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- OPT-OUT TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optout-'));
+  const listPath = path.join(tmpDir, 'suppression_list.json');
+
+  // Keyword matching: the whole reply must be a keyword, ignoring case/accents/punctuation.
+  const policy = new OptOutPolicy({ keywords: ['SAIR', 'PARAR', 'STOP', 'Descadastrar'] });
+  assert.strictEqual(policy.match('sair'), 'SAIR');
+  assert.strictEqual(policy.match('  Parar!! '), 'PARAR');
+  assert.strictEqual(policy.match('SAÍR'), 'SAIR');
+  assert.strictEqual(policy.match('descadastrar'), 'DESCADASTRAR');
+  assert.strictEqual(policy.match('não quero parar de receber'), null);
+  assert.strictEqual(policy.match(''), null);
+
+  // Suppression list: normalized keys, persisted, bulk import.
+  const list = new SuppressionList({ filePath: listPath });
+  assert.strictEqual(list.add('(11) 98765-4321', { source: 'manual' }).created, true);
+  assert.strictEqual(list.add('5511987654321').created, false);
+  assert.throws(() => list.add('123'), /Invalid phone/);
+  const imported = list.import(['11999990000', '5511987654321', 'abc']);
+  assert.deepStrictEqual(imported, { added: 1, existing: 1, invalid: ['abc'] });
+  assert.ok(new SuppressionList({ filePath: listPath }).has('5511999990000'), 'List should be persisted');
+  assert.strictEqual(list.remove('11999990000'), true);
+  assert.strictEqual(list.remove('11999990000'), false);
+
+  // Inbound messages flow from the provider through WhatsAppClient.
+  class MockProvider extends EventEmitter {
+    async initialize() {}
+    async validateNumber(number) {
+      return { jid: `${number}@s.whatsapp.net`, exists: true };
+    }
+    async sendMessage() {
+      return { key: { id: 'confirmation' } };
+    }
+    getPhoneNumber() {
+      return '5511900000000';
+    }
+    getDisplayName() {
+      return 'Mock';
+    }
+  }
+  const provider = new MockProvider();
+  const client = new WhatsAppClient('chip_mock', { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+  const confirmations = [];
+  const originalSend = client.sendMessage.bind(client);
+  client.sendMessage = async (phone, text) => {
+    confirmations.push({ phone, text });
+    return originalSend(phone, text);
+  };
+
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(fs.mkdtempSync(path.join(tmpDir, 'campaigns-')));
+  manager.replyStore = new ReplyStore(path.join(tmpDir, 'replies'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.suppressionList = list;
+  manager.optOutPolicy = new OptOutPolicy({ sendConfirmation: true, confirmationMessage: 'Removido.' });
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+  manager.registerSessionClient(client);
+
+  const received = [];
+  client.on('message_received', (message) => received.push(message));
+  provider.emit('message.received', { messageId: 'in_1', jid: '5511999998888@s.whatsapp.net', phone: '5511999998888', text: 'Sair', timestamp: Date.now() });
+  provider.emit('message.received', { messageId: 'in_2', jid: '5511999990001@s.whatsapp.net', phone: '5511999990001', text: 'Quero saber mais', timestamp: Date.now() });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(received[0].chipId, 'chip_mock');
+  assert.ok(list.has('5511999998888'), 'Opt-out keyword should suppress the sender');
+  assert.ok(!list.has('5511999990001'));
+  assert.strictEqual(list.get('5511999998888').keyword, 'SAIR');
+  assert.deepStrictEqual(confirmations, [{ phone: '5511999998888', text: 'Removido.' }]);
+  assert.strictEqual(events.filter(({ event }) => event === 'contact_opted_out').length, 1);
+
+  // Repeating the keyword does not confirm twice.
+  provider.emit('message.received', { messageId: 'in_3', jid: '5511999998888@s.whatsapp.net', phone: '5511999998888', text: 'STOP', timestamp: Date.now() });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(confirmations.length, 1);
+
+  // Numbers of other countries keep their key: a Chilean mobile is not read as a Brazilian DDD 56.
+  provider.emit('message.received', { messageId: 'in_cl', jid: '56912345678@s.whatsapp.net', phone: '56912345678', text: 'Sair', timestamp: Date.now() });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.ok(list.get('56912345678'), 'Chilean opt-out should be stored under its own number');
+  assert.strictEqual(list.get('+56 9 1234 5678').phone, '56912345678');
+  assert.ok(!list.has('5556912345678'));
+  assert.deepStrictEqual(confirmations[1], { phone: '56912345678', text: 'Removido.' });
+
+  // Campaigns skip suppressed numbers before dispatch.
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone }) => {
+      sent.push(phone);
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: `wa_${sent.length}` };
+    }
+  };
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_optout' });
+  assert.deepStrictEqual(sent, [], 'Both fixture numbers are suppressed (manual entry and keyword)');
+  const record = manager.store.load('cmp_optout');
+  assert.strictEqual(record.contacts.row_2.status, 'SKIPPED_OPT_OUT');
+  assert.strictEqual(record.contacts.row_3.status, 'SKIPPED_OPT_OUT');
+  assert.strictEqual(record.counters.skipped, 2);
+  assert.ok(events.some(({ event, payload }) => event === 'message_status' && payload.status === 'SKIPPED_OPT_OUT'));
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Opt-out ok.');
+})().catch((error) => {
+  console.error('Opt-out test failed:', error);
+  process.exit(1);
+});
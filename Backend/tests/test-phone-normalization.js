@@ -1,4 +1,17 @@
-const { sanitizePhone, isValidPhone } = require('../src/modules/utils/phone');
+const {
+  sanitizePhone,
+  phoneKey,
+  isValidPhone,
+  toE164,
+  describeExpectedFormat,
+  maskPhones
+} = require('../src/modules/utils/phone');
+const { normalizeCountry } = require('../src/modules/utils/numberingPlans');
+
+function fail(message) {
+  console.error(`FAIL: ${message}`);
+  process.exit(1);
+}
 
 function runPhoneTests() {
   console.log('--- PHONE NORMALIZATION TEST ---');
@@ -7,20 +20,70 @@ function runPhoneTests() {
     { input: '(11) 99999-8888', expected: '5511999998888', valid: true },
     { input: '5511987654321', expected: '5511987654321', valid: true },
     { input: '11999998888', expected: '5511999998888', valid: true },
-    { input: '', expected: '', valid: false }
+    { input: '', expected: '', valid: false },
+    // Trunk prefix, and a DDD that is also the country code.
+    { input: '021 91234-5678', expected: '5521912345678', valid: true },
+    { input: '55 99999-8888', expected: '5555999998888', valid: true },
+    { input: '123', expected: '123', valid: false },
+    // Other countries: by their country code, or national numbers with the campaign's country.
+    { input: '+351 912 345 678', expected: '351912345678', valid: true },
+    { input: '00351912345678', expected: '351912345678', valid: true },
+    { input: '912 345 678', country: 'PT', expected: '351912345678', valid: true },
+    { input: '912 345 678', expected: '912345678', valid: false },
+    { input: '011 15 2345-6789', country: 'AR', expected: '5491123456789', valid: true },
+    { input: '0351 15 123-4567', country: 'ar', expected: '5493511234567', valid: true },
+    { input: '+54 9 11 2345-6789', expected: '5491123456789', valid: true },
+    { input: '(212) 555-1234', country: 'US', expected: '12125551234', valid: true },
+    { input: '+1 212 555 1234', expected: '12125551234', valid: true },
+    { input: '612 34 56 78', country: 'ES', expected: '34612345678', valid: true },
+    { input: '+56 9 1234 5678', expected: '56912345678', valid: true },
+    { input: '300 123 4567', country: 'CO', expected: '573001234567', valid: true },
+    // Brazilian numbers keep working in a campaign set to another country.
+    { input: '5511999998888', country: 'PT', expected: '5511999998888', valid: true }
   ];
 
   samples.forEach((sample) => {
-    const clean = sanitizePhone(sample.input);
+    const clean = sanitizePhone(sample.input, sample.country);
     if (clean !== sample.expected) {
-      console.error(`FAIL: Expected ${sample.expected}, got ${clean}`);
-      process.exit(1);
+      fail(`Expected ${sample.expected} for ${sample.input}, got ${clean}`);
     }
-    if (isValidPhone(sample.input) !== sample.valid) {
-      console.error(`FAIL: Expected validity ${sample.valid} for ${sample.input}`);
-      process.exit(1);
+    if (isValidPhone(sample.input, sample.country) !== sample.valid) {
+      fail(`Expected validity ${sample.valid} for ${sample.input}`);
+    }
+  });
+
+  // Stored numbers read again keep their country, whatever the default country.
+  samples.filter((sample) => sample.valid).forEach((sample) => {
+    if (phoneKey(sample.expected) !== sample.expected) {
+      fail(`${sample.expected} changed to ${phoneKey(sample.expected)} when read again`);
     }
   });
+  [
+    ['56912345678', '56912345678'],
+    ['34912345678', '34912345678'],
+    ['12125551234@s.whatsapp.net', '12125551234'],
+    ['11999998888', '5511999998888']
+  ].forEach(([input, expected]) => {
+    if (phoneKey(input) !== expected) fail(`Expected key ${expected} for ${input}, got ${phoneKey(input)}`);
+  });
+
+  if (toE164('5511999998888') !== '+5511999998888' || toE164('56912345678') !== '+56912345678' || toE164('123') !== '') {
+    fail('E.164 formatting is wrong.');
+  }
+  if (describeExpectedFormat() !== '55DDD9XXXXXXXX (Brazil)' || !describeExpectedFormat('pt').startsWith('351')) {
+    fail(`Unexpected format description: ${describeExpectedFormat()}`);
+  }
+  try {
+    normalizeCountry('XX');
+    fail('An unknown country should be rejected.');
+  } catch (error) {
+    if (error.code !== 'INVALID_COUNTRY') throw error;
+  }
+
+  const masked = maskPhones('Sent to 5511999998888@s.whatsapp.net, +351912345678 and 5491123456789 at 1760000000000');
+  if (masked !== 'Sent to 5511****8888@s.whatsapp.net, +35191****5678 and 5491****6789 at 1760000000000') {
+    fail(`Unexpected mask: ${masked}`);
+  }
 
   console.log('✅ Phone normalization ok.');
 }
@@ -37,6 +37,12 @@ class MockProvider extends EventEmitter {
   assert.ok(blocked, 'Expected rate limit to block the second message');
   assert.strictEqual(client.status, 'COOLDOWN', 'Expected client to enter COOLDOWN');
 
+  // Once the cooldown (plus its jitter) has passed the chip takes sends again.
+  client._setCooldownUntil(Date.now() - 15000, 'test');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.strictEqual(client.status, 'READY', 'Expected client to leave COOLDOWN when it expires');
+  assert.strictEqual(client.cooldownUntil, null);
+
   console.log('Rate limit test passed.');
 })().catch((error) => {
   console.error(error);
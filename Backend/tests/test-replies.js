@@ -0,0 +1,155 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppClient = require('../src/modules/whatsapp/whatsappClient');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ReplyStore = require('../src/modules/campaign/replyStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const SuppressionList = require('../src/modules/compliance/suppressionList');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+class MockProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.count = 0;
+  }
+  async initialize() {}
+  async validateNumber(number) {
+    return { jid: `${number}@s.whatsapp.net`, exists: true };
+  }
+  async sendMessage(jid) {
+    this.count += 1;
+    return { key: { id: `wa_${this.count}`, remoteJid: jid } };
+  }
+  getPhoneNumber() {
+    return '5511900000000';
+  }
+  getDisplayName() {
+    return 'Mock';
+  }
+}
+
+function buildManager(tmpDir, client) {
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.replyStore = new ReplyStore(path.join(tmpDir, 'replies'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.suppressionList = new SuppressionList({ filePath: path.join(tmpDir, 'suppression_list.json') });
+  manager.dispatcher = {
+    dispatch: async ({ phone, correlation }) => {
+      const { messageId, jid } = await client.sendMessage(phone, 'Oi', correlation);
+      return { status: 'SERVER_ACK', chip: client.id, messageId, jid };
+    }
+  };
+  manager.registerSessionClient(client);
+  return manager;
+}
+
+function buildClient() {
+  const provider = new MockProvider();
+  const client = new WhatsAppClient('chip_mock', { provider });
+  client._transition('AUTHENTICATING', 'test');
+  client._transition('CONNECTED', 'test');
+  client._transition('READY', 'test');
+  return { client, provider };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+(async () => {
+  console.log('--- REPLIES TEST ---');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replies-'));
+  const { client, provider } = buildClient();
+  const manager = buildManager(tmpDir, client);
+  const events = [];
+  manager.setEventEmitter({ emit: (event, payload) => events.push({ event, payload }) });
+
+  await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_replies' });
+
+  // Reply correlated through the chip's tracker of the last outbound message.
+  provider.emit('message.received', {
+    messageId: 'in_1',
+    jid: '5511987654321@s.whatsapp.net',
+    phone: '5511987654321',
+    text: 'Tenho interesse',
+    pushName: 'João',
+    timestamp: Date.now()
+  });
+  await tick();
+
+  const replies = manager.replyStore.list('cmp_replies');
+  assert.strictEqual(replies.length, 1);
+  assert.strictEqual(replies[0].contactId, 'row_3');
+  assert.strictEqual(replies[0].outboundMessageId, 'wa_2');
+  assert.strictEqual(replies[0].correlatedBy, 'tracker');
+  assert.strictEqual(replies[0].text, 'Tenho interesse');
+
+  const record = manager.store.load('cmp_replies');
+  assert.ok(record.contacts.row_3.repliedAt);
+  assert.strictEqual(record.contacts.row_3.replies, 1);
+  assert.strictEqual(record.counters.replied, 1);
+
+  const received = events.filter(({ event }) => event === 'message_received');
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].payload.campaignId, 'cmp_replies');
+
+  // After a restart the tracker is empty, so the contact history links the reply.
+  assert.strictEqual(manager.contactHistory.getSends('5511999998888')[0].contactId, 'row_2');
+  const restarted = buildClient();
+  const recovered = buildManager(tmpDir, restarted.client);
+  restarted.provider.emit('message.received', {
+    messageId: 'in_2',
+    jid: '5511999998888@s.whatsapp.net',
+    phone: '5511999998888',
+    text: 'Quanto custa?',
+    timestamp: Date.now()
+  });
+  // Someone who never got a campaign message.
+  restarted.provider.emit('message.received', {
+    messageId: 'in_3',
+    jid: '5511911112222@s.whatsapp.net',
+    phone: '5511911112222',
+    text: 'Olá',
+    timestamp: Date.now()
+  });
+  await tick();
+
+  const afterRestart = recovered.replyStore.list('cmp_replies');
+  assert.strictEqual(afterRestart.length, 2);
+  assert.strictEqual(afterRestart[1].contactId, 'row_2');
+  assert.strictEqual(afterRestart[1].correlatedBy, 'history');
+  assert.strictEqual(recovered.store.load('cmp_replies').counters.replied, 2);
+
+  // Sends recorded before the history stored contact ids are matched by phone.
+  recovered.contactHistory.record('5511987654321', { campaignId: 'cmp_replies', template: 'Oi {nome}' });
+  restarted.provider.emit('message.received', {
+    messageId: 'in_4',
+    jid: '5511987654321@s.whatsapp.net',
+    phone: '5511987654321',
+    text: 'Ainda vale?',
+    timestamp: Date.now()
+  });
+  await tick();
+  const legacy = recovered.replyStore.list('cmp_replies').find((reply) => reply.messageId === 'in_4');
+  assert.strictEqual(legacy.contactId, 'row_3');
+  assert.strictEqual(legacy.correlatedBy, 'history');
+
+  const uncorrelated = recovered.replyStore.list();
+  assert.strictEqual(uncorrelated.length, 1);
+  assert.strictEqual(uncorrelated[0].campaignId, null);
+
+  client.removeAllListeners();
+  restarted.client.removeAllListeners();
+  clearTimeout(client.idleTimer);
+  clearTimeout(restarted.client.idleTimer);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Replies ok.');
+})().catch((error) => {
+  console.error('Replies test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RetryPolicy = require('../src/modules/dispatch/retryPolicy');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+(async () => {
+  console.log('--- RETRY POLICY TEST ---');
+
+  // 1. Classification
+  const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 1000, backoffMultiplier: 2, maxDelayMs: 3000 });
+  assert.strictEqual(policy.classify(codedError('Number 55 is not registered on WhatsApp', 'NUMBER_NOT_REGISTERED')), 'PERMANENT');
+  assert.strictEqual(policy.classify(new Error('Number 5511 is not registered on WhatsApp')), 'PERMANENT');
+  assert.strictEqual(policy.classify(codedError('Cooldown active (100ms remaining)', 'COOLDOWN')), 'TRANSIENT');
+  assert.strictEqual(policy.classify(new Error('Hourly rate limit reached')), 'TRANSIENT');
+  assert.strictEqual(policy.classify(new Error('Client chip_1 is not ready (Status: DISCONNECTED)')), 'TRANSIENT');
+  assert.strictEqual(policy.classify(Object.assign(new Error('Connection Closed'), { output: { statusCode: 428 } })), 'TRANSIENT');
+  assert.strictEqual(policy.classify(new Error('Timed Out')), 'TRANSIENT');
+
+  // 2. Backoff and attempts
+  assert.strictEqual(policy.getDelay(1), 1000);
+  assert.strictEqual(policy.getDelay(2), 2000);
+  assert.strictEqual(policy.getDelay(3), 3000, 'Backoff is capped at maxDelayMs');
+  assert.strictEqual(policy.shouldRetry('TRANSIENT', 2), true);
+  assert.strictEqual(policy.shouldRetry('TRANSIENT', 3), false);
+  assert.strictEqual(policy.shouldRetry('PERMANENT', 1), false);
+
+  // 3. Campaign requeues transient failures and records every attempt.
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'retry-policy-')) });
+  const calls = [];
+  manager.dispatcher = {
+    dispatch: async ({ phone }) => {
+      calls.push(phone);
+      if (phone === '5511999998888' && calls.filter((p) => p === phone).length === 1) {
+        throw new Error('Connection closed');
+      }
+      if (phone === '5511987654321') {
+        throw codedError(`Number ${phone} is not registered on WhatsApp`, 'NUMBER_NOT_REGISTERED');
+      }
+      return { status: 'SERVER_ACK', chip: 'chip_1' };
+    }
+  };
+
+  const result = await manager.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', {
+    campaignId: 'cmp_retry',
+    retry: { maxAttempts: 3, baseDelayMs: 20 }
+  });
+  assert.strictEqual(result.status, 'FINISHED');
+  assert.deepStrictEqual(calls, ['5511999998888', '5511987654321', '5511999998888']);
+
+  const record = manager.store.load('cmp_retry');
+  const transient = record.contacts.row_2;
+  assert.strictEqual(transient.status, 'SERVER_ACK');
+  assert.deepStrictEqual(transient.attempts.map((a) => a.status), ['FAILED', 'SERVER_ACK']);
+  assert.strictEqual(transient.attempts[0].classification, 'TRANSIENT');
+
+  const permanent = record.contacts.row_3;
+  assert.strictEqual(permanent.status, 'FAILED');
+  assert.strictEqual(permanent.attempts.length, 1, 'Permanent errors are never retried');
+  assert.strictEqual(record.failedRows[0].classification, 'PERMANENT');
+  assert.deepStrictEqual(record.pendingRows, []);
+
+  // 4. A voice note whose text went out before the audio failed retries only the audio.
+  const voice = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'retry-policy-')) });
+  const textFlags = [];
+  voice.dispatcher = {
+    dispatch: async ({ correlation, textSent }) => {
+      if (correlation.contactId !== 'row_2') return { status: 'SERVER_ACK' };
+      textFlags.push(textSent);
+      if (textFlags.length === 1) {
+        throw Object.assign(new Error('Timed Out'), { textSent: true });
+      }
+      return { status: 'SERVER_ACK' };
+    }
+  };
+  await voice.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_voice', retry: { maxAttempts: 3, baseDelayMs: 20 } });
+  assert.deepStrictEqual(textFlags, [false, true]);
+  assert.ok(voice.store.load('cmp_voice').contacts.row_2.textSentAt);
+
+  // 5. When every chip is cooling down the loop waits for the earliest one instead of
+  //    burning the contacts' attempts; a chip turning READY ends the wait early.
+  const fleet = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'retry-policy-')) });
+  const chips = [new EventEmitter(), new EventEmitter()];
+  chips[0].isReady = () => false;
+  chips[0].cooldownUntil = Date.now() + 1200;
+  chips[1].isReady = () => false;
+  chips[1].cooldownUntil = null;
+  fleet.sessionManager = { getAllSessions: () => chips };
+  const waits = [];
+  fleet.setEventEmitter({ emit: (event, payload) => { if (event === 'campaign_waiting_sessions') waits.push(payload); } });
+  let fleetCalls = 0;
+  let readyAt = null;
+  fleet.dispatcher = {
+    dispatch: async () => {
+      fleetCalls += 1;
+      if (fleetCalls === 1) {
+        // First wait ends when chip_2 reports READY, long before chip_1's cooldown.
+        setTimeout(() => {
+          readyAt = Date.now();
+          chips[1].emit('status', { status: 'READY' });
+        }, 50);
+        throw codedError('No active sessions available for dispatch.', 'NO_ACTIVE_SESSION');
+      }
+      if (fleetCalls === 2) {
+        assert.ok(Date.now() - readyAt < 500, 'A READY chip should end the wait');
+        throw codedError('Hourly rate limit reached', 'RATE_LIMIT');
+      }
+      if (Date.now() < chips[0].cooldownUntil) {
+        throw codedError('Cooldown active', 'COOLDOWN');
+      }
+      return { status: 'SERVER_ACK' };
+    }
+  };
+  const fleetResult = await fleet.startCampaign(fixturePath, 'Oi {nome}', 'contacts.csv', { campaignId: 'cmp_fleet', retry: { maxAttempts: 3, baseDelayMs: 20 } });
+  assert.strictEqual(fleetResult.status, 'FINISHED');
+  assert.strictEqual(fleetCalls, 4, 'One call per wait plus one per contact');
+  assert.strictEqual(waits.length, 2);
+  const fleetRecord = fleet.store.load('cmp_fleet');
+  assert.strictEqual(fleetRecord.counters.failed, 0);
+  Object.values(fleetRecord.contacts).forEach((contact) => {
+    assert.strictEqual(contact.status, 'SERVER_ACK');
+    assert.strictEqual(contact.attempts.length, 1, 'Fleet-wide errors are not attempts');
+  });
+
+  [manager, voice, fleet].forEach(({ store }) => fs.rmSync(store.baseDir, { recursive: true, force: true }));
+  console.log('✅ Retry policy ok.');
+})().catch((error) => {
+  console.error('Retry policy test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignScheduler = require('../src/modules/campaign/campaignScheduler');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function buildManager() {
+  return {
+    runPromise: null,
+    activeRun: null,
+    started: [],
+    events: [],
+    async initialize() {},
+    getActiveCampaign() {
+      return this.activeRun;
+    },
+    async startCampaign(excelPath, template, originalFilename, options) {
+      this.started.push({ excelPath, template, originalFilename, options });
+      return { campaignId: options.campaignId, status: 'FINISHED' };
+    },
+    _emitEvent(event, payload) {
+      this.events.push({ event, payload });
+    }
+  };
+}
+
+(async () => {
+  console.log('--- SCHEDULER TEST ---');
+  const filePath = path.join(os.tmpdir(), `schedules_${Date.now()}.json`);
+
+  // 1. A due schedule launches the campaign with the stored payload.
+  const manager = buildManager();
+  const scheduler = new CampaignScheduler(manager, { filePath });
+  scheduler.schedule({
+    scheduledAt: new Date(Date.now() + 30),
+    excelPath: '/tmp/contacts.csv',
+    messageTemplate: 'Oi {nome}',
+    originalFilename: 'contacts.csv',
+    options: { campaignId: 'cmp_soon', delayMin: 1000 }
+  });
+  await wait(80);
+  assert.strictEqual(manager.started.length, 1);
+  assert.strictEqual(manager.started[0].options.delayMin, 1000);
+  assert.strictEqual(scheduler.get('cmp_soon').status, 'LAUNCHED');
+
+  // 2. Pending schedules survive a restart, can be moved and cancelled.
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  const uploads = ['contacts.csv', 'banner.png', 'attachments'].map((name) => path.join(uploadDir, name));
+  fs.writeFileSync(uploads[0], 'nome,telefone\n');
+  fs.writeFileSync(uploads[1], 'png');
+  fs.mkdirSync(uploads[2]);
+  fs.writeFileSync(path.join(uploads[2], 'boleto.pdf'), 'pdf');
+  scheduler.schedule({
+    scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
+    excelPath: uploads[0],
+    messageTemplate: 'Oi {nome}',
+    options: { campaignId: 'cmp_later', media: { type: 'image', path: uploads[1] }, attachmentsDir: uploads[2] }
+  });
+  scheduler.stop();
+
+  const restarted = new CampaignScheduler(buildManager(), { filePath });
+  const pending = restarted.load();
+  assert.deepStrictEqual(pending.map((entry) => entry.campaignId), ['cmp_later']);
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  restarted.reschedule('cmp_later', tomorrow);
+  assert.strictEqual(restarted.get('cmp_later').scheduledAt, tomorrow.toISOString());
+
+  restarted.cancel('cmp_later');
+  assert.strictEqual(restarted.get('cmp_later').status, 'CANCELLED');
+  assert.throws(() => restarted.cancel('cmp_later'));
+  await wait(20);
+  uploads.forEach((upload) => assert.ok(!fs.existsSync(upload), `${upload} should be deleted with the schedule`));
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  assert.throws(() => restarted.reschedule('cmp_soon', tomorrow), /LAUNCHED/);
+
+  // 3. A busy manager postpones the launch instead of failing it.
+  const busy = buildManager();
+  busy.runPromise = Promise.resolve();
+  const busyScheduler = new CampaignScheduler(busy, { filePath });
+  busyScheduler.schedule({
+    scheduledAt: new Date(Date.now() + 10),
+    excelPath: '/tmp/contacts.csv',
+    messageTemplate: 'Oi',
+    options: { campaignId: 'cmp_busy' }
+  });
+  await wait(40);
+  assert.strictEqual(busy.started.length, 0);
+  assert.strictEqual(busyScheduler.get('cmp_busy').status, 'PENDING');
+  busyScheduler.stop();
+
+  // 4. So does a paused campaign, which has no run loop but still owns the manager.
+  const paused = buildManager();
+  paused.activeRun = { campaignId: 'cmp_paused' };
+  const pausedScheduler = new CampaignScheduler(paused, { filePath });
+  pausedScheduler.schedule({
+    scheduledAt: new Date(Date.now() + 10),
+    excelPath: '/tmp/contacts.csv',
+    messageTemplate: 'Oi',
+    options: { campaignId: 'cmp_after_pause' }
+  });
+  await wait(40);
+  assert.strictEqual(paused.started.length, 0);
+  assert.strictEqual(pausedScheduler.get('cmp_after_pause').status, 'PENDING');
+  assert.ok(pausedScheduler.timers.has('cmp_after_pause'));
+  pausedScheduler.stop();
+
+  // 5. Sessions that are not ready yet postpone the launch too.
+  const offline = buildManager();
+  offline.initialize = async () => { throw new Error('No READY session within 60000ms'); };
+  const offlineScheduler = new CampaignScheduler(offline, { filePath });
+  offlineScheduler.schedule({
+    scheduledAt: new Date(Date.now() + 10),
+    excelPath: '/tmp/contacts.csv',
+    messageTemplate: 'Oi',
+    options: { campaignId: 'cmp_offline' }
+  });
+  await wait(40);
+  assert.strictEqual(offline.started.length, 0);
+  assert.strictEqual(offlineScheduler.get('cmp_offline').status, 'PENDING');
+  assert.ok(offlineScheduler.timers.has('cmp_offline'));
+  offlineScheduler.stop();
+
+  fs.unlinkSync(filePath);
+  console.log('✅ Scheduler ok.');
+})().catch((error) => {
+  console.error('Scheduler test failed:', error);
+  process.exit(1);
+});
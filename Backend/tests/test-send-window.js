@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SendWindow = require('../src/modules/compliance/sendWindow');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- SEND WINDOW TEST ---');
+
+  const window = new SendWindow({
+    enabled: true,
+    timezone: 'America/Sao_Paulo',
+    startTime: '08:00',
+    endTime: '20:00',
+    weekdays: [1, 2, 3, 4, 5],
+    blackoutDates: ['2026-01-02']
+  });
+
+  // Wednesday 2026-01-07, 10:00 in São Paulo (UTC-3).
+  assert.strictEqual(window.isOpen(new Date('2026-01-07T13:00:00Z')), true);
+  // Same day, 23:00 local.
+  assert.strictEqual(window.isOpen(new Date('2026-01-08T02:00:00Z')), false);
+  assert.strictEqual(
+    window.nextOpening(new Date('2026-01-08T02:00:00Z')).toISOString(),
+    '2026-01-08T11:00:00.000Z'
+  );
+  // Sunday 2026-01-04 -> Monday 08:00.
+  assert.strictEqual(window.isOpen(new Date('2026-01-04T15:00:00Z')), false);
+  assert.strictEqual(
+    window.nextOpening(new Date('2026-01-04T15:00:00Z')).toISOString(),
+    '2026-01-05T11:00:00.000Z'
+  );
+  // Thursday 2026-01-01 night -> Friday is a blackout date -> Monday 2026-01-05.
+  assert.strictEqual(
+    window.nextOpening(new Date('2026-01-01T23:30:00Z')).toISOString(),
+    '2026-01-05T11:00:00.000Z'
+  );
+
+  assert.strictEqual(new SendWindow({ enabled: false }).isOpen(new Date('2026-01-04T03:00:00Z')), true);
+  // The shipped config and the code default agree: Monday to Friday.
+  assert.deepStrictEqual(new SendWindow().weekdays, [1, 2, 3, 4, 5]);
+  assert.throws(() => new SendWindow({ startTime: '20:00', endTime: '08:00' }));
+  assert.throws(() => new SendWindow({ timezone: 'Mars/Olympus' }));
+  // Times stop at 23:59; "24:00" only means the end of the day.
+  ['24:59', '24:01', '25:00', '12:60', '8h'].forEach((time) => {
+    assert.throws(() => new SendWindow({ startTime: '00:00', endTime: time }), /Invalid send window time/);
+  });
+  const lateNight = new SendWindow({ enabled: true, startTime: '22:00', endTime: '24:00', weekdays: [3] });
+  assert.strictEqual(lateNight.isOpen(new Date('2026-01-08T02:59:00Z')), true);
+  assert.strictEqual(lateNight.isOpen(new Date('2026-01-08T03:00:00Z')), false);
+  assert.throws(() => new SendWindow({ startTime: '24:00', endTime: '24:00' }));
+
+  // A closed window suspends the campaign until it is paused.
+  const manager = new CampaignManager({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'send-window-')) });
+  const events = [];
+  manager.setEventEmitter({
+    emit: (event, payload) => {
+      events.push(event);
+      if (event === 'campaign_waiting_window') {
+        setTimeout(() => manager.pauseCampaign(payload.campaignId), 10);
+      }
+    }
+  });
+  let dispatched = 0;
+  manager.dispatcher = { dispatch: async () => { dispatched += 1; return { status: 'SERVER_ACK' }; } };
+
+  const closed = { enabled: true, weekdays: [0, 1, 2, 3, 4, 5, 6], blackoutDates: [] };
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo' }).format(new Date());
+  closed.blackoutDates.push(today);
+
+  const result = await manager.startCampaign(fixturePath, 'Oi', 'contacts.csv', {
+    campaignId: 'cmp_window',
+    sendWindow: closed
+  });
+  assert.strictEqual(result.status, 'PAUSED');
+  assert.strictEqual(dispatched, 0, 'Nothing should be sent while the window is closed');
+  assert.ok(events.includes('campaign_waiting_window'));
+  assert.strictEqual(manager.store.load('cmp_window').sendWindow.blackoutDates[0], today);
+
+  fs.rmSync(manager.store.baseDir, { recursive: true, force: true });
+  console.log('✅ Send window ok.');
+})().catch((error) => {
+  console.error('Send window test failed:', error);
+  process.exit(1);
+});
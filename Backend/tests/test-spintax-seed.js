@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpintaxParser = require('../src/modules/campaign/spintax');
+const { applyTemplate, describeSpintax } = require('../src/modules/campaign/templateEngine');
+const Dispatcher = require('../src/modules/dispatch/dispatcher');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const FollowUpScheduler = require('../src/modules/campaign/followUpScheduler');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- SPINTAX SEED TEST ---');
+
+  // Same seed, same variation; the seeds below pick different ones.
+  const text = '{Olá|Oi|Ei|Bom dia} {amigo|cliente|parceiro}, {tudo bem|como vai}?';
+  const first = SpintaxParser.parse(text, { seed: 'cmp_1:row_2' });
+  for (let i = 0; i < 20; i += 1) {
+    assert.strictEqual(SpintaxParser.parse(text, { seed: 'cmp_1:row_2' }), first);
+  }
+  const seeded = new Set(['row_2', 'row_3', 'row_4', 'row_5', 'row_6'].map((row) => SpintaxParser.parse(text, { seed: `cmp_1:${row}` })));
+  assert.ok(seeded.size > 1, 'Different contacts should not all get the same variation');
+  assert.strictEqual(
+    applyTemplate('{Oi|Olá} {nome}, {tudo bem|como vai}?', { nome: 'Ana' }, { seed: 'x' }),
+    applyTemplate('{Oi|Olá} {nome}, {tudo bem|como vai}?', { nome: 'Ana' }, { seed: 'x' })
+  );
+
+  // Escapes: literal braces and pipes.
+  assert.strictEqual(SpintaxParser.parse('Use \\{codigo\\} ou \\| ou \\\\'), 'Use {codigo} ou | ou \\');
+  assert.strictEqual(SpintaxParser.parse('{a\\|b}'), 'a|b');
+  assert.strictEqual(SpintaxParser.countVariations('{a\\|b|c}'), 2);
+  assert.strictEqual(applyTemplate('\\{nome\\} = {nome}', { nome: 'Ana' }), '{nome} = Ana');
+  assert.strictEqual(applyTemplate('\\{{nome}\\}', { nome: 'Ana' }), '{Ana}');
+
+  // Combinations and samples.
+  assert.strictEqual(SpintaxParser.countVariations(text), 24);
+  assert.deepStrictEqual(SpintaxParser.sample('{Oi|Olá} {a|{b|c}}', 10), ['Oi a', 'Oi b', 'Oi c', 'Olá a', 'Olá b', 'Olá c']);
+  // "$" in an option is literal text, not a replacement pattern.
+  assert.deepStrictEqual(SpintaxParser.sample('{Só R$ 10|Por $&|Leve $1} {hoje|$$}', 10), [
+    'Só R$ 10 hoje', 'Só R$ 10 $$', 'Por $& hoje', 'Por $& $$', 'Leve $1 hoje', 'Leve $1 $$'
+  ]);
+  const sample = SpintaxParser.sample(text, 5, { seed: 'sample' });
+  assert.strictEqual(sample.length, 5);
+  assert.strictEqual(new Set(sample).size, 5);
+  assert.deepStrictEqual(SpintaxParser.sample(text, 5, { seed: 'sample' }), sample);
+
+  const stats = describeSpintax('{Oi|Olá} {{nome|default:"cliente"}}{#if link}, {veja|acesse} {{link}}{/if}', { limit: 10 });
+  assert.strictEqual(stats.combinations, 4);
+  assert.deepStrictEqual(stats.sample, [
+    'Oi {{nome|default:"cliente"}}{#if link}, veja {{link}}{/if}',
+    'Oi {{nome|default:"cliente"}}{#if link}, acesse {{link}}{/if}',
+    'Olá {{nome|default:"cliente"}}{#if link}, veja {{link}}{/if}',
+    'Olá {{nome|default:"cliente"}}{#if link}, acesse {{link}}{/if}'
+  ]);
+  assert.deepStrictEqual(describeSpintax('Oi', { limit: 0 }), { combinations: 1, sample: [] });
+
+  // The dispatcher seeds with the campaign and contact ids.
+  const dispatcher = new Dispatcher({ getNextClient: () => null });
+  const render = async (contactId) => (await dispatcher.dispatch({
+    phone: '5511999998888',
+    messageTemplate: text,
+    correlation: { campaignId: 'cmp_1', contactId, clientMessageId: `msg_${Math.random()}` },
+    delayConfig: { minDelay: 1, maxDelay: 2 },
+    dryRun: true
+  })).message;
+  assert.strictEqual(await render('row_2'), first);
+  assert.strictEqual(await render('row_2'), first, 'Retries render the same text');
+
+  // A sent message can be rendered again from the campaign record.
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spintax-seed-'));
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.followUps = new FollowUpScheduler(manager, { filePath: path.join(tmpDir, 'follow_ups.json') });
+  manager.dispatcher = new Dispatcher({ getNextClient: () => ({ id: 'chip_1', sendMessage: async () => ({ messageId: 'wa_1' }) }) });
+  const sent = [];
+  const dispatch = manager.dispatcher.dispatch.bind(manager.dispatcher);
+  manager.dispatcher.dispatch = async (payload) => {
+    const result = await dispatch({ ...payload, dryRun: true });
+    sent.push({ contactId: payload.correlation.contactId, message: result.message });
+    return { ...result, chip: 'chip_1' };
+  };
+  await manager.startCampaign(fixturePath, '{Oi|Olá|Ei|Opa} {nome}, {tudo bem|como vai|beleza}?', 'contacts.csv', {
+    campaignId: 'cmp_seeded',
+    delayMin: 1,
+    delayMax: 2,
+    followUps: [{ delayHours: 24, message: '{Oi|Olá} de novo, {nome}' }]
+  });
+  manager.followUps.stop();
+
+  assert.strictEqual(sent.length, 2);
+  sent.forEach(({ contactId, message }) => {
+    assert.strictEqual(manager.renderContactMessage('cmp_seeded', contactId).message, message);
+  });
+  const followUp = manager.renderContactMessage('cmp_seeded', 'row_2', 2);
+  assert.ok(['Oi de novo, Maria, Clara', 'Olá de novo, Maria, Clara'].includes(followUp.message));
+  assert.strictEqual(manager.renderContactMessage('cmp_seeded', 'row_2', 3), null);
+  assert.strictEqual(manager.renderContactMessage('cmp_seeded', 'row_99'), null);
+  assert.strictEqual(manager.renderContactMessage('cmp_missing', 'row_2'), null);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Spintax seed ok.');
+})().catch((error) => {
+  console.error('Spintax seed test failed:', error);
+  process.exit(1);
+});
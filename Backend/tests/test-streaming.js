@@ -0,0 +1,169 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ExcelParser = require('../src/modules/parser/excelParser');
+const { createCsvTokenizer, parseCsv, readCsv, streamCsv } = require('../src/modules/parser/csvParser');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const FollowUpScheduler = require('../src/modules/campaign/followUpScheduler');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+
+const ROWS = 5000;
+
+function phoneFor(index) {
+  return `119${String(10000000 + index).slice(-8)}`;
+}
+
+(async () => {
+  console.log('--- STREAMING TEST ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-'));
+
+  // 1. The tokenizer gives the same rows whatever the chunk boundaries.
+  const sample = 'nome;obs\r\n"Ana ""A""";"linha 1\r\nlinha 2"\r\nBia;x\n"";\r\n';
+  const tokenizer = createCsvTokenizer({ delimiter: ';' });
+  const chunked = [];
+  for (const char of sample) chunked.push(...tokenizer.push(char));
+  chunked.push(...tokenizer.end());
+  assert.deepStrictEqual(chunked, parseCsv(sample, { delimiter: ';' }));
+  assert.deepStrictEqual(chunked[1], ['Ana "A"', 'linha 1\r\nlinha 2']);
+
+  // 2. A file spanning many read chunks (Windows-1252, ";", a quoted line break).
+  const csvPath = path.join(tmpDir, 'big.csv');
+  const lines = ['Nome;Telefone;Cidade'];
+  for (let i = 0; i < ROWS; i += 1) {
+    lines.push(i === 4321 ? `"João\r\nSegundo";${phoneFor(i)};São Paulo` : `Cliente ${i};${phoneFor(i)};Conceição`);
+  }
+  fs.writeFileSync(csvPath, Buffer.from(`${lines.join('\r\n')}\r\n`, 'latin1'));
+  assert.ok(fs.statSync(csvPath).size > 128 * 1024);
+
+  const stream = streamCsv(csvPath);
+  assert.strictEqual(stream.delimiter, ';');
+  assert.strictEqual(stream.encoding, 'windows-1252');
+  let count = 0;
+  let quoted = null;
+  for await (const row of stream.rows) {
+    count += 1;
+    if (row[0].startsWith('João')) quoted = row;
+  }
+  assert.strictEqual(count, ROWS + 1);
+  assert.deepStrictEqual(quoted, ['João\r\nSegundo', phoneFor(4321), 'São Paulo']);
+
+  // Windows-1252 whose first SNIFF_BYTES are plain ASCII: detected over the whole file, like readCsv.
+  const lateAccentPath = path.join(tmpDir, 'late_accent.csv');
+  const asciiLines = ['Nome,Telefone'];
+  for (let i = 0; i < 4000; i += 1) asciiLines.push(`Cliente ${i},${phoneFor(i)}`);
+  asciiLines.push(`João Conceição,${phoneFor(4000)}`);
+  fs.writeFileSync(lateAccentPath, Buffer.from(`${asciiLines.join('\n')}\n`, 'latin1'));
+  assert.ok(asciiLines.join('\n').indexOf('João') > 64 * 1024);
+  const lateAccent = streamCsv(lateAccentPath);
+  assert.strictEqual(lateAccent.encoding, 'windows-1252');
+  let lastRow = null;
+  for await (const row of lateAccent.rows) lastRow = row;
+  assert.strictEqual(lastRow[0], 'João Conceição');
+  assert.strictEqual(readCsv(lateAccentPath).encoding, lateAccent.encoding);
+
+  // 3. The parser's cursor hands out validated contacts one by one.
+  const parser = new ExcelParser();
+  const cursor = await parser.open(csvPath, 'big.csv');
+  assert.deepStrictEqual(cursor.columns, ['nome', 'telefone', 'Cidade']);
+  const firstEntries = [];
+  for await (const entry of cursor) {
+    firstEntries.push(entry);
+    if (firstEntries.length === 3) break;
+  }
+  assert.deepStrictEqual(firstEntries.map((entry) => entry.contact.row), [2, 3, 4]);
+  assert.strictEqual(firstEntries[0].contact.Cidade, 'Conceição');
+
+  // Worksheets are streamed too; skipped sheets are still counted.
+  const xlsxPath = path.join(tmpDir, 'big.xlsx');
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Resumo').addRow(['Total', ROWS]);
+  const sheet = workbook.addWorksheet('Clientes');
+  sheet.addRow(['nome', 'telefone']);
+  for (let i = 0; i < 2000; i += 1) sheet.addRow([`Cliente ${i}`, phoneFor(i)]);
+  workbook.addWorksheet('Notas').addRow(['a']);
+  await workbook.xlsx.writeFile(xlsxPath);
+
+  const parsed = await parser.parse(xlsxPath, 'big.xlsx');
+  assert.strictEqual(parsed.contacts.length, 2000);
+  assert.strictEqual(parsed.sheet, 'Clientes');
+  assert.deepStrictEqual(parsed.sheets.map((entry) => [entry.name, entry.rowCount]), [['Resumo', 1], ['Clientes', 2001], ['Notas', 1]]);
+  const early = await parser.open(xlsxPath, 'big.xlsx');
+  for await (const entry of early) {
+    assert.strictEqual(entry.contact.row, 2);
+    break;
+  }
+  await early.close();
+
+  // 4. A campaign over the whole file: progress goes to the log, the record is rewritten in checkpoints.
+  const store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = store;
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  manager.followUps = new FollowUpScheduler(manager, { filePath: path.join(tmpDir, 'follow_ups.json') });
+  let sent = 0;
+  manager.dispatcher = {
+    dispatch: async () => {
+      sent += 1;
+      if (sent === 10) {
+        // Mid-run, what is on disk (record, contact buckets, progress log) reflects the sends so far.
+        const midRun = new CampaignStore(store.baseDir).load('cmp_stream');
+        assert.strictEqual(midRun.processedRows.length, 9);
+        assert.strictEqual(midRun.counters.sent, 9);
+        assert.ok(fs.existsSync(path.join(tmpDir, 'campaigns', 'cmp_stream.progress.jsonl')));
+      }
+      return { status: 'SERVER_ACK', chip: 'chip_1' };
+    }
+  };
+  let saves = 0;
+  const save = store.save.bind(store);
+  store.save = (record) => {
+    saves += 1;
+    return save(record);
+  };
+
+  const result = await manager.startCampaign(csvPath, 'Oi {nome}', 'big.csv', { campaignId: 'cmp_stream', delayMin: 1, delayMax: 2 });
+  manager.followUps.stop();
+  assert.strictEqual(result.status, 'FINISHED');
+  assert.strictEqual(sent, ROWS);
+  assert.ok(saves < ROWS / 50, `Expected checkpoints, got ${saves} full saves`);
+
+  const record = store.load('cmp_stream');
+  assert.strictEqual(record.processedRows.length, ROWS);
+  assert.strictEqual(record.counters.total, ROWS);
+  assert.strictEqual(record.counters.sent, ROWS);
+  assert.strictEqual(record.contacts.row_4323.name, 'João\r\nSegundo');
+  assert.ok(!fs.existsSync(path.join(tmpDir, 'campaigns', 'cmp_stream.progress.jsonl')), 'The final save folds the log in');
+
+  // The record keeps no contacts; they sit in buckets, of which only a few stay in memory.
+  const header = JSON.parse(fs.readFileSync(path.join(tmpDir, 'campaigns', 'cmp_stream.json'), 'utf8'));
+  assert.strictEqual(header.contacts, undefined);
+  assert.strictEqual(header.processedRows, undefined);
+  assert.strictEqual(fs.readdirSync(path.join(tmpDir, 'campaigns', 'cmp_stream.contacts')).length, 11);
+  assert.ok(store.contacts('cmp_stream').buckets.size <= 4);
+
+  // Listing reads the summaries only.
+  const lister = new CampaignStore(store.baseDir);
+  lister.open = () => assert.fail('list() should not open records');
+  lister.load = () => assert.fail('list() should not load records');
+  const [summary] = lister.list();
+  assert.strictEqual(summary.campaignId, 'cmp_stream');
+  assert.strictEqual(summary.counters.sent, ROWS);
+  assert.strictEqual(summary.contacts, undefined);
+
+  // 5. Replaying the log is idempotent and tolerates a torn last line.
+  store.appendProgress('cmp_stream', { contacts: { row_2: { ...record.contacts.row_2, replies: 1 } } });
+  fs.appendFileSync(path.join(tmpDir, 'campaigns', 'cmp_stream.progress.jsonl'), '{"contacts":{');
+  // A new store, as after a restart: the log is replayed on the first open.
+  const replayed = new CampaignStore(store.baseDir).load('cmp_stream');
+  assert.strictEqual(replayed.processedRows.length, ROWS);
+  assert.strictEqual(replayed.contacts.row_2.replies, 1);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Streaming ok.');
+})().catch((error) => {
+  console.error('Streaming test failed:', error);
+  process.exit(1);
+});
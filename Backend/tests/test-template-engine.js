@@ -1,4 +1,5 @@
-const { applyTemplate } = require('../src/modules/campaign/templateEngine');
+const assert = require('assert');
+const { applyTemplate, extractVariables } = require('../src/modules/campaign/templateEngine');
 
 function runTemplateTests() {
   console.log('--- TEMPLATE ENGINE TEST ---');
@@ -18,6 +19,53 @@ function runTemplateTests() {
     process.exit(1);
   }
 
+  // {{var}} is always a variable; a missing column renders empty or its default.
+  assert.strictEqual(applyTemplate('Oi {{Nome}}!', { nome: 'Ana' }), 'Oi Ana!');
+  assert.strictEqual(applyTemplate('Oi {{apelido}}!', { nome: 'Ana' }), 'Oi !');
+  assert.strictEqual(applyTemplate('Oi {{nome|default:"cliente"}}!', { nome: '  ' }), 'Oi cliente!');
+  assert.strictEqual(applyTemplate('Oi {nome|default:"cliente"}!', {}), 'Oi cliente!');
+  assert.strictEqual(applyTemplate('{{nome|default:"a|b"}}', {}), 'a|b', 'Quoted arguments may contain pipes');
+
+  // Filters chain left to right.
+  assert.strictEqual(applyTemplate('{{nome|primeiro_nome}}', { nome: ' maria da silva ' }), 'maria');
+  assert.strictEqual(applyTemplate('{{nome|first_name|capitalize}}', { nome: 'MARIA SILVA' }), 'Maria');
+  assert.strictEqual(applyTemplate('{{nome|capitalize}}', { nome: 'ana maria-souza' }), 'Ana Maria-Souza');
+  assert.strictEqual(applyTemplate('{{nome|upper}} {{cidade|lower}}', { nome: 'ção', cidade: 'RIO' }), 'ÇÃO rio');
+  assert.strictEqual(applyTemplate('{{valor|moeda}}', { valor: '1.234,5' }), 'R$\u00a01.234,50');
+  assert.strictEqual(applyTemplate('{{valor|currency}}', { valor: '1234.5' }), 'R$\u00a01.234,50');
+  assert.strictEqual(applyTemplate('{{valor|moeda}}', { valor: 'a combinar' }), 'a combinar', 'Non-numbers pass through');
+  assert.strictEqual(applyTemplate('{{vencimento|data}}', { vencimento: '2026-03-05' }), '05/03/2026');
+  assert.strictEqual(applyTemplate('{{vencimento|date}}', { vencimento: '05/03/2026' }), '05/03/2026');
+  assert.strictEqual(applyTemplate('{{vencimento|data:"extenso"}}', { vencimento: '2026-03-05' }), '5 de março de 2026');
+  assert.strictEqual(applyTemplate('{{vencimento|data}}', { vencimento: '2026-03-05T12:00:00Z' }), '05/03/2026');
+  assert.strictEqual(applyTemplate('{{vencimento|data}}', { vencimento: 'amanhã' }), 'amanhã');
+
+  // Conditionals, including {#else}, negation and nesting.
+  const conditional = '{#if link}Acesse {{link}}{#else}Responda SIM{/if}.';
+  assert.strictEqual(applyTemplate(conditional, { link: 'https://x.co' }), 'Acesse https://x.co.');
+  assert.strictEqual(applyTemplate(conditional, { link: '' }), 'Responda SIM.');
+  assert.strictEqual(applyTemplate('{#if !link}sem link{/if}', {}), 'sem link');
+  const nested = '{#if nome}Oi {{nome}}{#if empresa} da {{empresa}}{/if}{#else}Olá{/if}!';
+  assert.strictEqual(applyTemplate(nested, { nome: 'Ana', empresa: 'ACME' }), 'Oi Ana da ACME!');
+  assert.strictEqual(applyTemplate(nested, { nome: 'Ana' }), 'Oi Ana!');
+  assert.strictEqual(applyTemplate(nested, {}), 'Olá!');
+
+  // Spintax still spins, but never the values inserted into it.
+  assert.strictEqual(applyTemplate('{Oi|Oi} {{nome}}', { nome: '{a|b}' }), 'Oi {a|b}');
+  assert.ok(['Oi Ana', 'Olá Ana'].includes(applyTemplate('{Oi|Olá} {nome|upper|lower|capitalize}', { nome: 'ANA' })));
+  // A known filter makes single braces a variable; without one, an unknown name with "|" is spintax.
+  assert.strictEqual(applyTemplate('Oi {cliente|upper}!', {}), 'Oi !');
+  assert.ok(['cliente', 'caro'].includes(applyTemplate('{cliente|caro}', {})));
+  // Unknown filters on a variable are skipped, never spun.
+  assert.strictEqual(applyTemplate('{{nome|maiusculo}}', { nome: 'Ana' }), 'Ana');
+  assert.strictEqual(applyTemplate('{nome|maiusculo}', { nome: 'Ana' }), 'Ana');
+  assert.strictEqual(applyTemplate('{nome|maiusculo|upper}', { nome: 'Ana' }), 'ANA');
+
+  assert.deepStrictEqual(
+    extractVariables('{#if link}{Olá|Oi} {{Nome|primeiro_nome}}{/if} {empresa} {valor|moeda} {{nome}}'),
+    ['link', 'nome', 'empresa', 'valor']
+  );
+
   console.log('✅ Template engine ok.');
 }
 
@@ -0,0 +1,92 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const SpintaxParser = require('../src/modules/campaign/spintax');
+const { lintTemplate } = require('../src/modules/campaign/templateLint');
+
+(async () => {
+  console.log('--- TEMPLATE LINT TEST ---');
+
+  assert.strictEqual(SpintaxParser.countVariations('sem variação'), 1);
+  assert.strictEqual(SpintaxParser.countVariations('{Olá|Oi|Oi} tudo {bem|{certo|joia}}?'), 6);
+
+  const context = {
+    columns: ['nome', 'telefone', 'Empresa', 'link'],
+    rows: [
+      { row: 2, variables: { nome: 'Ana', Empresa: 'Acme' } },
+      { row: 3, variables: { nome: 'Bia', Empresa: ' ' } }
+    ]
+  };
+
+  // A typo is an error (it would go out as literal spintax text), with a suggestion.
+  const typo = lintTemplate('{Olá|Oi} {Nmoe}!', context);
+  assert.strictEqual(typo.valid, false);
+  assert.deepStrictEqual(typo.errors.map((error) => [error.code, error.variable, error.suggestion]), [['UNKNOWN_VARIABLE', 'nmoe', 'nome']]);
+  assert.strictEqual(typo.variations, 2);
+
+  // A default makes a missing column a warning instead.
+  const defaulted = lintTemplate('{Olá|Oi} {{cidade|default:"sua cidade"}}', context);
+  assert.strictEqual(defaulted.valid, true);
+  assert.deepStrictEqual(defaulted.warnings.map((warning) => warning.code), ['UNKNOWN_VARIABLE']);
+
+  // Empty cells are flagged per row, unless a default or {#if} covers them.
+  const empty = lintTemplate('{Olá|Oi} {nome} da {{empresa}}', context);
+  assert.strictEqual(empty.valid, true);
+  assert.deepStrictEqual(empty.variables, ['nome', 'empresa']);
+  const emptyValues = empty.warnings.find((warning) => warning.code === 'EMPTY_VALUES');
+  assert.deepStrictEqual([emptyValues.variable, emptyValues.count, emptyValues.rows], ['empresa', 1, [3]]);
+  const covered = lintTemplate('{Olá|Oi} {#if empresa}da {{empresa}}{/if}{{empresa|default:"-"}}', context);
+  assert.strictEqual(covered.warnings.filter((warning) => warning.variable === 'empresa').length, 1, 'Only the plain {{empresa}} inside the block is flagged');
+
+  // Unknown filters are errors, in double or single braces.
+  const filters = lintTemplate('{Olá|Oi} {{nome|maiusculo}} {empresa|captalize}', context);
+  assert.strictEqual(filters.valid, false);
+  assert.deepStrictEqual(filters.errors.map((error) => [error.code, error.variable, error.filter]), [
+    ['UNKNOWN_FILTER', 'nome', 'maiusculo'],
+    ['UNKNOWN_FILTER', 'empresa', 'captalize']
+  ]);
+  assert.strictEqual(filters.variations, 2, 'Variables with unknown filters are not spintax');
+  assert.deepStrictEqual(lintTemplate('{Olá|Oi} {cliente|upper}', context).errors.map((error) => error.code), ['UNKNOWN_VARIABLE']);
+
+  // Unbalanced braces and conditionals, with their position.
+  const broken = lintTemplate('{Olá|Oi {nome}\n{#if link}x', context);
+  assert.deepStrictEqual(broken.errors.map((error) => error.code), ['UNBALANCED_BRACES', 'UNBALANCED_CONDITIONAL']);
+  assert.deepStrictEqual([broken.errors[0].line, broken.errors[0].column], [1, 1]);
+  assert.deepStrictEqual([broken.errors[1].line, broken.errors[1].column], [2, 1]);
+  assert.strictEqual(lintTemplate('{Oi|Olá} }', context).errors[0].code, 'UNBALANCED_BRACES');
+  assert.strictEqual(lintTemplate('{Oi|Olá} {/if}', context).errors[0].code, 'UNBALANCED_CONDITIONAL');
+
+  // Variables and {#if} branches do not count as variations.
+  assert.deepStrictEqual(lintTemplate('Oi {{nome}} {#if link}a{#else}b{/if}', context).warnings.map((w) => w.code), ['NO_VARIATION']);
+
+  // Against an uploaded spreadsheet, for the message and each follow-up.
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-lint-'));
+  const csvPath = path.join(tmpDir, 'contacts.csv');
+  fs.writeFileSync(csvPath, 'Nome,Telefone,Empresa\nAna,11999998888,Acme\nBia,11987654321,\n');
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  const result = await manager.lintCampaign(csvPath, '{Olá|Oi} {nome} da {empresa}', 'contacts.csv', {
+    followUps: [{ delayHours: 24, message: '{Oi|Olá} {Empreza}?' }]
+  });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.columns, ['nome', 'telefone', 'Empresa']);
+  assert.strictEqual(result.totalContacts, 2);
+  assert.deepStrictEqual(result.templates.map((template) => [template.target, template.step, template.valid]), [
+    ['message', undefined, true],
+    ['followUp', 2, false]
+  ]);
+  assert.deepStrictEqual(result.templates[0].warnings[0].rows, [3]);
+  assert.strictEqual(result.templates[1].errors[0].suggestion, 'empresa');
+
+  const withVariants = await manager.lintCampaign(csvPath, '', 'contacts.csv', {
+    variants: [{ id: 'A', template: '{Oi|Olá} {nome}', weight: 1 }, { id: 'B', template: '{Oi|Olá {nome}', weight: 1 }]
+  });
+  assert.deepStrictEqual(withVariants.templates.map((template) => [template.variantId, template.valid]), [['A', true], ['B', false]]);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Template lint ok.');
+})().catch((error) => {
+  console.error('Template lint test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateStore = require('../src/modules/campaign/templateStore');
+const CampaignManager = require('../src/modules/campaign/campaignManager');
+const CampaignStore = require('../src/modules/campaign/campaignStore');
+const ContactHistory = require('../src/modules/compliance/contactHistory');
+const { extractVariables } = require('../src/modules/campaign/templateEngine');
+
+const fixturePath = path.resolve(__dirname, 'fixtures', 'contacts.csv');
+
+(async () => {
+  console.log('--- TEMPLATE STORE TEST ---');
+
+  assert.deepStrictEqual(extractVariables('{Olá|Oi} {Nome}, sua empresa {empresa} e {nome}'), ['nome', 'empresa']);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  const filePath = path.join(tmpDir, 'templates.json');
+  const store = new TemplateStore({ filePath });
+
+  // Create: required variables default to the ones the body references.
+  const created = store.create({ name: 'Boas-vindas', body: 'Oi {nome}, tudo bem?' });
+  assert.ok(created.id.startsWith('tpl_'));
+  assert.strictEqual(created.version, 1);
+  assert.deepStrictEqual(created.variables, ['nome']);
+  assert.deepStrictEqual(created.history, []);
+  assert.throws(() => store.create({ name: 'Vazio', body: '  ' }), (error) => error.code === 'INVALID_TEMPLATE');
+  assert.throws(() => store.create({ body: 'Oi' }), /name is required/);
+  assert.throws(() => store.create({ name: 'X', body: 'Oi', variables: 'nome' }), /variables must be an array/);
+
+  const explicit = store.create({ name: 'Cobrança', body: 'Oi {nome}', variables: ['Nome', 'Valor', 'nome'] });
+  assert.deepStrictEqual(explicit.variables, ['nome', 'valor']);
+
+  // Update: the previous version moves to history.
+  const updated = store.update(created.id, { body: 'Olá {nome} da {empresa}!' });
+  assert.strictEqual(updated.version, 2);
+  assert.deepStrictEqual(updated.variables, ['nome', 'empresa']);
+  assert.strictEqual(updated.history.length, 1);
+  assert.strictEqual(updated.history[0].version, 1);
+  assert.strictEqual(updated.history[0].body, 'Oi {nome}, tudo bem?');
+  assert.strictEqual(store.update(created.id, { name: 'Boas-vindas' }).version, 2, 'Unchanged content keeps the version');
+  assert.strictEqual(store.update(created.id, { name: 'Boas-vindas v2' }).version, 3);
+  assert.deepStrictEqual(store.get(created.id).variables, ['nome', 'empresa'], 'Renaming keeps the variables');
+  assert.strictEqual(store.update('tpl_missing', { name: 'X' }), null);
+
+  assert.strictEqual(store.getVersion(created.id, 1).body, 'Oi {nome}, tudo bem?');
+  assert.strictEqual(store.getVersion(created.id).version, 3);
+  assert.strictEqual(store.getVersion(created.id, 9), null);
+
+  // Listing hides history; everything survives a restart.
+  const listed = store.list().find((template) => template.id === created.id);
+  assert.strictEqual(listed.versions, 3);
+  assert.ok(!('history' in listed));
+  const reloaded = new TemplateStore({ filePath });
+  assert.strictEqual(reloaded.get(created.id).history.length, 2);
+  assert.strictEqual(reloaded.remove(explicit.id), true);
+  assert.strictEqual(reloaded.remove(explicit.id), false);
+  assert.strictEqual(new TemplateStore({ filePath }).list().length, 1);
+
+  // The campaign record keeps the version it was launched with.
+  const saved = store.getVersion(created.id, 2);
+  const manager = new CampaignManager({ dataDir: tmpDir });
+  manager.store = new CampaignStore(path.join(tmpDir, 'campaigns'));
+  manager.contactHistory = new ContactHistory({ filePath: path.join(tmpDir, 'contact_history.json') });
+  const sent = [];
+  manager.dispatcher = {
+    dispatch: async ({ messageTemplate }) => {
+      sent.push(messageTemplate);
+      return { status: 'SERVER_ACK', chip: 'mock_chip_1', messageId: `wa_${sent.length}` };
+    }
+  };
+  await manager.startCampaign(fixturePath, saved.body, 'contacts.csv', {
+    campaignId: 'cmp_saved_template',
+    templateRef: { id: saved.id, name: saved.name, version: saved.version }
+  });
+
+  const record = manager.store.load('cmp_saved_template');
+  assert.deepStrictEqual(record.templateRef, { id: created.id, name: 'Boas-vindas', version: 2 });
+  assert.strictEqual(record.template, 'Olá {nome} da {empresa}!');
+  assert.deepStrictEqual(sent, [saved.body, saved.body]);
+  assert.deepStrictEqual(manager.store.list()[0].templateRef, record.templateRef);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('✅ Template store ok.');
+})().catch((error) => {
+  console.error('Template store test failed:', error);
+  process.exit(1);
+});
@@ -9,32 +9,67 @@ import {
   Clock,
   CheckCircle,
   Loader2,
+  Paperclip,
+  AlertTriangle,
 } from "lucide-react";
+import type { CampaignLint, MessageType } from "@/lib/api";
 
 interface StepLaunchProps {
   file: File | null;
   message: string;
+  messageType: MessageType;
+  media: File | null;
   delayMin: number;
   delayMax: number;
   onLaunch: () => void;
   launching: boolean;
+  lint: CampaignLint | null;
+  linting: boolean;
 }
 
+const lintTargetLabel = (template: CampaignLint["templates"][number]) => {
+  if (template.target === "variant") return `Variante ${template.variantId}`;
+  if (template.target === "followUp") return `Follow-up ${template.step}`;
+  return "Mensagem";
+};
+
 export function StepLaunch({
   file,
   message,
+  messageType,
+  media,
   delayMin,
   delayMax,
   onLaunch,
   launching,
+  lint,
+  linting,
 }: StepLaunchProps) {
-  const isReady = file && message.trim().length > 0;
+  const hasContent =
+    messageType === "text" ? message.trim().length > 0 : media !== null;
+  // Template errors (unknown columns, unbalanced braces) block the launch.
+  const isReady = file && hasContent && !linting && lint?.valid !== false;
+  const lintIssues = (lint?.templates ?? []).flatMap((template) => [
+    ...template.errors.map((issue) => ({ ...issue, target: lintTargetLabel(template), severity: "error" })),
+    ...template.warnings.map((issue) => ({ ...issue, target: lintTargetLabel(template), severity: "warning" })),
+  ]);
 
   const summaryItems = [
     {
       icon: FileSpreadsheet,
       label: "Arquivo de Leads",
-      value: file?.name ?? "Nenhum arquivo selecionado",
+      value: file
+        ? [
+            lint?.dialect
+              ? `${file.name} (separador "${lint.dialect.delimiter === "\t" ? "tab" : lint.dialect.delimiter}", ${lint.dialect.encoding})`
+              : file.name,
+            lint && lint.duplicates.length > 0
+              ? `${lint.duplicates.length} telefone(s) repetido(s), enviados uma vez`
+              : null,
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        : "Nenhum arquivo selecionado",
       valid: !!file,
     },
     {
@@ -43,8 +78,18 @@ export function StepLaunch({
       value: message
         ? `${message.slice(0, 50)}${message.length > 50 ? "..." : ""}`
         : "Nenhuma mensagem",
-      valid: message.trim().length > 0,
+      valid: messageType === "text" ? message.trim().length > 0 : true,
     },
+    ...(messageType !== "text"
+      ? [
+          {
+            icon: Paperclip,
+            label: "Mídia",
+            value: media?.name ?? "Nenhum arquivo selecionado",
+            valid: media !== null,
+          },
+        ]
+      : []),
     {
       icon: Clock,
       label: "Intervalo de Envio",
@@ -100,6 +145,38 @@ export function StepLaunch({
         })}
       </div>
 
+      {/* Template Check */}
+      {lintIssues.length > 0 && (
+        <Card
+          className={`border ${
+            lint?.valid ? "border-yellow-500/50" : "border-destructive/50"
+          } bg-card/50`}
+        >
+          <CardContent className="p-4 space-y-2">
+            <p className="text-sm font-medium text-foreground">
+              Verificação da mensagem
+            </p>
+            {lintIssues.map((issue, index) => (
+              <div
+                key={`${issue.target}-${issue.code}-${index}`}
+                className="flex items-start gap-2 text-sm"
+              >
+                <AlertTriangle
+                  className={`h-4 w-4 mt-0.5 shrink-0 ${
+                    issue.severity === "error" ? "text-destructive" : "text-yellow-400"
+                  }`}
+                />
+                <p className="text-muted-foreground">
+                  <span className="font-medium text-foreground">{issue.target}:</span>{" "}
+                  {issue.message}
+                  {issue.rows && issue.rows.length > 0 && ` (linhas ${issue.rows.join(", ")})`}
+                </p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Launch Button */}
       <Card className="border-primary/30 bg-primary/5">
         <CardContent className="p-6 flex flex-col items-center">
@@ -128,9 +205,11 @@ export function StepLaunch({
               </>
             )}
           </Button>
-          {!isReady && (
+          {!isReady && !linting && (
             <p className="text-sm text-destructive mt-3">
-              Preencha todos os campos obrigatórios para continuar.
+              {lint?.valid === false
+                ? "Corrija os erros da mensagem antes de iniciar."
+                : "Preencha todos os campos obrigatórios para continuar."}
             </p>
           )}
         </CardContent>
@@ -1,21 +1,117 @@
 "use client";
 
+import { useEffect, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
+import { cn } from "@/lib/utils";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  getSpintaxStats,
+  getTemplates,
+  saveTemplate,
+  type MessageType,
+  type SavedTemplate,
+  type SpintaxStats,
+} from "@/lib/api";
+import {
+  MessageSquare,
+  Image as ImageIcon,
+  FileText,
+  Mic,
+  Video,
+  Save,
+  X,
+} from "lucide-react";
 
 interface StepMessageProps {
   message: string;
   onMessageChange: (message: string) => void;
+  templateId: string | null;
+  onTemplateSelect: (template: SavedTemplate) => void;
+  messageType: MessageType;
+  onMessageTypeChange: (type: MessageType) => void;
+  media: File | null;
+  onMediaChange: (file: File | null) => void;
 }
 
+const messageTypes: {
+  value: MessageType;
+  label: string;
+  icon: typeof MessageSquare;
+  accept?: string;
+}[] = [
+  { value: "text", label: "Texto", icon: MessageSquare },
+  { value: "image", label: "Imagem", icon: ImageIcon, accept: "image/*" },
+  { value: "document", label: "Documento", icon: FileText, accept: "*/*" },
+  { value: "audio", label: "Áudio", icon: Mic, accept: "audio/*" },
+  { value: "video", label: "Vídeo", icon: Video, accept: "video/*" },
+];
+
 const variableButtons = [
-  { label: "[Nome]", value: "[Nome]" },
-  { label: "[Telefone]", value: "[Telefone]" },
-  { label: "[Link]", value: "[Link]" },
+  { label: "Nome", value: "{{nome}}" },
+  { label: "Primeiro nome", value: '{{nome|primeiro_nome|default:"cliente"}}' },
+  { label: "Telefone", value: "{{telefone}}" },
+  { label: "Link", value: "{#if link}{{link}}{/if}" },
 ];
 
-export function StepMessage({ message, onMessageChange }: StepMessageProps) {
+export function StepMessage({
+  message,
+  onMessageChange,
+  templateId,
+  onTemplateSelect,
+  messageType,
+  onMessageTypeChange,
+  media,
+  onMediaChange,
+}: StepMessageProps) {
+  const selectedType = messageTypes.find((type) => type.value === messageType);
+  const [templates, setTemplates] = useState<SavedTemplate[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [spintaxStats, setSpintaxStats] = useState<SpintaxStats | null>(null);
+
+  useEffect(() => {
+    getTemplates()
+      .then(setTemplates)
+      .catch((error) => console.error("[v0] Error loading templates:", error));
+  }, []);
+
+  // Combination count and a few variations, refreshed after typing stops.
+  useEffect(() => {
+    if (!message.trim()) {
+      setSpintaxStats(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      getSpintaxStats(message)
+        .then(setSpintaxStats)
+        .catch((error) => console.error("[v0] Error loading spintax stats:", error));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  const handleSaveTemplate = async () => {
+    const name = window.prompt("Nome do template:");
+    if (!name?.trim()) return;
+
+    setSaving(true);
+    try {
+      const saved = await saveTemplate({ name: name.trim(), body: message });
+      setTemplates((current) => [saved, ...current]);
+      onTemplateSelect(saved);
+    } catch (error) {
+      console.error("[v0] Error saving template:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const insertVariable = (variable: string) => {
     onMessageChange(message + variable);
   };
@@ -38,6 +134,108 @@ export function StepMessage({ message, onMessageChange }: StepMessageProps) {
       </div>
 
       <div className="space-y-4">
+        {/* Message Type */}
+        <div className="flex flex-wrap gap-2">
+          {messageTypes.map((type) => {
+            const Icon = type.icon;
+            return (
+              <Button
+                key={type.value}
+                variant="outline"
+                size="sm"
+                onClick={() => {
+                  onMessageTypeChange(type.value);
+                  onMediaChange(null);
+                }}
+                className={cn(
+                  "h-8 text-xs",
+                  messageType === type.value &&
+                    "border-primary bg-primary/20 text-primary"
+                )}
+              >
+                <Icon className="mr-1 h-4 w-4" />
+                {type.label}
+              </Button>
+            );
+          })}
+        </div>
+
+        {/* Media File */}
+        {messageType !== "text" && (
+          <Card className="border-border bg-card/50">
+            <CardContent className="flex items-center justify-between gap-4 p-4">
+              {media ? (
+                <>
+                  <p className="text-sm text-foreground truncate">{media.name}</p>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onMediaChange(null)}
+                    className="h-7"
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <label className="flex w-full cursor-pointer flex-col gap-1">
+                  <span className="text-sm font-medium text-foreground">
+                    Selecione o arquivo ({selectedType?.label})
+                  </span>
+                  <span className="text-xs text-muted-foreground">
+                    {messageType === "audio"
+                      ? "Enviado como mensagem de voz. O texto abaixo, se houver, vai antes em uma mensagem separada."
+                      : "O texto abaixo será usado como legenda."}
+                  </span>
+                  <input
+                    type="file"
+                    accept={selectedType?.accept}
+                    className="hidden"
+                    onChange={(e) => onMediaChange(e.target.files?.[0] ?? null)}
+                  />
+                </label>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Saved Templates */}
+        <div className="flex flex-wrap items-center gap-2">
+          <Select
+            value={templateId ?? ""}
+            onValueChange={(id) => {
+              const template = templates.find((entry) => entry.id === id);
+              if (template) onTemplateSelect(template);
+            }}
+          >
+            <SelectTrigger className="h-8 w-[260px] text-xs">
+              <SelectValue
+                placeholder={
+                  templates.length > 0
+                    ? "Usar template salvo..."
+                    : "Nenhum template salvo"
+                }
+              />
+            </SelectTrigger>
+            <SelectContent>
+              {templates.map((template) => (
+                <SelectItem key={template.id} value={template.id}>
+                  {template.name} (v{template.version})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleSaveTemplate}
+            disabled={saving || !message.trim()}
+            className="h-8 text-xs"
+          >
+            <Save className="mr-1 h-4 w-4" />
+            Salvar como template
+          </Button>
+        </div>
+
         {/* Variable Buttons */}
         <div className="flex flex-wrap gap-2">
           <span className="text-sm text-muted-foreground mr-2">
@@ -60,7 +258,7 @@ export function StepMessage({ message, onMessageChange }: StepMessageProps) {
         <Textarea
           value={message}
           onChange={(e) => onMessageChange(e.target.value)}
-          placeholder="{Olá|Oi} [Nome]! Tudo bem?
+          placeholder="{Olá|Oi} {{nome|primeiro_nome}}! Tudo bem?
 
 Estamos com uma oferta especial para você..."
           className="min-h-[200px] bg-secondary/50 border-border font-mono text-sm resize-none"
@@ -74,20 +272,24 @@ Estamos com uma oferta especial para você..."
             </p>
             <p className="text-sm text-muted-foreground mb-3">
               Use chaves com opções separadas por | para criar variações
-              automáticas na mensagem.
+              automáticas na mensagem. Para escrever {"{"}, {"}"} ou | literalmente,
+              use {"\\{"}, {"\\}"} e {"\\|"}.
             </p>
             <div className="bg-secondary rounded-lg p-3">
               <p className="text-sm font-mono text-foreground">
                 <span className="bg-yellow-500/30 text-yellow-300 px-1 rounded">
                   {"{Olá|Oi|Hey}"}
                 </span>{" "}
-                [Nome], tudo{" "}
+                {"{{nome}}"}, tudo{" "}
                 <span className="bg-yellow-500/30 text-yellow-300 px-1 rounded">
                   {"{bem|certo}"}
                 </span>
                 ?
               </p>
             </div>
+            <p className="text-xs text-muted-foreground mt-3">
+              {"Colunas da planilha: {{nome}}. Filtros: {{nome|primeiro_nome}}, {{valor|moeda}}, {{vencimento|data}}, {{nome|default:\"cliente\"}}. Condições: {#if link}...{#else}...{/if}."}
+            </p>
           </CardContent>
         </Card>
 
@@ -103,6 +305,21 @@ Estamos com uma oferta especial para você..."
                 // biome-ignore lint/security/noDangerouslySetInnerHtml: Preview rendering with controlled content
                 dangerouslySetInnerHTML={{ __html: highlightedPreview }}
               />
+              {spintaxStats && (
+                <div className="mt-3 space-y-1">
+                  <p className="text-xs text-muted-foreground">
+                    {spintaxStats.combinations.toLocaleString("pt-BR")} combinações possíveis. Exemplos:
+                  </p>
+                  {spintaxStats.sample.map((variation) => (
+                    <p
+                      key={variation}
+                      className="text-xs font-mono text-foreground bg-secondary/50 rounded px-2 py-1 whitespace-pre-wrap"
+                    >
+                      {variation}
+                    </p>
+                  ))}
+                </div>
+              )}
             </CardContent>
           </Card>
         )}
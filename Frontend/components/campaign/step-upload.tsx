@@ -5,20 +5,55 @@ import React from "react"
 import { useCallback, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
-import { Upload, FileSpreadsheet, X, Check } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { DuplicateStrategy, PhoneCountry } from "@/lib/api";
+import { Upload, FileSpreadsheet, FileArchive, X, Check } from "lucide-react";
 
 interface StepUploadProps {
   file: File | null;
   onFileChange: (file: File | null) => void;
   previewData: string[][];
   onPreviewChange: (data: string[][]) => void;
+  attachments: File | null;
+  onAttachmentsChange: (file: File | null) => void;
+  sheet: string;
+  onSheetChange: (sheet: string) => void;
+  duplicates: DuplicateStrategy;
+  onDuplicatesChange: (strategy: DuplicateStrategy) => void;
+  country: PhoneCountry;
+  onCountryChange: (country: PhoneCountry) => void;
 }
 
+const COUNTRIES: { value: PhoneCountry; label: string }[] = [
+  { value: "BR", label: "Brasil (+55)" },
+  { value: "PT", label: "Portugal (+351)" },
+  { value: "AR", label: "Argentina (+54)" },
+  { value: "US", label: "EUA / Canadá (+1)" },
+  { value: "ES", label: "Espanha (+34)" },
+  { value: "CL", label: "Chile (+56)" },
+  { value: "CO", label: "Colômbia (+57)" },
+];
+
 export function StepUpload({
   file,
   onFileChange,
   previewData,
   onPreviewChange,
+  attachments,
+  onAttachmentsChange,
+  sheet,
+  onSheetChange,
+  duplicates,
+  onDuplicatesChange,
+  country,
+  onCountryChange,
 }: StepUploadProps) {
   const [isDragging, setIsDragging] = useState(false);
 
@@ -83,6 +118,17 @@ export function StepUpload({
   const removeFile = () => {
     onFileChange(null);
     onPreviewChange([]);
+    onAttachmentsChange(null);
+  };
+
+  const handleAttachmentsInput = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selectedFile = e.target.files?.[0];
+    if (!selectedFile) return;
+    if (!selectedFile.name.toLowerCase().endsWith(".zip")) {
+      alert("Por favor, selecione um arquivo .zip");
+      return;
+    }
+    onAttachmentsChange(selectedFile);
   };
 
   return (
@@ -160,6 +206,113 @@ export function StepUpload({
             </CardContent>
           </Card>
 
+          {file.name.endsWith(".xlsx") && (
+            <Card className="border-border bg-card/50">
+              <CardContent className="flex items-center justify-between gap-4 p-4">
+                <div>
+                  <p className="font-medium text-foreground">Aba da planilha</p>
+                  <p className="text-sm text-muted-foreground">
+                    Nome ou número da aba. Em branco, usa a primeira aba com as
+                    colunas nome e telefone.
+                  </p>
+                </div>
+                <Input
+                  value={sheet}
+                  onChange={(e) => onSheetChange(e.target.value)}
+                  placeholder="Clientes"
+                  className="w-40"
+                />
+              </CardContent>
+            </Card>
+          )}
+
+          <Card className="border-border bg-card/50">
+            <CardContent className="flex items-center justify-between gap-4 p-4">
+              <div>
+                <p className="font-medium text-foreground">País dos telefones</p>
+                <p className="text-sm text-muted-foreground">
+                  Usado nos números sem código do país (ex: +351 já indica Portugal).
+                </p>
+              </div>
+              <Select
+                value={country}
+                onValueChange={(value) => onCountryChange(value as PhoneCountry)}
+              >
+                <SelectTrigger className="w-52">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {COUNTRIES.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </CardContent>
+          </Card>
+
+          <Card className="border-border bg-card/50">
+            <CardContent className="flex items-center justify-between gap-4 p-4">
+              <div>
+                <p className="font-medium text-foreground">Telefones repetidos</p>
+                <p className="text-sm text-muted-foreground">
+                  Cada número recebe uma única mensagem. Escolha qual linha vale.
+                </p>
+              </div>
+              <Select
+                value={duplicates}
+                onValueChange={(value) => onDuplicatesChange(value as DuplicateStrategy)}
+              >
+                <SelectTrigger className="w-52">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="keep_first">Manter a primeira</SelectItem>
+                  <SelectItem value="keep_last">Manter a última</SelectItem>
+                  <SelectItem value="merge">Mesclar colunas</SelectItem>
+                </SelectContent>
+              </Select>
+            </CardContent>
+          </Card>
+
+          <Card className="border-border bg-card/50">
+            <CardContent className="flex items-center justify-between p-4">
+              <div className="flex items-center gap-3">
+                <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-primary/10">
+                  <FileArchive className="h-5 w-5 text-primary" />
+                </div>
+                <div>
+                  <p className="font-medium text-foreground">
+                    {attachments ? attachments.name : "Anexos por contato (opcional)"}
+                  </p>
+                  <p className="text-sm text-muted-foreground">
+                    {attachments
+                      ? `${(attachments.size / 1024).toFixed(1)} KB`
+                      : 'ZIP com os arquivos citados na coluna "arquivo" da planilha'}
+                  </p>
+                </div>
+              </div>
+              {attachments ? (
+                <Button variant="ghost" size="icon" onClick={() => onAttachmentsChange(null)}>
+                  <X className="h-4 w-4" />
+                </Button>
+              ) : (
+                <label>
+                  <input
+                    type="file"
+                    accept=".zip"
+                    onChange={handleAttachmentsInput}
+                    className="hidden"
+                  />
+                  <Button variant="outline" asChild>
+                    <span className="cursor-pointer">Selecionar ZIP</span>
+                  </Button>
+                </label>
+              )}
+            </CardContent>
+          </Card>
+
           {previewData.length > 0 && (
             <Card className="border-border bg-card/50">
               <CardContent className="p-4">
@@ -1,13 +1,20 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { StepUpload } from "@/components/campaign/step-upload";
 import { StepMessage } from "@/components/campaign/step-message";
 import { StepConfig } from "@/components/campaign/step-config";
 import { StepLaunch } from "@/components/campaign/step-launch";
-import { startCampaign } from "@/lib/api";
+import {
+  lintCampaign,
+  startCampaign,
+  type CampaignLint,
+  type DuplicateStrategy,
+  type MessageType,
+  type PhoneCountry,
+} from "@/lib/api";
 import { cn } from "@/lib/utils";
 import {
   Upload,
@@ -35,16 +42,47 @@ export function CampaignView({ onRouteChange }: CampaignViewProps) {
   const [file, setFile] = useState<File | null>(null);
   const [previewData, setPreviewData] = useState<string[][]>([]);
   const [message, setMessage] = useState("");
+  const [templateId, setTemplateId] = useState<string | null>(null);
+  const [messageType, setMessageType] = useState<MessageType>("text");
+  const [media, setMedia] = useState<File | null>(null);
+  const [attachments, setAttachments] = useState<File | null>(null);
+  const [sheet, setSheet] = useState("");
+  const [duplicates, setDuplicates] = useState<DuplicateStrategy>("keep_first");
+  const [country, setCountry] = useState<PhoneCountry>("BR");
   const [delayMin, setDelayMin] = useState(15);
   const [delayMax, setDelayMax] = useState(45);
   const [launching, setLaunching] = useState(false);
+  const [lint, setLint] = useState<CampaignLint | null>(null);
+  const [linting, setLinting] = useState(false);
+
+  // Re-check the message against the spreadsheet whenever the launch step opens.
+  useEffect(() => {
+    if (currentStep !== 4 || !file) return;
+
+    let cancelled = false;
+    setLint(null);
+    setLinting(true);
+    lintCampaign({ file, message, templateId, attachments, sheet, duplicates, country })
+      .then((result) => {
+        if (!cancelled) setLint(result);
+      })
+      .catch((error) => console.error("[v0] Error linting campaign:", error))
+      .finally(() => {
+        if (!cancelled) setLinting(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentStep, file, message, templateId, attachments, sheet, duplicates, country]);
 
   const canProceed = () => {
     switch (currentStep) {
       case 1:
         return file !== null;
       case 2:
-        return message.trim().length > 0;
+        return messageType === "text"
+          ? message.trim().length > 0 || attachments !== null
+          : media !== null;
       case 3:
         return delayMin < delayMax;
       default:
@@ -60,8 +98,15 @@ export function CampaignView({ onRouteChange }: CampaignViewProps) {
       await startCampaign({
         file,
         message,
+        templateId,
         delayMin,
         delayMax,
+        messageType,
+        media,
+        attachments,
+        sheet,
+        duplicates,
+        country,
       });
 
       // Redirect to dashboard after successful launch
@@ -148,10 +193,34 @@ export function CampaignView({ onRouteChange }: CampaignViewProps) {
               onFileChange={setFile}
               previewData={previewData}
               onPreviewChange={setPreviewData}
+              attachments={attachments}
+              onAttachmentsChange={setAttachments}
+              sheet={sheet}
+              onSheetChange={setSheet}
+              duplicates={duplicates}
+              onDuplicatesChange={setDuplicates}
+              country={country}
+              onCountryChange={setCountry}
             />
           )}
           {currentStep === 2 && (
-            <StepMessage message={message} onMessageChange={setMessage} />
+            <StepMessage
+              message={message}
+              onMessageChange={(value) => {
+                setMessage(value);
+                // Edited text no longer matches the saved version.
+                setTemplateId(null);
+              }}
+              templateId={templateId}
+              onTemplateSelect={(template) => {
+                setMessage(template.body);
+                setTemplateId(template.id);
+              }}
+              messageType={messageType}
+              onMessageTypeChange={setMessageType}
+              media={media}
+              onMediaChange={setMedia}
+            />
           )}
           {currentStep === 3 && (
             <StepConfig
@@ -165,10 +234,14 @@ export function CampaignView({ onRouteChange }: CampaignViewProps) {
             <StepLaunch
               file={file}
               message={message}
+              messageType={messageType}
+              media={media}
               delayMin={delayMin}
               delayMax={delayMax}
               onLaunch={handleLaunch}
               launching={launching}
+              lint={lint}
+              linting={linting}
             />
           )}
         </CardContent>
@@ -128,19 +128,221 @@ export async function connectSession(chipId: string): Promise<{ success: boolean
   return { success: true };
 }
 
+// Saved message from the template library (current version).
+export interface SavedTemplate {
+  id: string;
+  name: string;
+  body: string;
+  variables: string[];
+  version: number;
+  versions: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export async function getTemplates(): Promise<SavedTemplate[]> {
+  return fetchClient<SavedTemplate[]>('/templates');
+}
+
+export async function saveTemplate(data: { name: string; body: string }): Promise<SavedTemplate> {
+  return fetchClient<SavedTemplate>('/templates', { method: 'POST', body: JSON.stringify(data) });
+}
+
+export interface SpintaxStats {
+  combinations: number;
+  sample: string[];
+}
+
+export async function getSpintaxStats(message: string, limit = 5): Promise<SpintaxStats> {
+  return fetchClient<SpintaxStats>('/spintax/stats', {
+    method: 'POST',
+    body: JSON.stringify({ message, limit }),
+  });
+}
+
+// Mirrors MESSAGE_TYPES in Backend/src/modules/dispatch/mediaMessage.js
+export type MessageType = 'text' | 'image' | 'document' | 'audio' | 'video';
+
+// Sent to contacts that have not replied, delayHours after the first message.
+export interface FollowUpStep {
+  delayHours: number;
+  message: string;
+}
+
+// A/B test: contacts are split between 2-3 templates in proportion to weight.
+export interface TemplateVariant {
+  id?: string;
+  template: string;
+  weight?: number;
+}
+
+export interface VariantComparison {
+  variantId: string;
+  weight: number;
+  template: string;
+  contacts: number;
+  sent: number;
+  delivered: number;
+  read: number;
+  replied: number;
+  failed: number;
+  rates: { delivered: number; read: number; replied: number };
+}
+
+export async function getVariantComparison(campaignId: string) {
+  return fetchClient<{ campaignId: string; variants: VariantComparison[] }>(`/campaigns/${campaignId}/variants`);
+}
+
+// Result of checking the templates against the spreadsheet before launch.
+export interface LintIssue {
+  code: string;
+  message: string;
+  variable?: string;
+  suggestion?: string | null;
+  line?: number;
+  column?: number;
+  count?: number;
+  rows?: number[];
+}
+
+export interface TemplateLint {
+  target: "message" | "variant" | "followUp";
+  variantId?: string;
+  step?: number;
+  valid: boolean;
+  errors: LintIssue[];
+  warnings: LintIssue[];
+  variables: string[];
+  variations: number;
+}
+
+// Which row a phone number repeated in the spreadsheet keeps.
+export type DuplicateStrategy = "keep_first" | "keep_last" | "merge";
+
+// ISO code of the country assumed for numbers written without a country code.
+export type PhoneCountry = "BR" | "PT" | "AR" | "US" | "ES" | "CL" | "CO";
+
+export interface DuplicateGroup {
+  phone: string;
+  rows: number[];
+  kept: number;
+}
+
+export interface CampaignLint {
+  valid: boolean;
+  columns: string[];
+  sheets: { index: number; name: string; rowCount: number }[];
+  sheet: string | null;
+  // Detected (or forced) CSV format; null for .xlsx.
+  dialect: { delimiter: string; encoding: string } | null;
+  totalContacts: number;
+  parseErrors: number;
+  duplicates: DuplicateGroup[];
+  templates: TemplateLint[];
+}
+
+export async function lintCampaign(data: {
+  file: File;
+  message: string;
+  templateId?: string | null;
+  attachments?: File | null;
+  sheet?: string;
+  delimiter?: string;
+  encoding?: string;
+  duplicates?: DuplicateStrategy;
+  country?: PhoneCountry;
+  followUps?: FollowUpStep[];
+  variants?: TemplateVariant[];
+}): Promise<CampaignLint> {
+  const formData = new FormData();
+  formData.append('file', data.file);
+  formData.append('message', data.message);
+  if (data.templateId) formData.append('templateId', data.templateId);
+  if (data.attachments) formData.append('attachments', data.attachments);
+  if (data.sheet?.trim()) formData.append('sheet', data.sheet.trim());
+  if (data.delimiter) formData.append('delimiter', data.delimiter);
+  if (data.encoding) formData.append('encoding', data.encoding);
+  if (data.duplicates) formData.append('duplicates', data.duplicates);
+  if (data.country) formData.append('country', data.country);
+  if (data.followUps && data.followUps.length > 0) {
+    formData.append('followUps', JSON.stringify(data.followUps));
+  }
+  if (data.variants && data.variants.length > 0) {
+    formData.append('variants', JSON.stringify(data.variants));
+  }
+
+  const res = await fetch(`${API_BASE}/campaign/lint`, { method: 'POST', body: formData });
+  if (!res.ok) {
+    let errorMessage = `HTTP Error ${res.status}`;
+    try {
+      const errorBody = await res.json();
+      if (errorBody.error) errorMessage = errorBody.error;
+    } catch { /* ignore parsing error */ }
+    throw new ApiError(res.status, errorMessage);
+  }
+  return res.json();
+}
+
 export async function startCampaign(data: {
   file: File;
   message: string;
+  templateId?: string | null;
   delayMin: number;
   delayMax: number;
+  messageType?: MessageType;
+  media?: File | null;
+  attachments?: File | null;
+  // Worksheet name or 1-based position (.xlsx only).
+  sheet?: string;
+  // CSV only; detected from the file when omitted (e.g. ';' / 'windows-1252').
+  delimiter?: string;
+  encoding?: string;
+  // Defaults to keep_first on the backend.
+  duplicates?: DuplicateStrategy;
+  // Defaults to the backend's config.phone.defaultCountry.
+  country?: PhoneCountry;
+  followUps?: FollowUpStep[];
+  variants?: TemplateVariant[];
 }): Promise<{ success: boolean; campaignId: string }> {
   
   // FormData handling is special (no JSON header)
   const formData = new FormData();
   formData.append('file', data.file);
   formData.append('message', data.message);
+  if (data.templateId) {
+    // The backend sends the saved version and records it on the campaign.
+    formData.append('templateId', data.templateId);
+  }
   formData.append('delayMin', data.delayMin.toString());
   formData.append('delayMax', data.delayMax.toString());
+  if (data.messageType && data.messageType !== 'text' && data.media) {
+    formData.append('mediaType', data.messageType);
+    formData.append('media', data.media);
+  }
+  if (data.attachments) {
+    formData.append('attachments', data.attachments);
+  }
+  if (data.sheet?.trim()) {
+    formData.append('sheet', data.sheet.trim());
+  }
+  if (data.delimiter) {
+    formData.append('delimiter', data.delimiter);
+  }
+  if (data.encoding) {
+    formData.append('encoding', data.encoding);
+  }
+  if (data.duplicates) {
+    formData.append('duplicates', data.duplicates);
+  }
+  if (data.country) {
+    formData.append('country', data.country);
+  }
+  if (data.followUps && data.followUps.length > 0) {
+    formData.append('followUps', JSON.stringify(data.followUps));
+  }
+  if (data.variants && data.variants.length > 0) {
+    formData.append('variants', JSON.stringify(data.variants));
+  }
 
   const url = `${API_BASE}/campaign/start`;
   